@@ -0,0 +1,403 @@
+/**
+ * Content-addressed asset storage and chunked binary transfer of assets
+ * (background images, token art) over WebRTC data channels.
+ *
+ * Board state never embeds image data. It references assets by id, the
+ * hex SHA-256 digest of their bytes, and peers fetch missing assets from
+ * the GM in fixed-size binary chunks.
+ */
+
+/** Size of a single binary chunk. 16 KiB is safe across all browsers' SCTP stacks. */
+export const CHUNK_SIZE = 16 * 1024;
+
+/** A request that sees no progress for this long is given up, so the asset can be requested again. */
+const TRANSFER_TIMEOUT_MS = 30000;
+
+/**
+ * Computes the content-addressed id for a piece of asset data.
+ * @param {Blob|ArrayBuffer} data The asset bytes.
+ * @returns {Promise<string>} The lowercase hex SHA-256 digest.
+ */
+export async function hashAsset(data) {
+  const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Collects the ids of all assets referenced by a list of layers.
+ * @param {Array<object>} layers The board layers.
+ * @returns {Set<string>} The referenced asset ids.
+ */
+export function collectAssetIds(layers) {
+  const ids = new Set();
+  layers.forEach(layer => {
+    if (layer.background?.assetId) ids.add(layer.background.assetId);
+    layer.tokens.forEach(token => {
+      if (token.imageAssetId) ids.add(token.imageAssetId);
+    });
+  });
+  return ids;
+}
+
+/**
+ * Replaces inline data-URL backgrounds (as found in older saves) with
+ * references to assets in the store. Mutates the given layers.
+ * @param {Array<object>} layers The board layers.
+ * @param {AssetStore} store The store to add the extracted assets to.
+ * @returns {Promise<void>}
+ */
+export async function internInlineAssets(layers, store) {
+  for (const layer of layers) {
+    const url = layer.background?.url;
+    if (!url || !url.startsWith('data:')) continue;
+    const blob = await (await fetch(url)).blob();
+    const assetId = await store.add(blob);
+    layer.background = { ...layer.background, assetId };
+    delete layer.background.url;
+  }
+}
+
+/**
+ * Serializes the given assets to data URLs so they can travel inside a
+ * self-contained JSON file.
+ * @param {Iterable<string>} assetIds The ids of the assets to include.
+ * @param {AssetStore} store The store holding the assets.
+ * @returns {Promise<Object<string, string>>} A map of asset id to data URL.
+ */
+export async function exportAssets(assetIds, store) {
+  const exported = {};
+  for (const assetId of assetIds) {
+    const blob = await store.load(assetId);
+    if (!blob) continue;
+    exported[assetId] = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+  return exported;
+}
+
+/**
+ * Adds assets serialized by `exportAssets` back into a store.
+ * @param {Object<string, string>} exported A map of asset id to data URL.
+ * @param {AssetStore} store The store to add the assets to.
+ * @returns {Promise<void>}
+ */
+export async function importAssets(exported, store) {
+  for (const dataUrl of Object.values(exported || {})) {
+    const blob = await (await fetch(dataUrl)).blob();
+    await store.add(blob);
+  }
+}
+
+/**
+ * An in-memory, content-addressed store of asset blobs, optionally backed
+ * by a persistent library so assets survive page reloads.
+ */
+export class AssetStore {
+  /**
+   * @param {import('./library.js').AssetLibrary} [library] - Persistent storage to write
+   * new assets to and to load unknown assets from.
+   */
+  constructor(library = null) {
+    this.library = library;
+    this.assets = new Map(); // <assetId, { blob, url }>
+
+    // Public event handler that can be set from outside the class.
+    this.onassetadded = null;
+  }
+
+  /**
+   * Adds a blob to the store, hashing it to obtain its id.
+   * @param {Blob} blob The asset data.
+   * @param {string} [name] A human readable name. Defaults to the file name for `File`s.
+   * @returns {Promise<string>} The id of the stored asset.
+   */
+  async add(blob, name) {
+    const assetId = await hashAsset(blob);
+    await this.put(assetId, blob, name || blob.name);
+    return assetId;
+  }
+
+  /**
+   * Stores a blob under an already known id. The asset is usable right away;
+   * the returned promise only tracks writing it to the persistent library.
+   * @param {string} assetId The asset id.
+   * @param {Blob} blob The asset data.
+   * @param {string} [name] A human readable name for the library.
+   * @returns {Promise<void>} Resolves once the asset is persisted.
+   */
+  put(assetId, blob, name) {
+    if (this.assets.has(assetId)) return Promise.resolve();
+    this.assets.set(assetId, { blob, url: URL.createObjectURL(blob) });
+    if (this.onassetadded) {
+      this.onassetadded(assetId);
+    }
+    if (!this.library) return Promise.resolve();
+    return this.library.putAsset(assetId, blob, name).catch(err => {
+      console.error(`Failed to persist asset ${assetId}:`, err);
+    });
+  }
+
+  /**
+   * Returns an asset, loading it from the persistent library if it is not in memory.
+   * @param {string} assetId
+   * @returns {Promise<Blob|undefined>} The asset data, if it could be found.
+   */
+  async load(assetId) {
+    if (this.assets.has(assetId)) return this.get(assetId);
+    if (!this.library) return undefined;
+
+    const record = await this.library.getAsset(assetId);
+    if (!record) return undefined;
+    if (!this.assets.has(assetId)) {
+      this.assets.set(assetId, { blob: record.blob, url: URL.createObjectURL(record.blob) });
+      if (this.onassetadded) {
+        this.onassetadded(assetId);
+      }
+    }
+    return record.blob;
+  }
+
+  /** @param {string} assetId */
+  has(assetId) {
+    return this.assets.has(assetId);
+  }
+
+  /**
+   * @param {string} assetId
+   * @returns {Blob|undefined} The asset data, if present.
+   */
+  get(assetId) {
+    return this.assets.get(assetId)?.blob;
+  }
+
+  /**
+   * @param {string} assetId
+   * @returns {string|null} An object URL for the asset, if present.
+   */
+  getUrl(assetId) {
+    return this.assets.get(assetId)?.url || null;
+  }
+}
+
+/**
+ * Encodes a binary chunk frame: [idLength:u8][assetId][index:u32][payload].
+ * @param {string} assetId
+ * @param {number} index
+ * @param {ArrayBuffer} payload
+ * @returns {ArrayBuffer}
+ */
+function encodeChunk(assetId, index, payload) {
+  const idBytes = new TextEncoder().encode(assetId);
+  const frame = new Uint8Array(1 + idBytes.length + 4 + payload.byteLength);
+  frame[0] = idBytes.length;
+  frame.set(idBytes, 1);
+  new DataView(frame.buffer).setUint32(1 + idBytes.length, index);
+  frame.set(new Uint8Array(payload), 5 + idBytes.length);
+  return frame.buffer;
+}
+
+/**
+ * Decodes a frame produced by `encodeChunk`.
+ * @param {ArrayBuffer} frame
+ * @returns {{assetId: string, index: number, payload: ArrayBuffer}}
+ */
+function decodeChunk(frame) {
+  const bytes = new Uint8Array(frame);
+  const idLength = bytes[0];
+  const assetId = new TextDecoder().decode(bytes.subarray(1, 1 + idLength));
+  const index = new DataView(frame).getUint32(1 + idLength);
+  const payload = frame.slice(5 + idLength);
+  return { assetId, index, payload };
+}
+
+/**
+ * Sends and receives assets as sequences of binary chunks. An `asset-start`
+ * JSON message announces a transfer, followed by the chunks on the same
+ * ordered data channel. Completed assets are verified against their hash
+ * before being added to the store.
+ */
+export class AssetTransfer {
+  /**
+   * @param {AssetStore} store The store to serve assets from and add received assets to.
+   */
+  constructor(store) {
+    this.store = store;
+    this.incoming = new Map(); // <assetId, { mimeType, size, chunkCount, chunks, received, bytes }>
+    this.requested = new Map(); // <assetId, { peerId, timer }> Assets requested but not yet received
+
+    // Public event handlers that can be set from outside the class.
+    this.onprogress = null; // (assetId, receivedBytes, totalBytes)
+    this.oncomplete = null; // (assetId)
+  }
+
+  /**
+   * Asks a peer for an asset unless it is already present, cached in the
+   * persistent library or requested.
+   * @param {WebRTCManager} rtcManager The connection to request the asset over.
+   * @param {string} assetId The id of the missing asset.
+   * @returns {Promise<void>}
+   */
+  async request(rtcManager, assetId) {
+    if (this.store.has(assetId) || this.requested.has(assetId)) return;
+    this.requested.set(assetId, { peerId: rtcManager.id, timer: null });
+
+    // A previous session may already have cached the asset locally.
+    if (await this.store.load(assetId)) {
+      this._forget(assetId);
+      return;
+    }
+    rtcManager.send({ type: 'asset-request', assetId });
+    this._keepAlive(assetId);
+  }
+
+  /**
+   * Gives up the requests made to a peer, e.g. when its connection closes,
+   * so the assets can be requested from someone else.
+   * @param {string} peerId
+   */
+  cancelRequestsTo(peerId) {
+    for (const [assetId, request] of this.requested) {
+      if (request.peerId === peerId) this._forget(assetId);
+    }
+  }
+
+  /**
+   * Returns the fraction of an incoming asset received so far.
+   * @param {string} assetId
+   * @returns {number|null} A value between 0 and 1, or null if no transfer is in progress.
+   */
+  getProgress(assetId) {
+    const transfer = this.incoming.get(assetId);
+    if (!transfer) return this.requested.has(assetId) ? 0 : null;
+    return transfer.size > 0 ? transfer.bytes / transfer.size : 1;
+  }
+
+  /**
+   * Streams an asset to a peer, respecting the data channel's backpressure.
+   * @param {WebRTCManager} rtcManager The connection to send the asset over.
+   * @param {string} assetId The id of the asset to send.
+   * @returns {Promise<void>}
+   */
+  async sendAsset(rtcManager, assetId) {
+    const blob = await this.store.load(assetId);
+    if (!blob) {
+      rtcManager.send({ type: 'asset-unavailable', assetId });
+      return;
+    }
+
+    const chunkCount = Math.ceil(blob.size / CHUNK_SIZE);
+    rtcManager.send({ type: 'asset-start', assetId, mimeType: blob.type, size: blob.size, chunkCount });
+
+    try {
+      const buffer = await blob.arrayBuffer();
+      for (let i = 0; i < chunkCount; i++) {
+        const payload = buffer.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE);
+        await rtcManager.sendBinary(encodeChunk(assetId, i, payload));
+      }
+    } catch (err) {
+      console.error(`[${rtcManager.id}] Failed to send asset ${assetId}:`, err);
+    }
+  }
+
+  /**
+   * Handles an `asset-start` message announcing an incoming transfer.
+   * @param {object} msg The announcement message.
+   */
+  handleStart(msg) {
+    this.incoming.set(msg.assetId, {
+      mimeType: msg.mimeType,
+      size: msg.size,
+      chunkCount: msg.chunkCount,
+      chunks: new Array(msg.chunkCount),
+      received: 0,
+      bytes: 0,
+    });
+    this._keepAlive(msg.assetId);
+    if (msg.chunkCount === 0) {
+      this._finish(msg.assetId);
+    }
+  }
+
+  /**
+   * Handles an `asset-unavailable` reply, allowing the asset to be requested again later.
+   * @param {object} msg The reply message.
+   */
+  handleUnavailable(msg) {
+    console.warn(`Asset ${msg.assetId} is not available from the sender.`);
+    this._forget(msg.assetId);
+  }
+
+  /**
+   * Handles a binary chunk frame.
+   * @param {ArrayBuffer} frame The raw frame received on the data channel.
+   */
+  handleChunk(frame) {
+    const { assetId, index, payload } = decodeChunk(frame);
+    const transfer = this.incoming.get(assetId);
+    if (!transfer || !Number.isInteger(index) || index < 0 || index >= transfer.chunkCount || transfer.chunks[index]) return;
+
+    transfer.chunks[index] = payload;
+    transfer.received++;
+    transfer.bytes += payload.byteLength;
+    this._keepAlive(assetId);
+    if (this.onprogress) {
+      this.onprogress(assetId, transfer.bytes, transfer.size);
+    }
+
+    if (transfer.received === transfer.chunkCount) {
+      this._finish(assetId);
+    }
+  }
+
+  /**
+   * Reassembles a completed transfer, verifies it and adds it to the store.
+   * @private
+   */
+  async _finish(assetId) {
+    const transfer = this.incoming.get(assetId);
+    this._forget(assetId);
+
+    const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+    const actualId = await hashAsset(blob);
+    if (actualId !== assetId) {
+      console.error(`Asset ${assetId} failed verification (got ${actualId}). Discarding.`);
+      return;
+    }
+
+    this.store.put(assetId, blob);
+    if (this.oncomplete) {
+      this.oncomplete(assetId);
+    }
+  }
+
+  /**
+   * Restarts the time a requested asset has to make progress.
+   * @param {string} assetId
+   * @private
+   */
+  _keepAlive(assetId) {
+    const request = this.requested.get(assetId);
+    if (!request) return;
+    clearTimeout(request.timer);
+    request.timer = setTimeout(() => {
+      console.warn(`Transfer of asset ${assetId} stalled. It will be requested again.`);
+      this._forget(assetId);
+    }, TRANSFER_TIMEOUT_MS);
+  }
+
+  /**
+   * Drops a request and whatever of the asset has arrived.
+   * @param {string} assetId
+   * @private
+   */
+  _forget(assetId) {
+    clearTimeout(this.requested.get(assetId)?.timer);
+    this.requested.delete(assetId);
+    this.incoming.delete(assetId);
+  }
+}
@@ -1,7 +1,63 @@
+import { drawRuler, paintFogRegion } from './tools.js';
+import { collectWalls, computeVisibilityPolygon, isPointVisible } from './vision.js';
+import { drawDrawing } from './drawings.js';
+import { drawTemplate, templateContainsPoint, templateHandle } from './templates.js';
+import { DEFAULT_GRID, drawGridLines, formatMeasurement, measurePath, snapTokenPosition, tokenRadius } from './grid.js';
+import { drawConditions, drawHpBar } from './stats.js';
+import { DEFAULT_COMBAT, activeEntry } from './combat.js';
+import { DEFAULT_VOICE } from './voice.js';
+import { projectLayerForPlayer } from './projection.js';
+
+const DEFAULT_LIGHTING = { enabled: false, exploredMemory: true };
+const MAX_EXPLORED_AREAS = 500;
+const RULER_TIMEOUT_MILLIS = 10000;
+const MAX_ROLL_LOG = 200;
+const MAX_CHAT_LOG = 500;
+const MAX_CHAT_MESSAGE_LENGTH = 2000;
+
 class BoardState {
     constructor() {
         this.layers = [];
         this.pings = [];
+        this.rulers = new Map(); // <peerId, { points, color, updatedAt }>
+        this.lighting = { ...DEFAULT_LIGHTING };
+        this.voice = { ...DEFAULT_VOICE };
+        this.grid = { ...DEFAULT_GRID };
+        this.templates = [];
+        this.combat = { ...DEFAULT_COMBAT };
+        this.rolls = []; // The dice roll log, oldest first. Not part of saved boards.
+        this.chat = []; // Chat messages, oldest first. Whispers carry the recipient in `to`.
+        this.displayNames = new Map(); // <peerId, name>
+        this.players = []; // Players who proved their identity: { peerId, name, publicKey, lastSeenAt }
+        this.coGmId = null; // The player who sees the whole board and takes over if the GM leaves
+    }
+
+    load(vtt) {
+        this.layers = vtt.layers;
+        this.lighting = { ...DEFAULT_LIGHTING, ...vtt.lighting };
+        this.voice = { ...DEFAULT_VOICE, ...vtt.voice };
+        this.grid = { ...DEFAULT_GRID, ...vtt.grid };
+        this.templates = vtt.templates || [];
+        this.combat = { ...DEFAULT_COMBAT, ...vtt.combat };
+        // Whispers never pass through the GM, so keep the ones received here.
+        const whispers = this.chat.filter(m => m.to);
+        this.chat = [...(vtt.chat || []), ...whispers].sort((a, b) => a.sentAt - b.sentAt);
+        this.players = vtt.players || [];
+        this.coGmId = vtt.coGmId || null;
+        // Name players who are away by the name they last used.
+        this.players.forEach(player => {
+            if (player.name && !this.displayNames.has(player.peerId)) {
+                this.displayNames.set(player.peerId, player.name);
+            }
+        });
+    }
+
+    serialize() {
+        return { layers: this.layers, lighting: this.lighting, voice: this.voice, grid: this.grid, templates: this.templates, combat: this.combat, chat: this.chat.filter(m => !m.to), players: this.players, coGmId: this.coGmId };
+    }
+
+    findTemplate(templateId) {
+        return this.templates.find(t => t.id === templateId);
     }
 
     findLayer(layerId) {
@@ -32,12 +88,16 @@ class EventHandler {
     constructor(boardState, onStateChange) {
         this.boardState = boardState;
         this.onStateChange = onStateChange || (() => {});
+        this.onEvent = null; // Sees every event before it is applied, e.g. to record the session
     }
 
     handleEvent(event) {
+        if (this.onEvent) {
+            this.onEvent(event);
+        }
         switch (event.type) {
             case 'game-state-update':
-                this.boardState.layers = event.vtt.layers;
+                this.boardState.load(event.vtt);
                 break;
             case 'token-moved':
                 const tokenToMove = this.boardState.findToken(event.layerId, event.tokenId);
@@ -86,12 +146,69 @@ class EventHandler {
                     durationMillis: event.durationMillis || 2000
                 });
                 break;
+            case 'ruler-updated':
+                if (event.points && event.points.length >= 2) {
+                    this.boardState.rulers.set(event.peerId, { points: event.points, color: event.color, updatedAt: Date.now() });
+                } else {
+                    this.boardState.rulers.delete(event.peerId);
+                }
+                break;
+            case 'drawing-added':
+                const drawingLayer = this.boardState.findLayer(event.layerId);
+                if (drawingLayer && !(drawingLayer.drawings || []).some(d => d.id === event.drawing.id)) {
+                    drawingLayer.drawings = [...(drawingLayer.drawings || []), event.drawing];
+                }
+                break;
+            case 'drawing-removed':
+                const drawingLayerToErase = this.boardState.findLayer(event.layerId);
+                if (drawingLayerToErase && drawingLayerToErase.drawings) {
+                    drawingLayerToErase.drawings = drawingLayerToErase.drawings.filter(d => d.id !== event.drawingId);
+                }
+                break;
+            case 'drawings-cleared':
+                // Clears one author's drawings, one layer's drawings, or both combined.
+                this.boardState.layers.forEach(layer => {
+                    if (!layer.drawings || (event.layerId && layer.id !== event.layerId)) return;
+                    layer.drawings = event.peerId ? layer.drawings.filter(d => d.peerId !== event.peerId) : [];
+                });
+                break;
+            case 'layer-drawing-access-changed':
+                const layerToOpen = this.boardState.findLayer(event.layerId);
+                if (layerToOpen) {
+                    layerToOpen.playersCanDraw = event.playersCanDraw;
+                }
+                break;
+            case 'template-added':
+                if (!this.boardState.findTemplate(event.template.id)) {
+                    this.boardState.templates.push(event.template);
+                }
+                break;
+            case 'template-moved':
+                const templateToMove = this.boardState.findTemplate(event.templateId);
+                if (templateToMove) {
+                    templateToMove.x = event.x;
+                    templateToMove.y = event.y;
+                    templateToMove.angle = event.angle;
+                }
+                break;
+            case 'template-removed':
+                this.boardState.templates = this.boardState.templates.filter(t => t.id !== event.templateId);
+                break;
             case 'layer-added':
-                this.boardState.layers.push(event.layer);
+                // Undoing a layer's deletion puts it back where it was.
+                this.boardState.layers.splice(Math.min(event.index ?? Infinity, this.boardState.layers.length), 0, event.layer);
                 break;
             case 'layer-deleted':
                 this.boardState.layers = this.boardState.layers.filter(l => l.id !== event.layerId);
                 break;
+            case 'layer-revealed':
+                this.boardState.layers = this.boardState.layers.filter(l => l.id !== event.layer.id);
+                this.boardState.layers.splice(Math.min(event.index ?? Infinity, this.boardState.layers.length), 0, event.layer);
+                break;
+            case 'layer-hidden':
+                // Players keep the walls of a hidden layer, which still block sight.
+                this.boardState.layers = this.boardState.layers.map(l => l.id === event.layerId ? projectLayerForPlayer({ ...l, visible: false }) : l);
+                break;
             case 'layer-visibility-changed':
                 const layerToToggle = this.boardState.findLayer(event.layerId);
                 if (layerToToggle) {
@@ -122,6 +239,98 @@ class EventHandler {
                     layerToScaleBg.background.scale = event.scale;
                 }
                 break;
+            case 'fog-region-added':
+                const fogLayer = this.boardState.findLayer(event.layerId);
+                if (fogLayer && fogLayer.fog) {
+                    fogLayer.fog.regions.push(event.region);
+                }
+                break;
+            case 'fog-region-removed':
+                const fogLayerToErase = this.boardState.findLayer(event.layerId);
+                if (fogLayerToErase && fogLayerToErase.fog) {
+                    fogLayerToErase.fog.regions = fogLayerToErase.fog.regions.filter(r => r.id !== event.regionId);
+                }
+                break;
+            case 'fog-reset':
+                const fogLayerToReset = this.boardState.findLayer(event.layerId);
+                if (fogLayerToReset && fogLayerToReset.fog) {
+                    fogLayerToReset.fog.regions = [];
+                }
+                break;
+            case 'wall-added':
+                const wallLayer = this.boardState.findLayer(event.layerId);
+                if (wallLayer) {
+                    wallLayer.walls = [...(wallLayer.walls || []), event.wall];
+                }
+                break;
+            case 'wall-removed':
+                const wallLayerToErase = this.boardState.findLayer(event.layerId);
+                if (wallLayerToErase && wallLayerToErase.walls) {
+                    wallLayerToErase.walls = wallLayerToErase.walls.filter(w => w.id !== event.wallId);
+                }
+                break;
+            case 'walls-cleared':
+                const wallLayerToClear = this.boardState.findLayer(event.layerId);
+                if (wallLayerToClear) {
+                    wallLayerToClear.walls = [];
+                }
+                break;
+            case 'lighting-changed':
+                this.boardState.lighting = { ...this.boardState.lighting, ...event.lighting };
+                break;
+            case 'voice-changed':
+                this.boardState.voice = { ...this.boardState.voice, ...event.voice };
+                break;
+            case 'grid-changed':
+                this.boardState.grid = { ...this.boardState.grid, ...event.grid };
+                break;
+            case 'dice-rolled':
+                // A pending roll is settled in place once it is revealed or abandoned.
+                const loggedRoll = this.boardState.rolls.find(r => r.id === event.roll.id);
+                if (!loggedRoll) {
+                    this.boardState.rolls = [...this.boardState.rolls, event.roll].slice(-MAX_ROLL_LOG);
+                } else if (loggedRoll.status === 'pending') {
+                    this.boardState.rolls = this.boardState.rolls.map(r => r === loggedRoll ? event.roll : r);
+                }
+                break;
+            case 'chat-message':
+            case 'chat-whisper':
+                if (!this.boardState.chat.some(m => m.id === event.id)) {
+                    const message = {
+                        id: event.id,
+                        peerId: event.peerId,
+                        text: String(event.text).slice(0, MAX_CHAT_MESSAGE_LENGTH),
+                        sentAt: event.sentAt,
+                        announcement: !!event.announcement,
+                        to: event.type === 'chat-whisper' ? event.to : null,
+                    };
+                    this.boardState.chat = [...this.boardState.chat, message].slice(-MAX_CHAT_LOG);
+                }
+                break;
+            case 'display-name-changed':
+                this.boardState.displayNames.set(event.peerId, String(event.name).slice(0, 40));
+                const namedPlayer = this.boardState.players.find(p => p.peerId === event.peerId);
+                if (namedPlayer) {
+                    namedPlayer.name = this.boardState.displayNames.get(event.peerId);
+                }
+                break;
+            case 'player-identified':
+                this.boardState.players = [
+                    ...this.boardState.players.filter(p => p.peerId !== event.peerId),
+                    {
+                        peerId: event.peerId,
+                        name: this.boardState.displayNames.get(event.peerId) || null,
+                        publicKey: event.publicKey || null,
+                        lastSeenAt: event.lastSeenAt,
+                    },
+                ];
+                break;
+            case 'combat-changed':
+                this.boardState.combat = { ...this.boardState.combat, ...event.combat };
+                break;
+            case 'co-gm-changed':
+                this.boardState.coGmId = event.peerId || null;
+                break;
             case 'layer-background-moved':
                 const layerToMoveBg = this.boardState.findLayer(event.layerId);
                 if (layerToMoveBg && layerToMoveBg.background) {
@@ -140,11 +349,17 @@ class Board {
         this.ctx = canvas.getContext('2d');
         this.boardState = boardState;
         this.role = config.role || 'player';
+        this.readOnly = config.readOnly || false; // Only panning and zooming, e.g. for replays
+        this.myId = config.myId || null;
         this.onTokenMoveRequested = config.onTokenMoveRequested || (() => {});
         this.onPingRequested = config.onPingRequested || (() => {});
         this.onTokenSelected = config.onTokenSelected || (() => {});
         this.onTokenContextMenu = config.onTokenContextMenu || (() => {});
         this.onBackgroundMoveRequested = config.onBackgroundMoveRequested || (() => {});
+        this.onTemplateMoveRequested = config.onTemplateMoveRequested || (() => {});
+        this.onTemplateContextMenu = config.onTemplateContextMenu || (() => {});
+        this.resolveAssetUrl = config.resolveAssetUrl || (() => null);
+        this.getAssetProgress = config.getAssetProgress || (() => null);
 
         this.scale = 1;
         this.panX = 0;
@@ -155,15 +370,24 @@ class Board {
         this.draggedTokenOriginalPos = null;
         this.dragOffsetX = 0;
         this.dragOffsetY = 0;
+        this.draggedTemplate = null;
+        this.templateDragMode = null; // 'move' | 'rotate'
+        this.draggedTemplateOriginal = null;
         this.selectedTokenId = null;
         this.selectedTokenLayerId = null;
         this.mouseDownPos = null;
-        this.backgroundImages = new Map();
+        this.images = new Map(); // <url, HTMLImageElement>
         this.backgroundEditLayerId = null;
         this.isDraggingBackground = false;
+        this.draggedBackgroundOriginalPos = null;
         this.longPressTimeout = null;
-
-        this.sizeMap = { t: 10, s: 15, m: 20, l: 45, h: 67.5, g: 90 };
+        this.tool = null;
+        this.fogCanvas = document.createElement('canvas');
+        this.visionCanvas = document.createElement('canvas');
+        this.exploredCanvas = document.createElement('canvas');
+        this.views = null; // What the player's tokens currently see, or null if sight is unrestricted
+        this.viewCache = new Map(); // <tokenId, view>
+        this.exploredAreas = []; // Views remembered after a token moved on
 
         this.lastPanX = 0;
         this.lastPanY = 0;
@@ -185,10 +409,29 @@ class Board {
         this.canvas.addEventListener('touchstart', (e) => this.onTouchStart(e));
         this.canvas.addEventListener('touchend', (e) => this.onTouchEnd(e));
         this.canvas.addEventListener('touchmove', (e) => this.onTouchMove(e));
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
 
         this.startAnimationLoop();
     }
 
+    setTool(tool) {
+        this.tool = tool;
+        this.draggedToken = null;
+        this.isPanning = false;
+    }
+
+    getTokenRadius(token) {
+        return tokenRadius(token.size, this.boardState.grid);
+    }
+
+    dropToken(free) {
+        const token = this.draggedToken;
+        const pos = free ? { x: token.x, y: token.y } : snapTokenPosition(token, token.size, this.boardState.grid);
+        token.x = pos.x;
+        token.y = pos.y;
+        this.onTokenMoveRequested(this.draggedTokenLayerId, token.id, pos.x, pos.y, free, this.draggedTokenOriginalPos);
+    }
+
     toggleBackgroundEditMode(layerId) {
         if (this.backgroundEditLayerId === layerId) {
             this.backgroundEditLayerId = null;
@@ -247,61 +490,307 @@ class Board {
         this.ctx.translate(this.panX, this.panY);
         this.ctx.scale(this.scale, this.scale);
 
+        this.views = this.computeViews();
+
         this.drawBackgrounds();
         this.drawGrid();
+        this.drawDrawings();
+        this.drawWalls();
+        this.drawTemplates();
         this.drawTokens();
+
+        this.ctx.restore();
+
+        this.drawVision();
+        this.drawFog();
+
+        this.ctx.save();
+        this.ctx.translate(this.panX, this.panY);
+        this.ctx.scale(this.scale, this.scale);
+
         this.drawPings();
+        this.drawRulers();
+        this.drawDragMeasurement();
+        if (this.tool) {
+            this.tool.drawPreview(this.ctx, this.scale);
+        }
 
         this.ctx.restore();
     }
 
+    drawFog() {
+        const fogLayers = this.boardState.layers.filter(l => l.type === 'fog' && (l.visible || this.role === 'gm'));
+        if (fogLayers.length === 0) return;
+
+        if (this.fogCanvas.width !== this.canvas.width || this.fogCanvas.height !== this.canvas.height) {
+            this.fogCanvas.width = this.canvas.width;
+            this.fogCanvas.height = this.canvas.height;
+        }
+        const fctx = this.fogCanvas.getContext('2d');
+
+        fogLayers.forEach(layer => {
+            fctx.setTransform(1, 0, 0, 1, 0, 0);
+            fctx.globalCompositeOperation = 'source-over';
+            fctx.clearRect(0, 0, this.fogCanvas.width, this.fogCanvas.height);
+            fctx.fillStyle = 'black';
+            fctx.strokeStyle = 'black';
+            fctx.fillRect(0, 0, this.fogCanvas.width, this.fogCanvas.height);
+
+            fctx.setTransform(this.scale, 0, 0, this.scale, this.panX, this.panY);
+            layer.fog.regions.forEach(region => {
+                // Regions apply in order, so a later 'hide' covers an earlier 'reveal'.
+                fctx.globalCompositeOperation = region.mode === 'reveal' ? 'destination-out' : 'source-over';
+                paintFogRegion(fctx, region);
+            });
+
+            // Players see solid fog; the GM sees through it.
+            const originalAlpha = this.ctx.globalAlpha;
+            if (this.role === 'gm') {
+                this.ctx.globalAlpha = layer.visible ? 0.5 : 0.25;
+            }
+            this.ctx.drawImage(this.fogCanvas, 0, 0);
+            this.ctx.globalAlpha = originalAlpha;
+        });
+    }
+
+    computeViews() {
+        const lighting = this.boardState.lighting;
+        if (!lighting.exploredMemory) {
+            this.exploredAreas = [];
+        }
+        if (this.role === 'gm' || !lighting.enabled) return null;
+
+        const viewers = [];
+        this.boardState.layers.forEach(layer => {
+            if (!layer.visible) return;
+            layer.tokens.forEach(token => {
+                if (token.peerId === this.myId && !token.hidden) viewers.push(token);
+            });
+        });
+        // Without a claimed token there is nobody to see through.
+        if (viewers.length === 0) return null;
+
+        const walls = collectWalls(this.boardState.layers);
+        const wallsKey = walls.map(w => w.id).join();
+        return viewers.map(token => {
+            const radius = token.lightRadius > 0 ? token.lightRadius : null;
+            const cached = this.viewCache.get(token.id);
+            if (cached && cached.origin.x === token.x && cached.origin.y === token.y &&
+                cached.radius === radius && cached.wallsKey === wallsKey) {
+                return cached;
+            }
+
+            const view = {
+                origin: { x: token.x, y: token.y },
+                radius,
+                wallsKey,
+                polygon: computeVisibilityPolygon({ x: token.x, y: token.y }, walls, radius || undefined),
+            };
+            this.viewCache.set(token.id, view);
+            if (lighting.exploredMemory && this.draggedToken !== token) {
+                this.exploredAreas.push(view);
+                if (this.exploredAreas.length > MAX_EXPLORED_AREAS) {
+                    this.exploredAreas.shift();
+                }
+            }
+            return view;
+        });
+    }
+
+    traceView(ctx, view) {
+        ctx.beginPath();
+        view.polygon.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+        ctx.closePath();
+    }
+
+    drawVision() {
+        if (!this.views) return;
+
+        [this.visionCanvas, this.exploredCanvas].forEach(canvas => {
+            if (canvas.width !== this.canvas.width || canvas.height !== this.canvas.height) {
+                canvas.width = this.canvas.width;
+                canvas.height = this.canvas.height;
+            }
+        });
+
+        const vctx = this.visionCanvas.getContext('2d');
+        vctx.setTransform(1, 0, 0, 1, 0, 0);
+        vctx.globalCompositeOperation = 'source-over';
+        vctx.globalAlpha = 1;
+        vctx.fillStyle = 'black';
+        vctx.fillRect(0, 0, this.visionCanvas.width, this.visionCanvas.height);
+
+        if (this.boardState.lighting.exploredMemory && this.exploredAreas.length > 0) {
+            // Union the explored areas first so overlapping ones don't brighten each other.
+            const ectx = this.exploredCanvas.getContext('2d');
+            ectx.setTransform(1, 0, 0, 1, 0, 0);
+            ectx.clearRect(0, 0, this.exploredCanvas.width, this.exploredCanvas.height);
+            ectx.setTransform(this.scale, 0, 0, this.scale, this.panX, this.panY);
+            ectx.fillStyle = 'black';
+            this.exploredAreas.forEach(view => {
+                ectx.save();
+                if (view.radius) {
+                    ectx.beginPath();
+                    ectx.arc(view.origin.x, view.origin.y, view.radius, 0, 2 * Math.PI);
+                    ectx.clip();
+                }
+                this.traceView(ectx, view);
+                ectx.fill();
+                ectx.restore();
+            });
+
+            vctx.globalCompositeOperation = 'destination-out';
+            vctx.globalAlpha = 0.4;
+            vctx.drawImage(this.exploredCanvas, 0, 0);
+            vctx.globalAlpha = 1;
+        }
+
+        vctx.globalCompositeOperation = 'destination-out';
+        vctx.setTransform(this.scale, 0, 0, this.scale, this.panX, this.panY);
+        this.views.forEach(view => {
+            if (view.radius) {
+                // Light fades out towards the edge of its radius.
+                const gradient = vctx.createRadialGradient(view.origin.x, view.origin.y, view.radius * 0.6, view.origin.x, view.origin.y, view.radius);
+                gradient.addColorStop(0, 'black');
+                gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+                vctx.fillStyle = gradient;
+            } else {
+                vctx.fillStyle = 'black';
+            }
+            this.traceView(vctx, view);
+            vctx.fill();
+        });
+
+        this.ctx.drawImage(this.visionCanvas, 0, 0);
+    }
+
+    drawDrawings() {
+        this.boardState.layers.forEach(layer => {
+            const isVisible = layer.visible || this.role === 'gm';
+            if (!isVisible || !layer.drawings) return;
+
+            const originalAlpha = this.ctx.globalAlpha;
+            if (!layer.visible && this.role === 'gm') {
+                this.ctx.globalAlpha = 0.5;
+            }
+            layer.drawings.forEach(drawing => drawDrawing(this.ctx, drawing));
+            this.ctx.globalAlpha = originalAlpha;
+        });
+    }
+
+    drawWalls() {
+        if (this.role !== 'gm') return;
+
+        this.ctx.save();
+        this.ctx.lineCap = 'round';
+        this.ctx.lineWidth = 3 / this.scale;
+        this.boardState.layers.forEach(layer => {
+            if (!layer.walls || layer.walls.length === 0) return;
+            this.ctx.strokeStyle = layer.visible ? 'rgba(255, 170, 0, 0.8)' : 'rgba(255, 170, 0, 0.3)';
+            this.ctx.beginPath();
+            layer.walls.forEach(wall => {
+                this.ctx.moveTo(wall.x1, wall.y1);
+                this.ctx.lineTo(wall.x2, wall.y2);
+            });
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
     drawBackgrounds() {
         this.boardState.layers.forEach(layer => {
             const isVisible = layer.visible || this.role === 'gm';
-            if (!isVisible || !layer.background || !layer.background.url) return;
+            if (!isVisible || !layer.background) return;
 
             const originalAlpha = this.ctx.globalAlpha;
             if (!layer.visible && this.role === 'gm') {
                 this.ctx.globalAlpha = 0.5;
             }
 
-            if (!this.backgroundImages.has(layer.background.url)) {
-                const img = new Image();
-                img.src = layer.background.url;
-                this.backgroundImages.set(layer.background.url, img);
+            const bg = layer.background;
+            const url = bg.assetId ? this.resolveAssetUrl(bg.assetId) : bg.url;
+            if (!url) {
+                this.drawAssetPlaceholder(bg);
+                this.ctx.globalAlpha = originalAlpha;
+                return;
             }
-            const img = this.backgroundImages.get(layer.background.url);
+
+            const img = this.getImage(url);
             if (img.complete) {
-                this.ctx.drawImage(img, layer.background.x || 0, layer.background.y || 0, layer.background.width * layer.background.scale, layer.background.height * layer.background.scale);
+                this.ctx.drawImage(img, bg.x || 0, bg.y || 0, bg.width * bg.scale, bg.height * bg.scale);
             }
 
             this.ctx.globalAlpha = originalAlpha;
         });
     }
 
+    getImage(url) {
+        if (!this.images.has(url)) {
+            const img = new Image();
+            img.src = url;
+            this.images.set(url, img);
+        }
+        return this.images.get(url);
+    }
+
+    drawAssetPlaceholder(bg) {
+        const x = bg.x || 0;
+        const y = bg.y || 0;
+        const width = bg.width * bg.scale;
+        const height = bg.height * bg.scale;
+        const progress = this.getAssetProgress(bg.assetId);
+
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.setLineDash([10 / this.scale, 10 / this.scale]);
+        this.ctx.strokeStyle = '#888';
+        this.ctx.lineWidth = 2 / this.scale;
+        this.ctx.strokeRect(x, y, width, height);
+        this.ctx.setLineDash([]);
+
+        const label = progress === null ? 'Loading map...' : `Loading map... ${Math.floor(progress * 100)}%`;
+        this.ctx.fillStyle = '#aaa';
+        this.ctx.font = `${16 / this.scale}px sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(label, x + width / 2, y + height / 2);
+    }
+
     drawGrid() {
-        const gridSize = 50;
-        this.ctx.beginPath();
-        this.ctx.strokeStyle = '#444';
-        this.ctx.lineWidth = 1 / this.scale;
+        const bounds = {
+            left: -this.panX / this.scale,
+            top: -this.panY / this.scale,
+            right: (this.canvas.width - this.panX) / this.scale,
+            bottom: (this.canvas.height - this.panY) / this.scale,
+        };
+        drawGridLines(this.ctx, this.boardState.grid, bounds, this.scale);
+    }
 
-        const startX = Math.floor(-this.panX / this.scale / gridSize) * gridSize;
-        const startY = Math.floor(-this.panY / this.scale / gridSize) * gridSize;
-        const endX = startX + Math.ceil(this.canvas.width / this.scale / gridSize) * gridSize;
-        const endY = startY + Math.ceil(this.canvas.height / this.scale / gridSize) * gridSize;
+    canEditTemplate(template) {
+        return this.role === 'gm' || template.peerId === this.myId;
+    }
 
-        for (let x = startX; x <= endX; x += gridSize) {
-            this.ctx.moveTo(x, startY);
-            this.ctx.lineTo(x, endY);
-        }
-        for (let y = startY; y <= endY; y += gridSize) {
-            this.ctx.moveTo(startX, y);
-            this.ctx.lineTo(endX, y);
+    findTemplateAt(pos) {
+        for (const template of [...this.boardState.templates].reverse()) {
+            if (!this.canEditTemplate(template)) continue;
+            const handle = templateHandle(template);
+            if (handle && Math.hypot(pos.x - handle.x, pos.y - handle.y) < 10 / this.scale) {
+                return { template, mode: 'rotate' };
+            }
+            if (templateContainsPoint(template, pos)) {
+                return { template, mode: 'move' };
+            }
         }
-        this.ctx.stroke();
+        return null;
+    }
+
+    drawTemplates() {
+        this.boardState.templates.forEach(template => {
+            drawTemplate(this.ctx, template, this.boardState.grid, this.scale, this.canEditTemplate(template));
+        });
     }
 
     drawTokens() {
+        const currentTurn = activeEntry(this.boardState.combat);
         this.boardState.layers.forEach(layer => {
             const isVisible = layer.visible || this.role === 'gm';
             if (!isVisible) return;
@@ -312,10 +801,16 @@ class Board {
             }
 
             layer.tokens.forEach(token => {
-                const radius = this.sizeMap[token.size] || 20;
+                // Players only see other tokens within their line of sight.
+                if (this.views && token.peerId !== this.myId && !isPointVisible(token, this.views)) return;
 
-                this.ctx.beginPath();
-                this.ctx.arc(token.x, token.y, radius, 0, 2 * Math.PI);
+                const radius = this.getTokenRadius(token);
+                const layerAlpha = this.ctx.globalAlpha;
+                if (token.hidden && this.role === 'gm') {
+                    this.ctx.globalAlpha = layerAlpha * 0.5;
+                }
+
+                this.traceTokenShape(token, radius);
 
                 if (token.peerId) {
                     this.ctx.shadowColor = 'white';
@@ -327,20 +822,93 @@ class Board {
 
                 this.ctx.shadowBlur = 0;
 
+                const imageUrl = token.imageAssetId ? this.resolveAssetUrl(token.imageAssetId) : token.imageUrl;
+                const img = imageUrl ? this.getImage(imageUrl) : null;
+                const hasImage = img && img.complete && img.naturalWidth > 0;
+                if (hasImage) {
+                    this.ctx.save();
+                    this.ctx.clip();
+                    this.ctx.drawImage(img, token.x - radius, token.y - radius, radius * 2, radius * 2);
+                    this.ctx.restore();
+
+                    // A ring in the token's color keeps image tokens recognizable.
+                    this.ctx.strokeStyle = token.color;
+                    this.ctx.lineWidth = 3 / this.scale;
+                    this.ctx.stroke();
+                }
+
                 if (token.id === this.selectedTokenId) {
                     this.ctx.strokeStyle = 'yellow';
                     this.ctx.lineWidth = 3 / this.scale;
-                } else {
+                    this.ctx.stroke();
+                } else if (!hasImage) {
                     this.ctx.strokeStyle = 'black';
                     this.ctx.lineWidth = 1 / this.scale;
+                    this.ctx.stroke();
                 }
-                this.ctx.stroke();
+
+                this.drawTokenLabel(token, radius);
+                drawHpBar(this.ctx, token, radius, this.scale);
+                drawConditions(this.ctx, token, radius, this.scale);
+
+                const affectedBy = this.boardState.templates.find(t => templateContainsPoint(t, token));
+                if (affectedBy) {
+                    this.ctx.beginPath();
+                    this.ctx.arc(token.x, token.y, radius + 4 / this.scale, 0, 2 * Math.PI);
+                    this.ctx.strokeStyle = affectedBy.color || '#ff5722';
+                    this.ctx.lineWidth = 3 / this.scale;
+                    this.ctx.stroke();
+                }
+
+                if (currentTurn && currentTurn.layerId === layer.id && currentTurn.tokenId === token.id) {
+                    this.ctx.beginPath();
+                    this.ctx.arc(token.x, token.y, radius + 8 / this.scale, 0, 2 * Math.PI);
+                    this.ctx.strokeStyle = '#ffd700';
+                    this.ctx.lineWidth = 3 / this.scale;
+                    this.ctx.setLineDash([8 / this.scale, 4 / this.scale]);
+                    this.ctx.stroke();
+                    this.ctx.setLineDash([]);
+                }
+
+                this.ctx.globalAlpha = layerAlpha;
             });
 
             this.ctx.globalAlpha = originalAlpha;
         });
     }
 
+    traceTokenShape(token, radius) {
+        this.ctx.beginPath();
+        if (token.imageShape === 'square') {
+            this.ctx.rect(token.x - radius, token.y - radius, radius * 2, radius * 2);
+        } else {
+            this.ctx.arc(token.x, token.y, radius, 0, 2 * Math.PI);
+        }
+    }
+
+    drawTokenLabel(token, radius) {
+        if (!token.name || token.showName === false) return;
+        if (token.nameHidden && this.role !== 'gm') return;
+
+        const fontSize = 12 / this.scale;
+        const padding = 2 / this.scale;
+        const y = token.y + radius + 4 / this.scale;
+        this.ctx.save();
+        this.ctx.font = `${fontSize}px sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        const width = this.ctx.measureText(token.name).width;
+        // The GM sees names hidden from players dimmed.
+        if (token.nameHidden) {
+            this.ctx.globalAlpha *= 0.5;
+        }
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(token.x - width / 2 - padding, y - padding, width + padding * 2, fontSize + padding * 2);
+        this.ctx.fillStyle = 'white';
+        this.ctx.fillText(token.name, token.x, y);
+        this.ctx.restore();
+    }
+
     drawPings() {
         const now = Date.now();
         this.boardState.pings = this.boardState.pings.filter(ping => {
@@ -362,6 +930,30 @@ class Board {
         });
     }
 
+    drawRulers() {
+        const now = Date.now();
+        for (const [peerId, ruler] of this.boardState.rulers) {
+            if (now - ruler.updatedAt > RULER_TIMEOUT_MILLIS) {
+                this.boardState.rulers.delete(peerId);
+                continue;
+            }
+            if (peerId === this.myId) continue; // The active tool draws our own ruler
+            const label = formatMeasurement(measurePath(ruler.points, this.boardState.grid), this.boardState.grid);
+            drawRuler(this.ctx, ruler.points, label, ruler.color || '#ff9100', this.scale);
+        }
+    }
+
+    drawDragMeasurement() {
+        const token = this.draggedToken;
+        const origin = this.draggedTokenOriginalPos;
+        if (!token || !origin || (token.x === origin.x && token.y === origin.y)) return;
+
+        const target = snapTokenPosition(token, token.size, this.boardState.grid);
+        const path = [origin, target];
+        const label = formatMeasurement(measurePath(path, this.boardState.grid), this.boardState.grid);
+        drawRuler(this.ctx, path, label, 'rgba(255, 255, 255, 0.8)', this.scale);
+    }
+
     onMouseDown(e) {
         if (e.button === 2) { // Right-click
             return;
@@ -369,10 +961,23 @@ class Board {
         const pos = this.getMousePos(e);
         this.mouseDownPos = { x: e.clientX, y: e.clientY };
 
+        if (this.readOnly) {
+            this.isPanning = true;
+            this.lastPanX = e.clientX;
+            this.lastPanY = e.clientY;
+            return;
+        }
+
+        if (this.tool) {
+            this.tool.onPointerDown(pos, e);
+            return;
+        }
+
         if (this.backgroundEditLayerId) {
             const layer = this.boardState.findLayer(this.backgroundEditLayerId);
             if (layer && layer.background) {
                 this.isDraggingBackground = true;
+                this.draggedBackgroundOriginalPos = { x: layer.background.x, y: layer.background.y };
                 return;
             }
         }
@@ -384,7 +989,7 @@ class Board {
             for (const token of [...layer.tokens].reverse()) {
                 const dx = pos.x - token.x;
                 const dy = pos.y - token.y;
-                const radius = this.sizeMap[token.size] || 20;
+                const radius = this.getTokenRadius(token);
                 if (Math.sqrt(dx * dx + dy * dy) < radius) {
                     this.draggedToken = token;
                     this.draggedTokenLayerId = layer.id;
@@ -396,6 +1001,17 @@ class Board {
             }
         }
 
+        const templateHit = this.findTemplateAt(pos);
+        if (templateHit) {
+            const template = templateHit.template;
+            this.draggedTemplate = template;
+            this.templateDragMode = templateHit.mode;
+            this.draggedTemplateOriginal = { x: template.x, y: template.y, angle: template.angle };
+            this.dragOffsetX = pos.x - template.x;
+            this.dragOffsetY = pos.y - template.y;
+            return;
+        }
+
         this.isPanning = true;
         this.lastPanX = e.clientX;
         this.lastPanY = e.clientY;
@@ -405,16 +1021,32 @@ class Board {
         if (e.button === 2) { // Right-click
             this.draggedToken = null;
             this.draggedTokenLayerId = null;
+            this.draggedTemplate = null;
             this.isPanning = false;
             return;
         }
 
+        if (this.tool) {
+            this.tool.onPointerUp(this.getMousePos(e), e);
+            return;
+        }
+
         if (this.isDraggingBackground) {
             const layer = this.boardState.findLayer(this.backgroundEditLayerId);
             if (layer && layer.background) {
-                this.onBackgroundMoveRequested(this.backgroundEditLayerId, layer.background.x, layer.background.y);
+                this.onBackgroundMoveRequested(this.backgroundEditLayerId, layer.background.x, layer.background.y, this.draggedBackgroundOriginalPos);
             }
             this.isDraggingBackground = false;
+            this.draggedBackgroundOriginalPos = null;
+        } else if (this.draggedTemplate) {
+            const template = this.draggedTemplate;
+            const original = this.draggedTemplateOriginal;
+            if (template.x !== original.x || template.y !== original.y || template.angle !== original.angle) {
+                this.onTemplateMoveRequested(template.id, template.x, template.y, template.angle, original);
+            }
+            this.draggedTemplate = null;
+            this.templateDragMode = null;
+            this.draggedTemplateOriginal = null;
         } else if (this.draggedToken) {
             const mouseUpPos = { x: e.clientX, y: e.clientY };
             const moveDist = Math.sqrt(Math.pow(mouseUpPos.x - this.mouseDownPos.x, 2) + Math.pow(mouseUpPos.y - this.mouseDownPos.y, 2));
@@ -432,8 +1064,7 @@ class Board {
                 }
                 this.onTokenSelected(this.selectedTokenLayerId, this.selectedTokenId);
             } else { // It's a drag
-                const pos = this.getMousePos(e);
-                this.onTokenMoveRequested(this.draggedTokenLayerId, this.draggedToken.id, pos.x, pos.y);
+                this.dropToken(e.altKey);
             }
         }
 
@@ -453,21 +1084,40 @@ class Board {
             for (const token of [...layer.tokens].reverse()) {
                 const dx = pos.x - token.x;
                 const dy = pos.y - token.y;
-                const radius = this.sizeMap[token.size] || 20;
+                const radius = this.getTokenRadius(token);
                 if (Math.sqrt(dx * dx + dy * dy) < radius) {
                     this.onTokenContextMenu(layer.id, token.id, e.clientX, e.clientY);
                     return;
                 }
             }
         }
+
+        const templateHit = this.findTemplateAt(pos);
+        if (templateHit) {
+            this.onTemplateContextMenu(templateHit.template.id, e.clientX, e.clientY);
+        }
     }
 
     onDoubleClick(e) {
         const pos = this.getMousePos(e);
+        if (this.tool) {
+            this.tool.onDoubleClick(pos, e);
+            return;
+        }
         this.onPingRequested(pos);
     }
 
+    onKeyDown(e) {
+        if (this.tool && !['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName)) {
+            this.tool.onKeyDown(e);
+        }
+    }
+
     onMouseMove(e) {
+        if (this.tool) {
+            this.tool.onPointerMove(this.getMousePos(e), e);
+            return;
+        }
         if (this.isDraggingBackground) {
             const layer = this.boardState.findLayer(this.backgroundEditLayerId);
             if (layer && layer.background) {
@@ -479,6 +1129,15 @@ class Board {
             const pos = this.getMousePos(e);
             this.draggedToken.x = pos.x - this.dragOffsetX;
             this.draggedToken.y = pos.y - this.dragOffsetY;
+        } else if (this.draggedTemplate) {
+            const pos = this.getMousePos(e);
+            const template = this.draggedTemplate;
+            if (this.templateDragMode === 'rotate') {
+                template.angle = Math.atan2(pos.y - template.y, pos.x - template.x);
+            } else {
+                template.x = pos.x - this.dragOffsetX;
+                template.y = pos.y - this.dragOffsetY;
+            }
         } else if (this.isPanning) {
             const dx = e.clientX - this.lastPanX;
             const dy = e.clientY - this.lastPanY;
@@ -507,11 +1166,22 @@ class Board {
     }
 
     onTouchStart(e) {
+        if (this.tool && e.touches.length === 1) {
+            this.tool.onPointerDown(this.getMousePos(e.touches[0]), e);
+            return;
+        }
         if (e.touches.length === 1) {
             const touch = e.touches[0];
             const pos = this.getMousePos(touch);
             this.mouseDownPos = { x: touch.clientX, y: touch.clientY };
 
+            if (this.readOnly) {
+                this.isPanning = true;
+                this.lastTouchX = touch.clientX;
+                this.lastTouchY = touch.clientY;
+                return;
+            }
+
             this.longPressTimeout = setTimeout(() => {
                 for (const layer of [...this.boardState.layers].reverse()) {
                     const isInteractable = layer.visible || this.role === 'gm';
@@ -520,7 +1190,7 @@ class Board {
                     for (const token of [...layer.tokens].reverse()) {
                     const dx = pos.x - token.x;
                     const dy = pos.y - token.y;
-                    const radius = this.sizeMap[token.size] || 20;
+                    const radius = this.getTokenRadius(token);
                     if (Math.sqrt(dx * dx + dy * dy) < radius) {
                         this.onTokenContextMenu(layer.id, token.id, touch.clientX, touch.clientY);
                         this.longPressTimeout = null;
@@ -534,6 +1204,7 @@ class Board {
                 const layer = this.boardState.findLayer(this.backgroundEditLayerId);
                 if (layer && layer.background) {
                     this.isDraggingBackground = true;
+                    this.draggedBackgroundOriginalPos = { x: layer.background.x, y: layer.background.y };
                     return;
                 }
             }
@@ -545,7 +1216,7 @@ class Board {
                 for (const token of [...layer.tokens].reverse()) {
                     const dx = pos.x - token.x;
                     const dy = pos.y - token.y;
-                    const radius = this.sizeMap[token.size] || 20;
+                    const radius = this.getTokenRadius(token);
                     if (Math.sqrt(dx * dx + dy * dy) < radius) {
                     this.draggedToken = token;
                     this.draggedTokenLayerId = layer.id;
@@ -573,15 +1244,21 @@ class Board {
             clearTimeout(this.longPressTimeout);
         }
 
+        if (this.tool && e.changedTouches.length === 1) {
+            this.tool.onPointerUp(this.getMousePos(e.changedTouches[0]), e);
+            return;
+        }
+
         const currentTime = new Date().getTime();
         const tapLength = currentTime - this.lastTap;
 
         if (this.isDraggingBackground) {
             const layer = this.boardState.findLayer(this.backgroundEditLayerId);
             if (layer && layer.background) {
-                this.onBackgroundMoveRequested(this.backgroundEditLayerId, layer.background.x, layer.background.y);
+                this.onBackgroundMoveRequested(this.backgroundEditLayerId, layer.background.x, layer.background.y, this.draggedBackgroundOriginalPos);
             }
             this.isDraggingBackground = false;
+            this.draggedBackgroundOriginalPos = null;
         } else if (this.draggedToken) {
             const touch = e.changedTouches[0];
             const moveDist = Math.sqrt(Math.pow(touch.clientX - this.mouseDownPos.x, 2) + Math.pow(touch.clientY - this.mouseDownPos.y, 2));
@@ -606,7 +1283,7 @@ class Board {
                     this.lastTap = currentTime;
                 }
             } else { // It's a drag
-                this.onTokenMoveRequested(this.draggedTokenLayerId, this.draggedToken.id, this.draggedToken.x, this.draggedToken.y);
+                this.dropToken(false);
             }
         }
 
@@ -622,6 +1299,10 @@ class Board {
         if (this.longPressTimeout) {
             clearTimeout(this.longPressTimeout);
         }
+        if (this.tool && e.touches.length === 1) {
+            this.tool.onPointerMove(this.getMousePos(e.touches[0]), e);
+            return;
+        }
         if (this.isDraggingBackground && e.touches.length === 1) {
             const layer = this.boardState.findLayer(this.backgroundEditLayerId);
             if (layer && layer.background) {
@@ -73,7 +73,10 @@ export class BoardManager {
         layerEl.style.top = `${layer.background.y || 0}px`;
         layerEl.style.width = `${layer.background.width * layer.background.scale}px`;
         layerEl.style.height = `${layer.background.height * layer.background.scale}px`;
-        layerEl.style.backgroundImage = `url(${layer.background.url})`;
+        const backgroundUrl = layer.background.assetId ? this.session.assets.getUrl(layer.background.assetId) : layer.background.url;
+        if (backgroundUrl) {
+          layerEl.style.backgroundImage = `url(${backgroundUrl})`;
+        }
 
         if (this.session.role === 'gm' && this.backgroundEditStates.get(layer.id)) {
             layerEl.classList.add('editing-background');
@@ -537,30 +540,27 @@ export class BoardManager {
   }
 
   /** @private */
-  setLayerBackground(layerId, file) {
+  async setLayerBackground(layerId, file) {
     const layer = this.session.vtt.layers.find(l => l.id === layerId);
     if (!layer || !file) return;
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const imageUrl = e.target.result;
-      const image = new Image();
-      image.onload = () => {
-        // Now we have the dimensions
-        layer.background = {
-          url: imageUrl,
-          width: image.naturalWidth,
-          height: image.naturalHeight,
-          scale: 1,
-          x: layer.background?.x || 0, // Preserve position if replacing background
-          y: layer.background?.y || 0,
-        };
-        this.renderVtt();
-        this.renderLayerControls(); // Re-render controls to show the clear button
-        this.callbacks.broadcastMessage({ type: 'game-state-update', vtt: this.session.vtt });
+    // Store the image once by hash; the board state only references its id.
+    const assetId = await this.session.assets.add(file);
+    const image = new Image();
+    image.onload = () => {
+      // Now we have the dimensions
+      layer.background = {
+        assetId,
+        width: image.naturalWidth,
+        height: image.naturalHeight,
+        scale: 1,
+        x: layer.background?.x || 0, // Preserve position if replacing background
+        y: layer.background?.y || 0,
       };
-      image.src = imageUrl;
+      this.renderVtt();
+      this.renderLayerControls(); // Re-render controls to show the clear button
+      this.callbacks.broadcastMessage({ type: 'layer-background-changed', layerId, background: layer.background });
     };
-    reader.readAsDataURL(file);
+    image.src = this.session.assets.getUrl(assetId);
   }
 }
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Combat turn order.
+ *
+ * The combat state lists the combatants in turn order. Each entry refers to
+ * a token and carries its `initiative` (null until entered or rolled) and
+ * whether it is `hidden` from players. The GM runs the tracker and
+ * broadcasts the whole state in 'combat-changed' events.
+ */
+
+export const DEFAULT_COMBAT = {
+  active: false,
+  round: 1,
+  activeEntryId: null,
+  entries: [],
+};
+
+/**
+ * @param {Array<object>} entries
+ * @returns {Array<object>} The entries by descending initiative, those without one last.
+ */
+export function sortByInitiative(entries) {
+  // Array#sort is stable, so ties keep the order the GM gave them.
+  return [...entries].sort((a, b) => (b.initiative ?? -Infinity) - (a.initiative ?? -Infinity));
+}
+
+/**
+ * @param {number} [modifier=0] The combatant's initiative bonus.
+ * @returns {number} A d20 roll plus the modifier.
+ */
+export function rollInitiative(modifier = 0) {
+  return Math.floor(Math.random() * 20) + 1 + modifier;
+}
+
+/**
+ * @param {object} combat
+ * @returns {{activeEntryId: string|null, round: number}} The turn after the current one.
+ */
+export function nextTurn(combat) {
+  const { entries, activeEntryId, round } = combat;
+  if (entries.length === 0) return { activeEntryId: null, round };
+  const index = entries.findIndex(e => e.id === activeEntryId);
+  if (index === -1) return { activeEntryId: entries[0].id, round };
+  if (index === entries.length - 1) return { activeEntryId: entries[0].id, round: round + 1 };
+  return { activeEntryId: entries[index + 1].id, round };
+}
+
+/**
+ * @param {object} combat
+ * @returns {{activeEntryId: string|null, round: number}} The turn before the current one.
+ */
+export function previousTurn(combat) {
+  const { entries, activeEntryId, round } = combat;
+  if (entries.length === 0) return { activeEntryId: null, round };
+  const index = entries.findIndex(e => e.id === activeEntryId);
+  if (index > 0) return { activeEntryId: entries[index - 1].id, round };
+  // Stepping back past the first combatant returns to the previous round.
+  if (index === 0 && round > 1) return { activeEntryId: entries[entries.length - 1].id, round: round - 1 };
+  return { activeEntryId: entries[0].id, round };
+}
+
+/**
+ * @param {object} combat
+ * @returns {object|null} The entry whose turn it is.
+ */
+export function activeEntry(combat) {
+  if (!combat.active) return null;
+  return combat.entries.find(e => e.id === combat.activeEntryId) || null;
+}
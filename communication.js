@@ -1,4 +1,31 @@
 import { WebRTCManager } from './webrtc.js';
+import { AssetTransfer, collectAssetIds } from './assets.js';
+import { TRANSIENT_EVENT_TYPES, canPlayerClaimToken, canPlayerDrawOnLayer, canPlayerEditTemplate, canPlayerEraseDrawing, canPlayerEditToken, canPlayerMoveToken, isStateEvent } from './permissions.js';
+import { isTokenVisibleToPlayers, projectEventForPlayer, projectLayersForPlayer } from './projection.js';
+import { snapTokenPosition } from './grid.js';
+import { normalizeConditions, normalizeHp } from './stats.js';
+import { parseDice, randomSeed, rollWithSeeds, sha256Hex } from './dice.js';
+import { proveIdentity, verifyIdentity } from './identity.js';
+import { ManualSignaling, createSignaling } from './signaling.js';
+import { encodeSignal } from './invite-codec.js';
+import { normalizeTemplate } from './templates.js';
+import { normalizeDrawing } from './drawings.js';
+
+// Reconnection: ICE restarts back off from the base delay up to the maximum,
+// and a peer that hasn't recovered within the grace period is treated as gone.
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 16000;
+const DISCONNECT_GRACE_MS = 30000;
+// State events kept per peer, so one that missed some can be sent just those.
+const MAX_STATE_LOG = 500;
+// A player's roll not revealed within this time is logged as abandoned.
+const ROLL_REVEAL_TIMEOUT_MS = 15000;
+// The most rolls a player may have waiting to be revealed at once.
+const MAX_PENDING_ROLLS_PER_PEER = 5;
+
+// Token properties players may change on the tokens they own. Images only
+// as assets: a URL would have every peer fetch from a server the player picks.
+const PLAYER_APPEARANCE_PROPERTIES = ['name', 'showName', 'imageAssetId', 'imageShape'];
 
 /**
  * Manages all WebRTC communication, including invite creation,
@@ -12,11 +39,48 @@ export class CommunicationManager {
   constructor(session, ui) {
     this.session = session;
     this.ui = ui;
+
+    this.assetTransfer = new AssetTransfer(session.assets);
+    this.assetProgressSteps = new Map(); // <assetId, number> Last reported 10% step
+    this.assetTransfer.onprogress = (assetId, receivedBytes, totalBytes) => {
+      const step = Math.floor((receivedBytes / totalBytes) * 10);
+      if (this.assetProgressSteps.get(assetId) !== step) {
+        this.assetProgressSteps.set(assetId, step);
+        this.ui.updateStatus(`Receiving asset ${assetId.substring(0, 8)}... ${step * 10}%`);
+      }
+    };
+    this.assetTransfer.oncomplete = (assetId) => {
+      this.assetProgressSteps.delete(assetId);
+      this.ui.updateStatus(`Asset ${assetId.substring(0, 8)} received.`);
+      this._flushPendingAssetEvents(assetId);
+    };
+    this.pendingAssetEvents = new Map(); // GM only: <assetId, Array<event>> Waiting for a player's upload
+    this.pendingRolls = new Map(); // Player only: <rollId, seed> Committed, waiting for the GM's seed
+    this.rollChallenges = new Map(); // GM only: <`${peerId}:${rollId}`, { peerId, notation, commitment, secret, gmSeed, rolledAt, timer }>
+    this.reconnections = new Map(); // <peerId, { attempt, retryTimer, graceTimer }> Connections trying to recover
+    this.signaling = new ManualSignaling(); // How invites and answers travel before there is a data channel
+    this.outgoingStreams = new Map(); // Host only: <peerId, { seq, log }> The numbered state events sent to each peer
+    this.incomingStream = { seq: 0, pending: new Map(), resyncRequested: false }; // Player only: the host's events as applied so far
+  }
+
+  /**
+   * Switches to another signaling transport and joins it as this peer.
+   * @param {ManualSignaling|WebSocketSignaling} signaling
+   * @returns {Promise<void>}
+   * @throws {Error} If the transport can't be joined. Signaling is then manual.
+   */
+  async useSignaling(signaling) {
+    this.signaling.close();
+    this.signaling = new ManualSignaling();
+    signaling.onmessage = (from, payload) => this._handleSignalingMessage(from, payload);
+    await signaling.connect(this.session.myId);
+    this.signaling = signaling;
   }
 
   /**
    * GM: Creates an offer for a new player and generates an invite payload.
-   * This payload is then manually shared by the GM.
+   * This payload is then manually shared by the GM. It names the active
+   * signaling transport, so the player's answer can come back through it.
    */
   async createInvite() {
     this.ui.updateStatus('Creating invite...');
@@ -75,11 +139,12 @@ export class CommunicationManager {
       await goodCandidatePromise; // Wait for a good candidate or timeout
 
       const offer = rtcManager.peerConnection.localDescription;
-      const payload = { type: 'invite', inviteId, offer, from: this.session.myId };
-      const encodedPayload = btoa(JSON.stringify(payload));
+      const payload = { type: 'invite', inviteId, offer, from: this.session.myId, owner: this.session.originalGmId, signaling: this.signaling.describe() };
+      const encodedPayload = await encodeSignal(payload);
       const inviteLink = `${window.location.origin}${window.location.pathname}#${encodedPayload}`;
 
       this.ui.elements.gmSignalingData.value = inviteLink;
+      this.ui.renderQrCode(this.ui.elements.inviteQrCode, inviteLink);
       this.ui.elements.copyInviteBtn.style.display = 'inline-block';
 
       const hasGoodCandidate = offer && /a=candidate:.*typ\s+(srflx|relay|prflx)/.test(offer.sdp);
@@ -99,12 +164,28 @@ export class CommunicationManager {
 
   /**
    * Player: Handles a received invite from the GM. Creates an answer and
-   * places it in the text area to be sent back to the GM.
+   * sends it back through the signaling transport the invite names, or
+   * places it in the text area to be sent back to the GM by hand.
    * @param {object} payload The decoded invite payload from the URL.
    */
   async processInvite(payload) {
     this.ui.updateStatus(`Processing invite from GM (${payload.from})...`);
-    this.session.gmId = payload.from;
+    this.session.originalGmId = payload.owner || payload.from;
+    // A host waits for the returning GM to connect before handing over.
+    if (!this._isHost()) {
+      this.session.gmId = payload.from;
+      this.session.paused = false;
+      this._resetIncomingStream();
+      this.ui.onHostChanged();
+    }
+    // A GM coming back invites players who still hold a link to its previous tab.
+    const staleConnection = this.session.peers.get(payload.from);
+    if (staleConnection) {
+      this._clearReconnection(payload.from);
+      this.session.peers.delete(payload.from);
+      this.assetTransfer.cancelRequestsTo(payload.from);
+      staleConnection.close();
+    }
     const rtcManager = new WebRTCManager(payload.from);
     this.session.peers.set(payload.from, rtcManager);
     this.ui.updatePeerList();
@@ -119,14 +200,30 @@ export class CommunicationManager {
 
       this._setupConnectionHandlers(rtcManager, payload.from);
 
+      if (payload.signaling) {
+        try {
+          await this.useSignaling(createSignaling(payload.signaling));
+        } catch (err) {
+          console.warn('Falling back to manual signaling:', err);
+        }
+      }
+
       await rtcManager.setRemoteDescription(payload.offer);
       await rtcManager.createAnswer();
       await iceGatheringPromise;
 
-      const answerPayload = { type: 'answer', inviteId: payload.inviteId, from: this.session.myId, answer: rtcManager.peerConnection.localDescription };
-      this.ui.elements.playerSignalingData.value = btoa(JSON.stringify(answerPayload));
-      this.ui.openModal(this.ui.elements.playerAnswerDialog);
-      this.ui.updateStatus('Answer created. Send the copied text back to the GM.');
+      // Signing the invite proves to the GM that this is the same player as last time.
+      const identity = await proveIdentity(this.session.identity, `${payload.inviteId}:${this.session.myId}`);
+      const answerPayload = { type: 'answer', inviteId: payload.inviteId, from: this.session.myId, identity, answer: rtcManager.peerConnection.localDescription };
+      if (await this.signaling.send(payload.from, answerPayload)) {
+        this.ui.updateStatus('Answer sent to the GM. Connecting...');
+      } else {
+        const encodedAnswer = await encodeSignal(answerPayload);
+        this.ui.elements.playerSignalingData.value = encodedAnswer;
+        this.ui.renderQrCode(this.ui.elements.answerQrCode, encodedAnswer);
+        this.ui.openModal(this.ui.elements.playerAnswerDialog);
+        this.ui.updateStatus('Answer created. Send the copied text back to the GM.');
+      }
     } catch (err) {
       console.error('Error handling invite:', err);
       this.ui.updateStatus('Error handling invite. Check console.');
@@ -147,6 +244,26 @@ export class CommunicationManager {
       throw new Error(`No pending invite found for inviteId: ${payload.inviteId}`);
     }
 
+    const boardState = this.session.eventHandler.boardState;
+    const verified = !!payload.identity && await verifyIdentity(payload.from, payload.identity, `${payload.inviteId}:${payload.from}`);
+    if (payload.identity && !verified) {
+      throw new Error(`The answer from ${payload.from} carries an identity that does not check out.`);
+    }
+    if (!verified && boardState.players.some(p => p.peerId === payload.from)) {
+      throw new Error(`${payload.from} is a known player, but the answer does not prove it.`);
+    }
+
+    // A returning player's previous connection may not have noticed the refresh yet.
+    const staleConnection = this.session.peers.get(payload.from);
+    if (staleConnection) {
+      this.session.peers.delete(payload.from);
+      this.outgoingStreams.delete(payload.from);
+      staleConnection.close();
+    }
+    if (verified) {
+      this.broadcastMessage({ type: 'player-identified', peerId: payload.from, publicKey: payload.identity.publicKey, lastSeenAt: Date.now() });
+    }
+
     // Re-map the connection from the temporary inviteId to the final peerId
     this.session.peers.delete(payload.inviteId);
     this.session.peers.set(payload.from, rtcManager);
@@ -163,28 +280,62 @@ export class CommunicationManager {
   }
 
   /**
-   * Sends a message to all connected peers.
+   * Sends a message to all connected peers. Players may only broadcast
+   * transient events; state events must originate from the GM, who sends
+   * players only the parts of the board they may see.
    * @param {object} message The message object to send.
    */
   broadcastMessage(message) {
-    for (const peer of this.session.peers.values()) {
-      peer.send(message);
+    if (this.session.role !== 'gm' && isStateEvent(message.type)) {
+      console.error(`Only the GM may broadcast "${message.type}". Send a request to the GM instead.`);
+      return;
+    }
+    // Every recipient of a GM broadcast is a player, so they all get the same
+    // projection. It must be computed before the event is applied locally.
+    // Only the co-GM, who may have to take over at any moment, gets the whole board.
+    const boardState = this.session.eventHandler.boardState;
+    const outgoing = this.session.role === 'gm'
+      ? projectEventForPlayer(message, boardState)
+      : message;
+    for (const [peerId, peer] of this.session.peers) {
+      const forPeer = this.session.role === 'gm' && peerId === boardState.coGmId ? message : outgoing;
+      if (!forPeer) continue;
+      if (this.session.role === 'gm' && isStateEvent(forPeer.type)) {
+        this._sendState(peerId, forPeer);
+      } else {
+        peer.send(forPeer);
+      }
     }
     // Also process the message locally for the sender
     this.session.eventHandler.handleEvent(message);
   }
 
+  /**
+   * Player: Requests any assets referenced by the board state that have not
+   * been received yet from the GM.
+   */
+  requestMissingAssets() {
+    if (this.session.role !== 'player') return;
+    const gmConnection = this.session.peers.get(this.session.gmId);
+    if (!gmConnection || gmConnection.dataChannel?.readyState !== 'open') return;
+
+    for (const assetId of collectAssetIds(this.session.eventHandler.boardState.layers)) {
+      this.assetTransfer.request(gmConnection, assetId);
+    }
+  }
+
   /**
    * Player: Sends a request to the GM to move a token.
    * @param {string} layerId The ID of the layer containing the token.
    * @param {string} tokenId The ID of the token being moved.
    * @param {number} x The new x-coordinate.
    * @param {number} y The new y-coordinate.
+   * @param {boolean} [free=false] Whether the player bypassed snapping to the grid.
    */
-  sendTokenMoveRequest(layerId, tokenId, x, y) {
+  sendTokenMoveRequest(layerId, tokenId, x, y, free = false) {
     const gmConnection = this.session.peers.get(this.session.gmId);
     if (gmConnection) {
-      gmConnection.send({ type: 'token-move-request', layerId, tokenId, x, y });
+      gmConnection.send({ type: 'token-move-request', layerId, tokenId, x, y, free });
     }
   }
 
@@ -226,6 +377,409 @@ export class CommunicationManager {
     }
   }
 
+  /**
+   * Sends a chat message to one peer only, over the direct connection to
+   * that peer. Whispers are never relayed, so not even the GM sees them
+   * unless addressed.
+   * @param {string} peerId The recipient.
+   * @param {string} text
+   * @throws {Error} If there is no open connection to the recipient.
+   */
+  sendWhisper(peerId, text) {
+    const connection = this.session.peers.get(peerId);
+    if (!connection || connection.dataChannel?.readyState !== 'open') {
+      throw new Error(`Not connected to ${peerId}.`);
+    }
+    const whisper = {
+      type: 'chat-whisper',
+      id: `chat_${Math.random().toString(36).substring(2, 9)}`,
+      to: peerId,
+      text,
+      sentAt: Date.now(),
+    };
+    connection.send(whisper);
+    this.session.eventHandler.handleEvent({ ...whisper, peerId: this.session.myId });
+  }
+
+  /**
+   * Rolls dice for everyone to see, or for the GM only if secret.
+   * A player's roll is settled with the GM by commit-reveal, so the published
+   * result can be verified by every peer.
+   * @param {string} notation Dice notation, e.g. "4d6kh3+2".
+   * @param {boolean} [secret=false] Whether only the GM (and the roller) may see the result.
+   * @returns {Promise<void>}
+   * @throws {Error} If the notation is invalid.
+   */
+  async rollDice(notation, secret = false) {
+    parseDice(notation); // Throws on invalid notation before anything is sent.
+    const rollId = `roll_${Math.random().toString(36).substring(2, 9)}`;
+    const seed = randomSeed();
+    const commitment = await sha256Hex(seed);
+
+    if (this.session.role === 'gm') {
+      // The GM is trusted with the board already, so it supplies both seeds.
+      await this._publishRoll(this.session.myId, rollId, { notation, commitment, secret, gmSeed: randomSeed() }, seed);
+      return;
+    }
+    const gmConnection = this.session.peers.get(this.session.gmId);
+    if (gmConnection) {
+      this.pendingRolls.set(rollId, seed);
+      setTimeout(() => this.pendingRolls.delete(rollId), ROLL_REVEAL_TIMEOUT_MS);
+      gmConnection.send({ type: 'dice-roll-commit', rollId, notation, commitment, secret });
+    }
+  }
+
+  /**
+   * GM: Challenges a player's committed roll with the GM's seed. The roll is
+   * logged as pending straight away, so a roller who sees the GM's seed and
+   * never reveals theirs is logged as having abandoned the roll rather than
+   * quietly rolling again.
+   * @param {string} peerId The roller.
+   * @param {string} rollId
+   * @param {{notation: string, commitment: string, secret: boolean}} commit
+   * @private
+   */
+  _challengeRoll(peerId, rollId, commit) {
+    const waiting = [...this.rollChallenges.values()].filter(c => c.peerId === peerId).length;
+    if (waiting >= MAX_PENDING_ROLLS_PER_PEER) {
+      console.warn(`Ignoring roll from ${peerId}: too many rolls waiting to be revealed.`);
+      return;
+    }
+    const key = `${peerId}:${rollId}`;
+    const challenge = { peerId, ...commit, gmSeed: randomSeed(), rolledAt: Date.now() };
+    challenge.timer = setTimeout(() => {
+      this.rollChallenges.delete(key);
+      this._logRoll({ ...this._unsettledRoll(key, challenge), status: 'abandoned' });
+    }, ROLL_REVEAL_TIMEOUT_MS);
+    this.rollChallenges.set(key, challenge);
+
+    this._logRoll({ ...this._unsettledRoll(key, challenge), status: 'pending' });
+    this.session.peers.get(peerId)?.send({ type: 'dice-roll-challenge', rollId, gmSeed: challenge.gmSeed });
+  }
+
+  /**
+   * @param {string} id The roll's id in the log.
+   * @param {object} challenge
+   * @returns {object} A log entry for a roll that has no result yet.
+   * @private
+   */
+  _unsettledRoll(id, challenge) {
+    const { peerId, notation, secret, commitment, rolledAt } = challenge;
+    return { id, peerId, notation, secret, commitment, rolledAt };
+  }
+
+  /**
+   * GM: Rolls a revealed roll and publishes it. Secret rolls are sent to the
+   * roller directly instead of being broadcast.
+   * @param {string} peerId The roller.
+   * @param {string} rollId
+   * @param {{notation: string, commitment: string, secret: boolean, gmSeed: string}} challenge
+   * @param {string} seed The roller's revealed seed.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _publishRoll(peerId, rollId, challenge, seed) {
+    if (await sha256Hex(seed) !== challenge.commitment) {
+      console.warn(`Dropping roll ${rollId} from ${peerId}: the revealed seed does not match its commitment.`);
+      this._logRoll({ ...this._unsettledRoll(`${peerId}:${rollId}`, { ...challenge, peerId }), status: 'abandoned' });
+      return;
+    }
+    const result = await rollWithSeeds(challenge.notation, seed, challenge.gmSeed);
+    const roll = {
+      id: `${peerId}:${rollId}`,
+      peerId,
+      notation: challenge.notation,
+      secret: !!challenge.secret,
+      status: 'rolled',
+      commitment: challenge.commitment,
+      seed,
+      gmSeed: challenge.gmSeed,
+      total: result.total,
+      terms: result.terms,
+      rolledAt: challenge.rolledAt || Date.now(),
+    };
+    this._logRoll(roll);
+  }
+
+  /**
+   * GM: Adds a roll to the log, or updates the entry with its id. Secret
+   * rolls are sent to the roller directly instead of being broadcast.
+   * @param {object} roll
+   * @private
+   */
+  _logRoll(roll) {
+    const event = { type: 'dice-rolled', roll };
+    if (roll.secret) {
+      if (roll.peerId !== this.session.myId) this._sendState(roll.peerId, event);
+      this.session.eventHandler.handleEvent(event);
+    } else {
+      this.broadcastMessage(event);
+    }
+  }
+
+  /**
+   * Player: Asks the GM to change the hit points or conditions of a token this player owns.
+   * @param {string} layerId
+   * @param {string} tokenId
+   * @param {{hp?: object, conditions?: Array<string>}} stats The stats to change.
+   */
+  sendTokenStatsChangeRequest(layerId, tokenId, stats) {
+    const gmConnection = this.session.peers.get(this.session.gmId);
+    if (gmConnection) {
+      gmConnection.send({ type: 'token-stats-change-request', layerId, tokenId, ...stats });
+    }
+  }
+
+  /**
+   * Player: Asks the GM to change the name or image of a token this player owns.
+   * An uploaded image is fetched from this player by the GM.
+   * @param {string} layerId
+   * @param {string} tokenId
+   * @param {object} properties The appearance properties to change.
+   */
+  sendTokenAppearanceChangeRequest(layerId, tokenId, properties) {
+    const gmConnection = this.session.peers.get(this.session.gmId);
+    if (gmConnection) {
+      gmConnection.send({ type: 'token-appearance-change-request', layerId, tokenId, properties });
+    }
+  }
+
+  /**
+   * Player: Asks the GM to add a drawing to a layer open for player drawing.
+   * @param {string} layerId
+   * @param {object} drawing The drawing to add.
+   */
+  sendDrawingAddRequest(layerId, drawing) {
+    const gmConnection = this.session.peers.get(this.session.gmId);
+    if (gmConnection) {
+      gmConnection.send({ type: 'drawing-add-request', layerId, drawing });
+    }
+  }
+
+  /**
+   * Player: Asks the GM to erase one of this player's drawings.
+   * @param {string} layerId
+   * @param {string} drawingId
+   */
+  sendDrawingRemoveRequest(layerId, drawingId) {
+    const gmConnection = this.session.peers.get(this.session.gmId);
+    if (gmConnection) {
+      gmConnection.send({ type: 'drawing-remove-request', layerId, drawingId });
+    }
+  }
+
+  /**
+   * Player: Asks the GM to erase all of this player's drawings.
+   */
+  sendDrawingsClearRequest() {
+    const gmConnection = this.session.peers.get(this.session.gmId);
+    if (gmConnection) {
+      gmConnection.send({ type: 'drawings-clear-request' });
+    }
+  }
+
+  /**
+   * Player: Asks the GM to place an area-of-effect template owned by this player.
+   * @param {object} template The template to place.
+   */
+  sendTemplateAddRequest(template) {
+    const gmConnection = this.session.peers.get(this.session.gmId);
+    if (gmConnection) {
+      gmConnection.send({ type: 'template-add-request', template });
+    }
+  }
+
+  /**
+   * Player: Asks the GM to move or rotate one of this player's templates.
+   * @param {string} templateId
+   * @param {number} x The new origin x-coordinate.
+   * @param {number} y The new origin y-coordinate.
+   * @param {number} angle The new direction, in radians.
+   */
+  sendTemplateMoveRequest(templateId, x, y, angle) {
+    const gmConnection = this.session.peers.get(this.session.gmId);
+    if (gmConnection) {
+      gmConnection.send({ type: 'template-move-request', templateId, x, y, angle });
+    }
+  }
+
+  /**
+   * Player: Asks the GM to remove one of this player's templates.
+   * @param {string} templateId
+   */
+  sendTemplateRemoveRequest(templateId) {
+    const gmConnection = this.session.peers.get(this.session.gmId);
+    if (gmConnection) {
+      gmConnection.send({ type: 'template-remove-request', templateId });
+    }
+  }
+
+  /**
+   * GM: Names the player who sees the whole board and takes over if the GM
+   * leaves, or nobody.
+   * @param {string|null} peerId
+   */
+  setCoGm(peerId) {
+    if (this.session.role !== 'gm') return;
+    const previousCoGmId = this.session.eventHandler.boardState.coGmId;
+    this.broadcastMessage({ type: 'co-gm-changed', peerId });
+    // Show the new co-GM everything hidden so far, and hide it again from the previous one.
+    for (const id of new Set([previousCoGmId, peerId])) {
+      if (id) this._sendState(id, this._snapshotFor(id));
+    }
+  }
+
+  /**
+   * GM: Hands authority to the co-GM and stays on as a player, who can
+   * reclaim it later.
+   * @throws {Error} If there is no connected co-GM.
+   */
+  handOffToCoGm() {
+    const coGmId = this.session.eventHandler.boardState.coGmId;
+    if (this.session.role !== 'gm' || this.session.peers.get(coGmId)?.dataChannel?.readyState !== 'open') {
+      throw new Error('Choose a connected co-GM first.');
+    }
+    this._handOffTo(coGmId);
+  }
+
+  /** Original GM: Asks whoever hosts now to hand authority back. */
+  reclaimHost() {
+    if (this.session.role !== 'player' || this.session.originalGmId !== this.session.myId) return;
+    this.session.peers.get(this.session.gmId)?.send({ type: 'host-reclaim' });
+  }
+
+  /**
+   * @returns {boolean} Whether this peer is the GM or stands in for one.
+   * @private
+   */
+  _isHost() {
+    return this.session.role === 'gm' || this.session.role === 'host';
+  }
+
+  /**
+   * @param {string} peerId
+   * @returns {object} A 'game-state-update' with the board as the peer may see it.
+   * @private
+   */
+  _snapshotFor(peerId) {
+    const boardState = this.session.eventHandler.boardState;
+    const snapshot = { type: 'game-state-update', vtt: boardState.serialize() };
+    return this.session.role === 'gm' && peerId === boardState.coGmId ? snapshot : projectEventForPlayer(snapshot, boardState);
+  }
+
+  /**
+   * Player: Picks who stands in for a host that is gone. The co-GM takes
+   * over if it is still here. Otherwise the player with the lowest id hosts
+   * with play paused, as players only hold the board as they see it. Every
+   * player arrives at the same choice on its own.
+   * @private
+   */
+  _electHost() {
+    const coGmId = this.session.eventHandler.boardState.coGmId;
+    const connected = [...this.session.peers]
+      .filter(([, peer]) => peer.dataChannel?.readyState === 'open')
+      .map(([peerId]) => peerId);
+
+    if (coGmId === this.session.myId) {
+      this._becomeHost({ paused: false });
+    } else if (connected.includes(coGmId)) {
+      this._followHost(coGmId, false);
+    } else {
+      const hostId = [this.session.myId, ...connected].sort()[0];
+      if (hostId === this.session.myId) {
+        this._becomeHost({ paused: true });
+      } else {
+        this._followHost(hostId, true);
+      }
+    }
+  }
+
+  /**
+   * Takes over as host. With the whole board, this peer becomes the GM;
+   * otherwise it only keeps the session together, with play paused, until
+   * the GM returns.
+   * @param {object} options
+   * @param {boolean} options.paused
+   * @param {object|null} [options.vtt] The whole board, handed over by the previous host.
+   * @param {string|null} [options.previousHostId] Becomes co-GM, if it handed over the whole board.
+   * @private
+   */
+  _becomeHost({ paused, vtt = null, previousHostId = null }) {
+    this.session.role = paused ? 'host' : 'gm';
+    this.session.gmId = null;
+    this.session.paused = paused;
+    this.outgoingStreams.clear();
+    for (const peer of this.session.peers.values()) {
+      peer.send({ type: 'host-changed', hostId: this.session.myId, paused });
+    }
+    if (!paused) {
+      const boardState = this.session.eventHandler.boardState;
+      if (vtt) {
+        this.session.eventHandler.handleEvent({ type: 'game-state-update', vtt: { ...vtt, coGmId: previousHostId } });
+      } else if (boardState.coGmId === this.session.myId) {
+        boardState.coGmId = null;
+      }
+      this.broadcastMessage({ type: 'game-state-update', vtt: boardState.serialize() });
+    }
+    this.ui.updateStatus(paused ? 'The GM is gone. You are hosting until they return; play is paused.' : 'You are now the GM.');
+    this.ui.onHostChanged();
+  }
+
+  /**
+   * Takes the board from another host from now on.
+   * @param {string} hostId
+   * @param {boolean} paused Whether the host only stands in until the GM returns.
+   * @private
+   */
+  _followHost(hostId, paused) {
+    // The new host numbers its events afresh. Hearing about the same host twice changes nothing.
+    if (hostId !== this.session.gmId) this._resetIncomingStream();
+    this.session.role = 'player';
+    this.session.gmId = hostId;
+    this.session.paused = paused;
+    if (paused) {
+      this.ui.updateStatus(`The GM is gone. ${hostId} is hosting until they return; play is paused.`);
+    } else if (!this.session.peers.has(hostId)) {
+      this.ui.updateStatus(`${hostId} is the GM again. Open their new invite link here to reconnect.`);
+    } else {
+      this.ui.updateStatus(`${hostId} is now the GM.`);
+    }
+    this.ui.onHostChanged();
+  }
+
+  /**
+   * Host: Passes authority to a peer, along with the whole board if this
+   * peer has it. A paused host has only the players' view, so the peer
+   * keeps its own board.
+   * @param {string} peerId
+   * @private
+   */
+  _handOffTo(peerId) {
+    const vtt = this.session.role === 'gm' ? this.session.eventHandler.boardState.serialize() : null;
+    this.session.peers.get(peerId).send({ type: 'host-handoff', vtt });
+    for (const [otherPeerId, other] of this.session.peers) {
+      if (otherPeerId !== peerId) {
+        other.send({ type: 'host-changed', hostId: peerId, paused: false });
+      }
+    }
+    this._followHost(peerId, false);
+  }
+
+  /**
+   * Whether to follow an announcement of a new host. The current host may
+   * pass authority on; anyone else may only claim it for themselves, and
+   * only if they are the GM or the co-GM.
+   * @param {string} senderId
+   * @param {string} hostId
+   * @returns {boolean}
+   * @private
+   */
+  _mayHost(senderId, hostId) {
+    if (senderId === this.session.gmId) return true;
+    const coGmId = this.session.eventHandler.boardState.coGmId;
+    return senderId === hostId && (hostId === this.session.originalGmId || hostId === coGmId);
+  }
+
   /**
    * Sets up the data channel and connection state handlers for a given connection.
    * @param {WebRTCManager} rtcManager The manager for the connection.
@@ -235,80 +789,373 @@ export class CommunicationManager {
     rtcManager.ontrack = (event) => {
       console.log(`Received track from ${peerId}`);
       if (event.streams && event.streams[0]) {
-        let audioEl = this.session.peerAudioElements.get(peerId);
-        if (!audioEl) {
-          audioEl = document.createElement('audio');
-          audioEl.autoplay = true;
-          document.body.appendChild(audioEl); // Add to body, keep it out of sight
-          this.session.peerAudioElements.set(peerId, audioEl);
-        }
-        audioEl.srcObject = event.streams[0];
+        this.session.voices.add(peerId, event.streams[0]);
+        this.ui.updateSpatialAudio();
         this.ui.updatePeerList(); // Re-render peer list to show controls
       }
     };
 
     rtcManager.ondatachannelopen = () => {
         this.ui.updateStatus(`Data channel with ${peerId} is open.`);
+        if (this.session.displayName) {
+            rtcManager.send({ type: 'display-name-changed', name: this.session.displayName });
+        }
 
-        if (this.session.role === 'gm' && peerId !== this.session.gmId) {
-            // Create a token for the new player and add it to the local state first.
-            const playerLayer = this.session.eventHandler.boardState.findLayer(l => l.name === 'Player Layer');
-            if (playerLayer) {
-                const newPlayerToken = { id: `token_${peerId}`, peerId, x: 50, y: 50, color: `#${Math.floor(Math.random()*16777215).toString(16).padStart(6, '0')}` };
-                this.session.eventHandler.handleEvent({ type: 'token-added', layerId: playerLayer.id, tokenData: newPlayerToken });
-            }
+        if (this._isHost() && peerId === this.session.originalGmId && peerId !== this.session.myId) {
+            // The GM is back: hand its session over.
+            this._handOffTo(peerId);
+        } else if (this.session.role === 'gm' && peerId !== this.session.gmId) {
+            // The newcomer's stream of state events starts with the whole board.
+            this.outgoingStreams.delete(peerId);
+            this._sendState(peerId, this._snapshotFor(peerId));
 
-            // Now, broadcast the entire, updated game state to everyone.
-            // This ensures the new player gets the full picture, and existing players see the new token.
-            this.broadcastMessage({ type: 'game-state-update', vtt: { layers: this.session.eventHandler.boardState.layers } });
+            // Then everyone, newcomer included, gets a token for a new player.
+            // Returning players still own the tokens they had.
+            const boardState = this.session.eventHandler.boardState;
+            const playerLayer = boardState.layers.find(l => l.name === 'Player Layer');
+            const ownsToken = boardState.layers.some(l => l.tokens.some(t => t.peerId === peerId));
+            if (playerLayer && !ownsToken) {
+                const newPlayerToken = { id: `token_${peerId}`, peerId, x: 50, y: 50, hpVisibility: 'all', color: `#${Math.floor(Math.random()*16777215).toString(16).padStart(6, '0')}` };
+                this.broadcastMessage({ type: 'token-added', layerId: playerLayer.id, tokenData: newPlayerToken });
+            }
 
-            // Then, handle P2P offer exchanges for audio chat.
-            const offers = Array.from(this.session.p2pOffers.entries());
-            if (offers.length > 0) {
-                rtcManager.send({ type: 'p2p-offer-list', offers });
+            // Then have every other player offer the newcomer a direct connection.
+            for (const [otherPeerId, other] of this.session.peers) {
+                if (otherPeerId !== peerId && other.dataChannel?.readyState === 'open') {
+                    other.send({ type: 'request-p2p-offer', to: peerId });
+                }
             }
-            rtcManager.send({ type: 'request-p2p-offer' });
         }
     };
 
     rtcManager.onmessage = (msg) => this._handleMessage(peerId, msg);
+    rtcManager.onbinarymessage = (frame) => this.assetTransfer.handleChunk(frame);
 
     rtcManager.onconnectionstatechange = (state) => {
       this.ui.updateStatus(`Connection with ${peerId} is now ${state}.`);
-      if (state === 'disconnected' || state === 'failed' || state === 'closed') {
-        this.ui.updateStatus(`Peer ${peerId} has disconnected.`);
-        this.session.peers.delete(peerId);
+      // A connection replaced by the peer reconnecting no longer speaks for it.
+      if (this.session.peers.get(peerId) !== rtcManager) return;
 
-        const audioEl = this.session.peerAudioElements.get(peerId);
-        if (audioEl) {
-          audioEl.remove(); // Remove from DOM
-          this.session.peerAudioElements.delete(peerId);
-        }
+      if (state === 'connected') {
+        this._endReconnecting(peerId);
+      } else if (state === 'disconnected' || state === 'failed') {
+        // Often transient: try to recover before treating the peer as gone.
+        this._beginReconnecting(peerId, rtcManager);
+      } else if (state === 'closed') {
+        this._removePeer(peerId, rtcManager);
+      }
+    };
+  }
 
-        if (this.session.role === 'gm') {
-          this.session.p2pOffers.delete(peerId);
-
-          const changes = {
-            removedTokenId: `token_${peerId}`, // The ID of the player's original token
-            unclaimedTokens: [] // Other tokens the player might have controlled
-          };
-
-          // Find and mark for unclaiming any other tokens the player might have controlled
-          this.session.vtt.layers.forEach(l => {
-            l.tokens.forEach(t => {
-              if (t.peerId === peerId && t.id !== changes.removedTokenId) {
-                changes.unclaimedTokens.push({ layerId: l.id, tokenId: t.id });
-              }
-            });
+  /**
+   * Tears down everything belonging to a peer that is gone for good.
+   * @param {string} peerId
+   * @param {WebRTCManager} rtcManager The peer's connection.
+   * @private
+   */
+  _removePeer(peerId, rtcManager) {
+    if (this.session.peers.get(peerId) !== rtcManager) return;
+    this._clearReconnection(peerId);
+    this.ui.updateStatus(`Peer ${peerId} has disconnected.`);
+    this.session.peers.delete(peerId);
+    this.outgoingStreams.delete(peerId);
+    this.assetTransfer.cancelRequestsTo(peerId);
+
+    this.session.voices.remove(peerId);
+
+    if (this.session.role === 'gm') {
+      // Identified players keep their tokens until they return.
+      const boardState = this.session.eventHandler.boardState;
+      if (!boardState.players.some(p => p.peerId === peerId)) {
+        const changes = {
+          removedTokenId: `token_${peerId}`, // The ID of the player's original token
+          unclaimedTokens: [] // Other tokens the player might have controlled
+        };
+
+        // Find and mark for unclaiming any other tokens the player might have controlled
+        boardState.layers.forEach(l => {
+          l.tokens.forEach(t => {
+            if (t.peerId === peerId && t.id !== changes.removedTokenId) {
+              changes.unclaimedTokens.push({ layerId: l.id, tokenId: t.id });
+            }
           });
+        });
+
+        // Broadcast a targeted update instead of the full game state
+        this.broadcastMessage({ type: 'player-disconnected-update', changes });
+      }
+    } else if (peerId === this.session.gmId) {
+      this._electHost();
+    }
+    this.ui.updatePeerList();
+    this.ui.updateSpatialAudio();
+  }
+
+  /**
+   * Whether the connection to a peer dropped and is trying to recover.
+   * @param {string} peerId
+   * @returns {boolean}
+   */
+  isReconnecting(peerId) {
+    return this.reconnections.has(peerId);
+  }
+
+  /**
+   * Starts recovering a dropped connection: one side restarts ICE with
+   * backoff, and both give up once the grace period ends.
+   * @param {string} peerId
+   * @param {WebRTCManager} rtcManager The peer's connection.
+   * @private
+   */
+  _beginReconnecting(peerId, rtcManager) {
+    if (this.reconnections.has(peerId)) return; // 'failed' usually follows 'disconnected'.
+
+    const graceTimer = setTimeout(() => {
+      this.ui.updateStatus(`Could not reconnect to ${peerId}.`);
+      this._removePeer(peerId, rtcManager);
+      rtcManager.close();
+    }, DISCONNECT_GRACE_MS);
+    this.reconnections.set(peerId, { attempt: 0, retryTimer: null, graceTimer });
+    this.ui.updateStatus(`Lost contact with ${peerId}. Reconnecting...`);
+    this.ui.updatePeerList();
+
+    // Only one side offers, so both restarts can't collide.
+    const restartsIce = this.session.role === 'gm' || (peerId !== this.session.gmId && this.session.myId < peerId);
+    if (restartsIce) {
+      this._scheduleIceRestart(peerId, rtcManager);
+    }
+  }
+
+  /**
+   * @param {string} peerId
+   * @param {WebRTCManager} rtcManager
+   * @private
+   */
+  _scheduleIceRestart(peerId, rtcManager) {
+    const reconnection = this.reconnections.get(peerId);
+    if (!reconnection) return;
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** reconnection.attempt, RECONNECT_MAX_DELAY_MS);
+    reconnection.retryTimer = setTimeout(async () => {
+      reconnection.attempt++;
+      try {
+        await rtcManager.createIceRestartOffer();
+        const description = await rtcManager.waitForIceGathering();
+        if (this.reconnections.get(peerId) !== reconnection) return; // Recovered meanwhile.
+        await this._sendSignal(peerId, { type: 'ice-restart-offer', description });
+      } catch (err) {
+        console.warn(`ICE restart with ${peerId} failed:`, err);
+      }
+      this._scheduleIceRestart(peerId, rtcManager);
+    }, delay);
+  }
+
+  /**
+   * Finishes a recovery once the connection is back, and has a player
+   * fetch what changed on the board while it was away.
+   * @param {string} peerId
+   * @private
+   */
+  _endReconnecting(peerId) {
+    if (!this.reconnections.has(peerId)) return;
+    this._clearReconnection(peerId);
+    this.ui.updateStatus(`Reconnected to ${peerId}.`);
+    this.ui.updatePeerList();
+    if (this.session.role === 'player' && peerId === this.session.gmId) {
+      this.session.peers.get(peerId).send({ type: 'state-resync-request', since: this.incomingStream.seq });
+    }
+  }
 
-          // Broadcast a targeted update instead of the full game state
-          this.broadcastMessage({ type: 'player-disconnected-update', changes });
+  /**
+   * @param {string} peerId
+   * @private
+   */
+  _clearReconnection(peerId) {
+    const reconnection = this.reconnections.get(peerId);
+    if (!reconnection) return;
+    clearTimeout(reconnection.retryTimer);
+    clearTimeout(reconnection.graceTimer);
+    this.reconnections.delete(peerId);
+  }
+
+  /**
+   * Sends renegotiation to a peer, never over the link being renegotiated,
+   * since that may be the one that broke. Signals between players go
+   * through the GM. Signals between the GM and a player go through the
+   * signaling server, or, without one, through another player.
+   * @param {string} peerId
+   * @param {object} signal
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sendSignal(peerId, signal) {
+    if (!this._isHost() && peerId !== this.session.gmId) {
+      this.session.peers.get(this.session.gmId)?.send({ type: 'signal-relay', to: peerId, signal });
+      return;
+    }
+    if (await this.signaling.send(peerId, { type: 'renegotiation', from: this.session.myId, signal })) return;
+
+    const relay = [...this.session.peers].find(([id, peer]) => id !== peerId && !this.reconnections.has(id) && peer.dataChannel?.readyState === 'open');
+    if (relay) {
+      relay[1].send({ type: 'signal-relay', to: peerId, signal });
+    } else {
+      console.warn(`No signaling server or other player to reach ${peerId} through. Waiting for the connection to recover on its own.`);
+    }
+  }
+
+  /**
+   * Whether to take renegotiation of the link with the GM, or as the GM with
+   * a player, from someone other than the GM. Only while that link is down.
+   * @param {string} peerId The other end of the link.
+   * @returns {boolean}
+   * @private
+   */
+  _acceptsRelayedHostSignal(peerId) {
+    return (this._isHost() || peerId === this.session.gmId) && this.isReconnecting(peerId);
+  }
+
+  /**
+   * Host: Sends a state event to a peer as the next in that peer's numbered
+   * stream, and keeps it in case the peer misses it.
+   * @param {string} peerId
+   * @param {object} event The event as the peer may see it.
+   * @private
+   */
+  _sendState(peerId, event) {
+    const peer = this.session.peers.get(peerId);
+    // Nothing is sent before the channel opens; a newcomer's stream starts with a snapshot.
+    if (peer?.dataChannel?.readyState !== 'open') return;
+    let stream = this.outgoingStreams.get(peerId);
+    if (!stream) {
+      stream = { seq: 0, log: [] };
+      this.outgoingStreams.set(peerId, stream);
+    }
+    const numbered = { ...event, seq: ++stream.seq };
+    // A snapshot makes everything before it unnecessary.
+    stream.log = event.type === 'game-state-update' ? [] : [...stream.log, numbered].slice(-MAX_STATE_LOG);
+    peer.send(numbered);
+  }
+
+  /**
+   * Host: Sends a peer the state events it missed, or a snapshot if they
+   * are no longer kept.
+   * @param {string} peerId
+   * @param {number} [since] The last event the peer applied.
+   * @private
+   */
+  _resendState(peerId, since) {
+    const stream = this.outgoingStreams.get(peerId);
+    if (stream && Number.isInteger(since) && since <= stream.seq) {
+      const missed = stream.log.filter(e => e.seq > since);
+      if (since === stream.seq || missed[0]?.seq === since + 1) {
+        missed.forEach(e => this.session.peers.get(peerId).send(e));
+        return;
+      }
+    }
+    this._sendState(peerId, this._snapshotFor(peerId));
+  }
+
+  /**
+   * Player: Applies the host's state events in order. Events after a gap
+   * wait until the missing ones are resent, and a snapshot replaces
+   * everything before it. Snapshots are never resent, so one is always new.
+   * @param {object} event A numbered state event.
+   * @private
+   */
+  _receiveState(event) {
+    const stream = this.incomingStream;
+    if (!Number.isInteger(event.seq)) {
+      // Outside the stream it can't be ordered, and would leave a gap nothing fills.
+      console.warn(`Dropping "${event.type}" from the GM: it is not numbered.`);
+      return;
+    }
+    if (event.type === 'game-state-update') {
+      stream.seq = event.seq - 1;
+      for (const seq of stream.pending.keys()) {
+        if (seq < event.seq) stream.pending.delete(seq);
+      }
+    }
+    if (event.seq <= stream.seq) return; // Applied already.
+
+    stream.pending.set(event.seq, event);
+    while (stream.pending.has(stream.seq + 1)) {
+      const next = stream.pending.get(++stream.seq);
+      stream.pending.delete(stream.seq);
+      this.session.eventHandler.handleEvent(next);
+    }
+
+    if (stream.pending.size === 0) {
+      stream.resyncRequested = false;
+    } else if (!stream.resyncRequested) {
+      stream.resyncRequested = true;
+      console.warn(`Missed state events after #${stream.seq}. Asking the GM to resend them.`);
+      this.session.peers.get(this.session.gmId)?.send({ type: 'state-resync-request', since: stream.seq });
+    }
+  }
+
+  /**
+   * Player: Forgets the previous host's numbering, for a new host starting its own.
+   * @private
+   */
+  _resetIncomingStream() {
+    this.incomingStream = { seq: 0, pending: new Map(), resyncRequested: false };
+  }
+
+  /**
+   * Handles renegotiation from a peer, directly or relayed by the GM.
+   * @param {string} peerId The peer the signal is from.
+   * @param {object} signal
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleSignal(peerId, signal) {
+    const rtcManager = this.session.peers.get(peerId);
+    if (!rtcManager) return;
+    try {
+      switch (signal.type) {
+        case 'ice-restart-offer': {
+          await rtcManager.setRemoteDescription(signal.description);
+          await rtcManager.createAnswer();
+          const description = await rtcManager.waitForIceGathering();
+          await this._sendSignal(peerId, { type: 'ice-restart-answer', description });
+          break;
         }
-        this.ui.updatePeerList();
-        this.ui.updateDistanceBasedAudio();
+        case 'ice-restart-answer':
+          if (rtcManager.peerConnection.signalingState === 'have-local-offer') {
+            await rtcManager.setRemoteDescription(signal.description);
+          }
+          break;
       }
-    };
+    } catch (err) {
+      console.warn(`Renegotiation with ${peerId} failed:`, err);
+    }
+  }
+
+  /**
+   * Handles a payload that arrived through the signaling transport.
+   * @param {string} from The sender's peer id, as the transport knows it.
+   * @param {object} payload
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleSignalingMessage(from, payload) {
+    if (payload?.type === 'renegotiation') {
+      // The server vouches for the sender, like the host does for relayed signals.
+      if (payload.from === from && this._acceptsRelayedHostSignal(from)) {
+        await this._handleSignal(from, payload.signal);
+      }
+      return;
+    }
+    if (this.session.role !== 'gm' || payload?.type !== 'answer') return;
+    if (payload.from !== from) {
+      console.warn(`Dropping an answer from ${from} that claims to be from ${payload.from}.`);
+      return;
+    }
+    try {
+      await this.processAnswer(payload);
+    } catch (err) {
+      console.error('Error processing answer:', err);
+      this.ui.updateStatus(`Error: Could not accept the answer from ${from}. Check console.`);
+    }
   }
 
   /**
@@ -319,41 +1166,50 @@ export class CommunicationManager {
   _handleMessage(peerId, msg) {
     console.log(`Received message from ${peerId}:`, msg);
 
-    switch (msg.type) {
-      case 'game-state-update':
-      case 'token-moved':
-      case 'token-deleted':
-      case 'token-added':
-      case 'token-property-changed':
-      case 'token-ownership-changed':
-      case 'player-disconnected-update':
-      case 'layer-added':
-      case 'layer-deleted':
-      case 'layer-visibility-changed':
-      case 'layer-renamed':
-      case 'layer-background-changed':
-      case 'layer-background-cleared':
-      case 'layer-background-scaled':
-      case 'layer-background-moved':
-      case 'ping':
-        this.session.eventHandler.handleEvent(msg);
-        break;
+    if (isStateEvent(msg.type)) {
+      // Only the GM is authoritative. Drop state events from anyone else,
+      // including other players on direct P2P links.
+      if (this.session.role === 'gm' || peerId !== this.session.gmId) {
+        console.warn(`Dropping "${msg.type}" from ${peerId}: only the GM may change the board.`);
+        return;
+      }
+      this._receiveState(msg);
+      return;
+    }
+
+    if (TRANSIENT_EVENT_TYPES.has(msg.type)) {
+      // Overlays are attributed to the peer that actually sent them.
+      const event = { ...msg, peerId };
+      if (event.announcement && peerId !== this.session.gmId) {
+        event.announcement = false; // Only the GM makes announcements.
+      }
+      if (event.type === 'chat-whisper' && event.to !== this.session.myId) return;
+      this.session.eventHandler.handleEvent(event);
+      return;
+    }
+
+    const boardState = this.session.eventHandler.boardState;
 
+    switch (msg.type) {
       case 'token-move-request':
         if (this.session.role === 'gm') {
-          const layer = this.session.eventHandler.boardState.findLayer(msg.layerId);
-          const token = layer?.tokens.find(t => t.id === msg.tokenId);
-          if (token) {
-            this.broadcastMessage({ type: 'token-moved', layerId: msg.layerId, tokenId: msg.tokenId, x: msg.x, y: msg.y });
+          if (canPlayerMoveToken(boardState, peerId, msg.layerId, msg.tokenId) && [msg.x, msg.y].every(Number.isFinite)) {
+            // Snap here as well, so every peer ends up with the same position.
+            const token = boardState.findToken(msg.layerId, msg.tokenId);
+            const requested = { x: msg.x, y: msg.y };
+            const pos = msg.free ? requested : snapTokenPosition(requested, token.size, boardState.grid);
+            this.broadcastMessage({ type: 'token-moved', layerId: msg.layerId, tokenId: msg.tokenId, x: pos.x, y: pos.y });
+          } else {
+            this._rejectTokenMove(peerId, msg.layerId, msg.tokenId);
           }
         }
         break;
 
       case 'claim-token-request':
-        if (this.session.role === 'gm') {
+        if (this.session.role === 'gm' && canPlayerClaimToken(boardState, peerId, msg.layerId, msg.tokenId)) {
           const changes = [];
           // Unclaim any other token owned by the requesting player
-          this.session.eventHandler.boardState.layers.forEach(l => {
+          boardState.layers.forEach(l => {
               l.tokens.forEach(t => {
                   if (t.peerId === peerId) {
                       changes.push({ layerId: l.id, tokenId: t.id, newOwner: null });
@@ -361,28 +1217,20 @@ export class CommunicationManager {
               });
           });
           // Claim the new token
-          const layer = this.session.eventHandler.boardState.findLayer(msg.layerId);
-          const token = layer?.tokens.find(t => t.id === msg.tokenId);
-          if (token) {
-              changes.push({ layerId: layer.id, tokenId: token.id, newOwner: peerId });
-          }
+          changes.push({ layerId: msg.layerId, tokenId: msg.tokenId, newOwner: peerId });
           this.broadcastMessage({ type: 'token-ownership-changed', changes });
         }
         break;
 
       case 'unclaim-token-request':
-        if (this.session.role === 'gm') {
-            const layer = this.session.eventHandler.boardState.findLayer(msg.layerId);
-            const token = layer?.tokens.find(t => t.id === msg.tokenId);
-            if (token && token.peerId === peerId) {
-                const changes = [{ layerId: layer.id, tokenId: token.id, newOwner: null }];
-                this.broadcastMessage({ type: 'token-ownership-changed', changes });
-            }
+        if (this.session.role === 'gm' && canPlayerEditToken(boardState, peerId, msg.layerId, msg.tokenId)) {
+          const changes = [{ layerId: msg.layerId, tokenId: msg.tokenId, newOwner: null }];
+          this.broadcastMessage({ type: 'token-ownership-changed', changes });
         }
         break;
 
       case 'token-color-change-request':
-        if (this.session.role === 'gm') {
+        if (this.session.role === 'gm' && canPlayerEditToken(boardState, peerId, msg.layerId, msg.tokenId)) {
           this.broadcastMessage({ 
               type: 'token-property-changed', 
               layerId: msg.layerId, 
@@ -392,34 +1240,222 @@ export class CommunicationManager {
         }
         break;
 
-      case 'p2p-offer':
+      case 'token-size-change-request':
+        if (this.session.role === 'gm' && canPlayerEditToken(boardState, peerId, msg.layerId, msg.tokenId)) {
+          this.broadcastMessage({
+              type: 'token-property-changed',
+              layerId: msg.layerId,
+              tokenId: msg.tokenId,
+              properties: { size: msg.size }
+          });
+        }
+        break;
+
+      case 'dice-roll-commit':
+        if (this.session.role === 'gm') {
+          try {
+            parseDice(msg.notation);
+          } catch (err) {
+            console.warn(`Ignoring roll from ${peerId}: ${err.message}`);
+            break;
+          }
+          if (!this.rollChallenges.has(`${peerId}:${msg.rollId}`)) {
+            this._challengeRoll(peerId, msg.rollId, { notation: msg.notation, commitment: String(msg.commitment), secret: !!msg.secret });
+          }
+        }
+        break;
+
+      case 'dice-roll-challenge':
+        if (peerId === this.session.gmId && this.pendingRolls.has(msg.rollId)) {
+          const seed = this.pendingRolls.get(msg.rollId);
+          this.pendingRolls.delete(msg.rollId);
+          this.session.peers.get(peerId).send({ type: 'dice-roll-reveal', rollId: msg.rollId, seed });
+        }
+        break;
+
+      case 'dice-roll-reveal':
+        if (this.session.role === 'gm' && this.rollChallenges.has(`${peerId}:${msg.rollId}`)) {
+          const challenge = this.rollChallenges.get(`${peerId}:${msg.rollId}`);
+          this.rollChallenges.delete(`${peerId}:${msg.rollId}`);
+          clearTimeout(challenge.timer);
+          this._publishRoll(peerId, msg.rollId, challenge, String(msg.seed));
+        }
+        break;
+
+      case 'token-stats-change-request':
+        if (this.session.role === 'gm' && canPlayerEditToken(boardState, peerId, msg.layerId, msg.tokenId)) {
+          const properties = {};
+          if ('hp' in msg) properties.hp = normalizeHp(msg.hp);
+          if ('conditions' in msg) properties.conditions = normalizeConditions(msg.conditions);
+          this.broadcastMessage({ type: 'token-property-changed', layerId: msg.layerId, tokenId: msg.tokenId, properties });
+        }
+        break;
+
+      case 'token-appearance-change-request':
+        if (this.session.role === 'gm' && canPlayerEditToken(boardState, peerId, msg.layerId, msg.tokenId)) {
+          const properties = {};
+          PLAYER_APPEARANCE_PROPERTIES.forEach(key => {
+            if (key in (msg.properties || {})) properties[key] = msg.properties[key];
+          });
+          // Players may still clear an image URL the GM set, when they replace or remove the image.
+          if (msg.properties?.imageUrl === null) properties.imageUrl = null;
+          const event = { type: 'token-property-changed', layerId: msg.layerId, tokenId: msg.tokenId, properties };
+          if (properties.imageAssetId && !this.session.assets.has(properties.imageAssetId)) {
+            this._broadcastWhenAssetArrives(peerId, properties.imageAssetId, event);
+          } else {
+            this.broadcastMessage(event);
+          }
+        }
+        break;
+
+      case 'drawing-add-request':
+        if (this.session.role === 'gm' && canPlayerDrawOnLayer(boardState, msg.layerId)) {
+          const drawing = normalizeDrawing({ ...msg.drawing, peerId }, boardState.findLayer(msg.layerId));
+          if (drawing) {
+            this.broadcastMessage({ type: 'drawing-added', layerId: msg.layerId, drawing });
+          }
+        }
+        break;
+
+      case 'drawing-remove-request':
+        if (this.session.role === 'gm' && canPlayerEraseDrawing(boardState, peerId, msg.layerId, msg.drawingId)) {
+          this.broadcastMessage({ type: 'drawing-removed', layerId: msg.layerId, drawingId: msg.drawingId });
+        }
+        break;
+
+      case 'drawings-clear-request':
         if (this.session.role === 'gm') {
-          this.session.p2pOffers.set(peerId, msg.offer);
-          for (const [id, peer] of this.session.peers) {
-            if (id !== peerId) {
-              peer.send({ type: 'p2p-offer-list', offers: [[peerId, msg.offer]] });
+          this.broadcastMessage({ type: 'drawings-cleared', peerId });
+        }
+        break;
+
+      case 'template-add-request':
+        if (this.session.role === 'gm') {
+          const template = normalizeTemplate({ ...msg.template, peerId }, boardState.grid);
+          if (template) {
+            this.broadcastMessage({ type: 'template-added', template });
+          }
+        }
+        break;
+
+      case 'template-move-request':
+        if (this.session.role === 'gm') {
+          if (canPlayerEditTemplate(boardState, peerId, msg.templateId) && [msg.x, msg.y, msg.angle].every(Number.isFinite)) {
+            this.broadcastMessage({ type: 'template-moved', templateId: msg.templateId, x: msg.x, y: msg.y, angle: msg.angle });
+          } else {
+            // Put the requester's optimistically moved template back.
+            const template = boardState.findTemplate(msg.templateId);
+            if (template) {
+              this._sendState(peerId, { type: 'template-moved', templateId: template.id, x: template.x, y: template.y, angle: template.angle });
             }
           }
         }
         break;
 
+      case 'template-remove-request':
+        if (this.session.role === 'gm' && canPlayerEditTemplate(boardState, peerId, msg.templateId)) {
+          this.broadcastMessage({ type: 'template-removed', templateId: msg.templateId });
+        }
+        break;
+
+      case 'asset-request':
+        if (this.session.role === 'gm') {
+          const requester = this.session.peers.get(peerId);
+          const visibleAssetIds = collectAssetIds(projectLayersForPlayer(boardState.layers));
+          if (requester && visibleAssetIds.has(msg.assetId)) {
+            this.assetTransfer.sendAsset(requester, msg.assetId);
+          } else if (requester) {
+            // Never serve images that are only used on hidden layers.
+            requester.send({ type: 'asset-unavailable', assetId: msg.assetId });
+          }
+        } else if (peerId === this.session.gmId) {
+          // The GM fetches images players upload for their own tokens.
+          this.assetTransfer.sendAsset(this.session.peers.get(peerId), msg.assetId);
+        }
+        break;
+
+      case 'asset-start':
+        this.assetTransfer.handleStart(msg);
+        break;
+
+      case 'asset-unavailable':
+        this.assetTransfer.handleUnavailable(msg);
+        this.pendingAssetEvents.delete(msg.assetId);
+        break;
+
+      case 'p2p-offer':
+        // Host: Passes a player's offer on to the player it is meant for.
+        if (this._isHost() && this.session.peers.has(msg.to)) {
+          this.session.peers.get(msg.to).send({ type: 'p2p-offer-list', offers: [[peerId, msg.offer]] });
+        }
+        break;
+
       case 'request-p2p-offer':
-        if (this.session.role === 'player') {
-          this._generateAndSendP2POffer(peerId); // peerId here is the GM's ID
+        if (this.session.role === 'player' && peerId === this.session.gmId && msg.to) {
+          this._generateAndSendP2POffer(msg.to);
         }
         break;
 
       case 'p2p-offer-list':
-        this._handleP2POfferList(msg.offers);
+        if (peerId === this.session.gmId) {
+          this._handleP2POfferList(msg.offers);
+        }
+        break;
+
+      case 'ice-restart-offer':
+      case 'ice-restart-answer':
+        this._handleSignal(peerId, msg);
+        break;
+
+      case 'signal-relay':
+        // Forwards renegotiation, vouching for the sender: the host between two
+        // players, and a player between the host and another player.
+        if ((this._isHost() || peerId === this.session.gmId || msg.to === this.session.gmId) && this.session.peers.has(msg.to)) {
+          this.session.peers.get(msg.to).send({ type: 'signal-relayed', from: peerId, signal: msg.signal });
+        }
+        break;
+
+      case 'signal-relayed':
+        if ((peerId === this.session.gmId && !this._isHost()) || this._acceptsRelayedHostSignal(msg.from)) {
+          this._handleSignal(msg.from, msg.signal);
+        }
+        break;
+
+      case 'state-resync-request':
+        if (this._isHost()) {
+          this._resendState(peerId, msg.since);
+        }
+        break;
+
+      case 'host-handoff':
+        if (this.session.role === 'player' && peerId === this.session.gmId) {
+          this._becomeHost({ paused: false, vtt: msg.vtt, previousHostId: peerId });
+        } else if (this.session.role === 'gm' && this.session.originalGmId === this.session.myId) {
+          // Back after leaving: whoever hosted meanwhile may have a newer board, but only the GM can tell.
+          const vtt = msg.vtt && this.ui.confirmBoardHandoff(peerId) ? msg.vtt : null;
+          this._becomeHost({ paused: false, vtt, previousHostId: peerId });
+        }
+        break;
+
+      case 'host-changed':
+        if (!this._isHost() && this._mayHost(peerId, msg.hostId)) {
+          this._followHost(msg.hostId, !!msg.paused);
+        }
+        break;
+
+      case 'host-reclaim':
+        if (this._isHost() && peerId === this.session.originalGmId) {
+          this._handOffTo(peerId);
+        }
         break;
 
       case 'p2p-answer':
-        if (this.session.role === 'gm') {
+        if (this._isHost()) {
           const targetPeer = this.session.peers.get(msg.to);
           if (targetPeer) {
-            targetPeer.send(msg);
+            targetPeer.send({ ...msg, from: peerId });
           }
-        } else {
+        } else if (peerId === this.session.gmId) {
           const p2pManager = this.session.peers.get(msg.from);
           if (p2pManager) {
             this.ui.updateStatus(`Received answer from ${msg.from}. Connecting...`);
@@ -431,33 +1467,84 @@ export class CommunicationManager {
   }
 
   /**
-   * Player: Generates a P2P offer and sends it to the GM.
-   * @param {string} gmId The ID of the GM to send the offer to.
+   * GM: Tells a player whose move request was refused where the token
+   * really is, undoing their optimistic local move.
+   * @param {string} peerId The requesting player.
+   * @param {string} layerId
+   * @param {string} tokenId
    */
-  async _generateAndSendP2POffer(gmId) {
-    this.ui.updateStatus('GM requested a P2P offer. Generating...');
-    try {
-      const p2pOfferManager = new WebRTCManager('p2p-offer-template');
-      const icePromise = new Promise(resolve => p2pOfferManager.peerConnection.onicecandidate = e => e.candidate === null && resolve());
+  _rejectTokenMove(peerId, layerId, tokenId) {
+    console.warn(`Rejected move of token ${tokenId} requested by ${peerId}.`);
+    const boardState = this.session.eventHandler.boardState;
+    const token = boardState.findToken(layerId, tokenId);
+    // Only correct tokens the player can see; anything else must not leak its position.
+    if (token && isTokenVisibleToPlayers(boardState, layerId, tokenId)) {
+      this._sendState(peerId, { type: 'token-moved', layerId, tokenId, x: token.x, y: token.y });
+    }
+  }
+
+  /**
+   * GM: Fetches an asset a player uploaded and broadcasts the event that
+   * uses it once the asset is here, so no player is told to show an image
+   * the GM can't serve yet.
+   * @param {string} peerId The player holding the asset.
+   * @param {string} assetId
+   * @param {object} event The state event referencing the asset.
+   * @private
+   */
+  async _broadcastWhenAssetArrives(peerId, assetId, event) {
+    const source = this.session.peers.get(peerId);
+    if (!source) return;
+    this.pendingAssetEvents.set(assetId, [...(this.pendingAssetEvents.get(assetId) || []), event]);
+    await this.assetTransfer.request(source, assetId);
+    // The asset may have been in the local library all along.
+    if (this.session.assets.has(assetId)) {
+      this._flushPendingAssetEvents(assetId);
+    }
+  }
+
+  /**
+   * GM: Broadcasts the events that were waiting for an asset.
+   * @param {string} assetId
+   * @private
+   */
+  _flushPendingAssetEvents(assetId) {
+    const events = this.pendingAssetEvents.get(assetId);
+    if (!events) return;
+    this.pendingAssetEvents.delete(assetId);
+    events.forEach(event => this.broadcastMessage(event));
+  }
 
+  /**
+   * Player: Offers a direct connection to another player, through the GM.
+   * The connection waits under the other player's id for their answer.
+   * @param {string} otherPeerId The player to connect to.
+   */
+  async _generateAndSendP2POffer(otherPeerId) {
+    if (this.session.peers.has(otherPeerId) || otherPeerId === this.session.myId) return;
+    this.ui.updateStatus(`GM requested a P2P offer for ${otherPeerId}. Generating...`);
+    const p2pManager = new WebRTCManager(otherPeerId);
+    this.session.peers.set(otherPeerId, p2pManager);
+    try {
       if (this.session.localStream) {
-        this.session.localStream.getTracks().forEach(track => p2pOfferManager.peerConnection.addTrack(track, this.session.localStream));
+        this.session.localStream.getTracks().forEach(track => p2pManager.peerConnection.addTrack(track, this.session.localStream));
       }
-      p2pOfferManager.setupDataChannel('p2p-data');
+      this._setupConnectionHandlers(p2pManager, otherPeerId);
+      p2pManager.setupDataChannel('p2p-data');
 
-      await p2pOfferManager.createOffer();
-      await icePromise;
+      await p2pManager.createOffer();
+      const offer = await p2pManager.waitForIceGathering();
 
-      const gmConnection = this.session.peers.get(gmId);
+      const gmConnection = this.session.peers.get(this.session.gmId);
       if (gmConnection) {
-        gmConnection.send({ type: 'p2p-offer', offer: p2pOfferManager.peerConnection.localDescription });
-        this.ui.updateStatus('P2P offer sent to GM.');
+        gmConnection.send({ type: 'p2p-offer', to: otherPeerId, offer });
+        this.ui.updateStatus(`P2P offer for ${otherPeerId} sent to GM.`);
       }
-
-      p2pOfferManager.close();
     } catch (err) {
       console.error("Failed to generate P2P offer:", err);
       this.ui.updateStatus("Error: Failed to generate P2P offer.");
+      this.session.peers.delete(otherPeerId);
+      p2pManager.close();
     }
   }
 
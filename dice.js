@@ -0,0 +1,227 @@
+/**
+ * Dice notation, rolling and verifiable randomness.
+ *
+ * Notation is a sum of terms such as `4d6kh3+2`, `d%`, `3d6!` or `adv+5`:
+ *   NdS      N dice with S sides (N defaults to 1, `d%` is a d100)
+ *   !        exploding: every maximum roll adds another die
+ *   khN/klN  keep the N highest/lowest dice (`k` alone means `kh`)
+ *   dhN/dlN  drop the N highest/lowest dice
+ *   adv/dis  a d20 rolled with advantage/disadvantage (`2d20kh1`/`2d20kl1`)
+ *
+ * Rolls are verifiable through commit-reveal: the roller commits to a secret
+ * seed by sending its hash, the GM answers with a seed of its own, and only
+ * then does the roller reveal its seed. The dice are drawn from both seeds,
+ * so neither side could steer the result, and anyone holding the published
+ * seeds can re-roll them and compare.
+ */
+
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+/** Stops `1d1!` and similar from exploding forever. */
+const MAX_EXPLOSIONS = 100;
+
+const DICE_TERM = /^(\d*)d(\d+|%)(!)?(?:(kh|kl|dh|dl|k)(\d+))?$/;
+const ALIASES = { adv: '2d20kh1', dis: '2d20kl1' };
+
+/**
+ * Parses dice notation.
+ * @param {string} notation
+ * @returns {Array<object>} The terms, each with a `sign` of 1 or -1.
+ * @throws {Error} If the notation is invalid or asks for too many dice.
+ */
+export function parseDice(notation) {
+  const compact = notation.toLowerCase().replace(/\s+/g, '');
+  if (!compact) throw new Error('Enter dice to roll, e.g. 1d20+3.');
+
+  const parts = compact.split(/([+-])/).filter(Boolean);
+  const terms = [];
+  let sign = 1;
+  let expectTerm = true;
+  parts.forEach(part => {
+    if (part === '+' || part === '-') {
+      if (!expectTerm) {
+        sign = part === '-' ? -1 : 1;
+        expectTerm = true;
+        return;
+      }
+      // A leading or doubled sign, as in `-1d4` or `1d6+-1`.
+      if (part === '-') sign = -sign;
+      return;
+    }
+    if (!expectTerm) throw new Error(`Unexpected "${part}" in "${notation}".`);
+    terms.push(parseTerm(ALIASES[part] || part, sign));
+    sign = 1;
+    expectTerm = false;
+  });
+  if (expectTerm) throw new Error(`"${notation}" ends with an operator.`);
+  return terms;
+}
+
+/**
+ * @param {string} text A single term, without its sign.
+ * @param {number} sign
+ * @returns {object}
+ */
+function parseTerm(text, sign) {
+  if (/^\d+$/.test(text)) {
+    return { kind: 'modifier', sign, value: parseInt(text, 10) };
+  }
+  const match = DICE_TERM.exec(text);
+  if (!match) throw new Error(`"${text}" is not valid dice notation.`);
+
+  const [, countText, sidesText, explode, keepMode, keepText] = match;
+  const count = countText ? parseInt(countText, 10) : 1;
+  const sides = sidesText === '%' ? 100 : parseInt(sidesText, 10);
+  if (count < 1 || count > MAX_DICE) throw new Error(`Roll between 1 and ${MAX_DICE} dice at a time.`);
+  if (sides < 1 || sides > MAX_SIDES) throw new Error(`Dice need between 1 and ${MAX_SIDES} sides.`);
+
+  const term = { kind: 'dice', sign, count, sides, explode: !!explode, keep: null };
+  if (keepMode) {
+    const n = parseInt(keepText, 10);
+    const mode = keepMode === 'k' ? 'kh' : keepMode;
+    // Express drops as keeps, so "drop the lowest 1" of 4 becomes "keep the highest 3".
+    term.keep = mode[0] === 'k'
+      ? { highest: mode === 'kh', count: Math.min(n, count) }
+      : { highest: mode === 'dl', count: Math.max(0, count - n) };
+  }
+  return term;
+}
+
+/**
+ * Rolls parsed dice.
+ * @param {Array<object>} terms As returned by parseDice.
+ * @param {function(number): number} randomInt Returns a whole number from 1 to the given number of sides.
+ * @returns {{total: number, terms: Array<object>}} The total and, per term, the dice rolled and which of them count.
+ */
+export function evaluateDice(terms, randomInt) {
+  const results = terms.map(term => {
+    if (term.kind === 'modifier') {
+      return { sign: term.sign, value: term.value };
+    }
+    const rolls = [];
+    for (let i = 0; i < term.count; i++) {
+      let value = randomInt(term.sides);
+      rolls.push({ value, kept: true });
+      let explosions = 0;
+      while (term.explode && term.sides > 1 && value === term.sides && explosions < MAX_EXPLOSIONS) {
+        value = randomInt(term.sides);
+        rolls.push({ value, kept: true, exploded: true });
+        explosions++;
+      }
+    }
+    if (term.keep) {
+      const ranked = rolls.map((roll, index) => ({ roll, index }))
+        .sort((a, b) => term.keep.highest ? b.roll.value - a.roll.value : a.roll.value - b.roll.value);
+      ranked.slice(term.keep.count).forEach(({ roll }) => { roll.kept = false; });
+    }
+    const value = rolls.filter(r => r.kept).reduce((sum, r) => sum + r.value, 0);
+    return { sign: term.sign, notation: formatTerm(term), rolls, value };
+  });
+  const total = results.reduce((sum, r) => sum + r.sign * r.value, 0);
+  return { total, terms: results };
+}
+
+/**
+ * @param {object} term A parsed dice term.
+ * @returns {string} The term in canonical notation.
+ */
+function formatTerm(term) {
+  let text = `${term.count}d${term.sides}${term.explode ? '!' : ''}`;
+  if (term.keep) text += `k${term.keep.highest ? 'h' : 'l'}${term.keep.count}`;
+  return text;
+}
+
+/**
+ * Describes the individual dice of a roll, e.g. "[6, 5, 4, (1)] + 2".
+ * Dice that don't count are in parentheses, exploded dice marked with "!".
+ * @param {{terms: Array<object>}} result As returned by evaluateDice.
+ * @returns {string}
+ */
+export function formatRollBreakdown(result) {
+  return result.terms.map((term, i) => {
+    const operator = term.sign < 0 ? (i === 0 ? '-' : ' - ') : (i === 0 ? '' : ' + ');
+    if (!term.rolls) return `${operator}${term.value}`;
+    const dice = term.rolls.map(r => {
+      const text = `${r.value}${r.exploded ? '!' : ''}`;
+      return r.kept ? text : `(${text})`;
+    });
+    return `${operator}[${dice.join(', ')}]`;
+  }).join('');
+}
+
+/**
+ * @returns {string} 32 random bytes, hex encoded.
+ */
+export function randomSeed() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<string>} The SHA-256 hash of the text, hex encoded.
+ */
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Creates a deterministic dice source from the roller's and the GM's seeds.
+ * @param {string} rollerSeed
+ * @param {string} gmSeed
+ * @returns {Promise<function(number): number>} Returns a whole number from 1 to the given number of sides.
+ */
+async function seededRandomInt(rollerSeed, gmSeed) {
+  const hash = await sha256Hex(`${rollerSeed}:${gmSeed}`);
+  // sfc32, seeded with the first 128 bits of the hash.
+  let [a, b, c, d] = [0, 8, 16, 24].map(i => parseInt(hash.substring(i, i + 8), 16));
+  const next = () => {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    let t = (a + b) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    d = (d + 1) | 0;
+    t = (t + d) | 0;
+    c = (c + t) | 0;
+    return t >>> 0;
+  };
+  return (sides) => {
+    // Reject the top of the range so every side is equally likely.
+    const limit = Math.floor(0x100000000 / sides) * sides;
+    let value;
+    do { value = next(); } while (value >= limit);
+    return (value % sides) + 1;
+  };
+}
+
+/**
+ * Rolls dice from the two seeds of a commit-reveal exchange.
+ * @param {string} notation
+ * @param {string} rollerSeed
+ * @param {string} gmSeed
+ * @returns {Promise<{total: number, terms: Array<object>}>}
+ * @throws {Error} If the notation is invalid.
+ */
+export async function rollWithSeeds(notation, rollerSeed, gmSeed) {
+  const terms = parseDice(notation);
+  return evaluateDice(terms, await seededRandomInt(rollerSeed, gmSeed));
+}
+
+/**
+ * Checks a published roll: the revealed seed must match the commitment
+ * made before the GM's seed was known, and re-rolling the seeds must give
+ * the published dice.
+ * @param {object} roll A roll as published in a 'dice-rolled' event.
+ * @returns {Promise<boolean>}
+ */
+export async function verifyRoll(roll) {
+  try {
+    if (await sha256Hex(roll.seed) !== roll.commitment) return false;
+    const result = await rollWithSeeds(roll.notation, roll.seed, roll.gmSeed);
+    return result.total === roll.total && JSON.stringify(result.terms) === JSON.stringify(roll.terms);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Freehand drawings and annotations stored on layers.
+ *
+ * A drawing is one of:
+ *   { kind: 'pen', points }             a freehand stroke
+ *   { kind: 'line', points: [a, b] }    a straight line
+ *   { kind: 'rect' | 'ellipse', rect }  a shape spanning a rectangle
+ *   { kind: 'text', x, y, text }        a text label
+ * plus an `id`, a `color`, a stroke `width` and the `peerId` of its author.
+ */
+
+const DRAWING_KINDS = new Set(['pen', 'line', 'rect', 'ellipse', 'text']);
+
+/** The most points a stroke may have. Longer strokes cost every peer too much to keep and draw. */
+const MAX_DRAWING_POINTS = 5000;
+
+/** The longest a text label may be, in characters. */
+const MAX_TEXT_LENGTH = 200;
+
+/** The widest a stroke may be. */
+const MAX_STROKE_WIDTH = 16;
+
+/**
+ * @param {Array<object>} points
+ * @returns {Array<{x: number, y: number}>|null} Copies of the points, or null if any is not a point.
+ */
+function normalizePoints(points) {
+  if (!Array.isArray(points) || points.length === 0 || points.length > MAX_DRAWING_POINTS) return null;
+  if (!points.every(p => Number.isFinite(p?.x) && Number.isFinite(p?.y))) return null;
+  return points.map(({ x, y }) => ({ x, y }));
+}
+
+/**
+ * Checks a drawing from a peer and brings its stroke within bounds.
+ * @param {object} drawing
+ * @param {object} layer The layer it is to be added to.
+ * @returns {object|null} The drawing to add, or null if it is not a valid drawing or its id is taken.
+ */
+export function normalizeDrawing(drawing, layer) {
+  const { id, kind, color, width, points, rect, x, y, text, peerId } = drawing || {};
+  if (typeof id !== 'string' || !DRAWING_KINDS.has(kind)) return null;
+  if ((layer.drawings || []).some(d => d.id === id)) return null;
+  if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) return null;
+  if (!Number.isFinite(width) || width <= 0) return null;
+
+  const normalized = { id, kind, color, width: Math.min(width, MAX_STROKE_WIDTH), peerId };
+  switch (kind) {
+    case 'pen':
+    case 'line':
+      normalized.points = normalizePoints(points);
+      if (!normalized.points || (kind === 'line' && normalized.points.length !== 2)) return null;
+      break;
+    case 'rect':
+    case 'ellipse':
+      if (![rect?.x, rect?.y, rect?.width, rect?.height].every(Number.isFinite) || rect.width < 0 || rect.height < 0) return null;
+      normalized.rect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+      break;
+    case 'text':
+      if (![x, y].every(Number.isFinite) || typeof text !== 'string' || text.length === 0) return null;
+      Object.assign(normalized, { x, y, text: text.slice(0, MAX_TEXT_LENGTH) });
+      break;
+  }
+  return normalized;
+}
+
+/**
+ * @param {number} width A drawing's stroke width.
+ * @returns {number} The font size used for text labels of that width.
+ */
+function fontSizeFor(width) {
+  return 8 + width * 4;
+}
+
+/**
+ * Draws a drawing onto a context transformed to board coordinates.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} drawing
+ */
+export function drawDrawing(ctx, drawing) {
+  ctx.save();
+  ctx.strokeStyle = drawing.color;
+  ctx.fillStyle = drawing.color;
+  ctx.lineWidth = drawing.width;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+
+  switch (drawing.kind) {
+    case 'pen':
+    case 'line':
+      ctx.moveTo(drawing.points[0].x, drawing.points[0].y);
+      drawing.points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+      if (drawing.points.length === 1) {
+        ctx.lineTo(drawing.points[0].x + 0.01, drawing.points[0].y);
+      }
+      ctx.stroke();
+      break;
+    case 'rect':
+      ctx.rect(drawing.rect.x, drawing.rect.y, drawing.rect.width, drawing.rect.height);
+      ctx.stroke();
+      break;
+    case 'ellipse':
+      ctx.ellipse(
+        drawing.rect.x + drawing.rect.width / 2,
+        drawing.rect.y + drawing.rect.height / 2,
+        drawing.rect.width / 2,
+        drawing.rect.height / 2,
+        0, 0, 2 * Math.PI
+      );
+      ctx.stroke();
+      break;
+    case 'text':
+      ctx.font = `${fontSizeFor(drawing.width)}px sans-serif`;
+      ctx.textBaseline = 'top';
+      ctx.fillText(drawing.text, drawing.x, drawing.y);
+      break;
+  }
+  ctx.restore();
+}
+
+/**
+ * @param {{x: number, y: number}} p
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {number} The distance from p to the segment from a to b.
+ */
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Whether a point touches a drawing's visible strokes (or a label's box).
+ * @param {object} drawing
+ * @param {{x: number, y: number}} pos
+ * @param {number} tolerance Extra distance that still counts as touching, in board units.
+ * @returns {boolean}
+ */
+export function hitTestDrawing(drawing, pos, tolerance) {
+  const reach = drawing.width / 2 + tolerance;
+  switch (drawing.kind) {
+    case 'pen':
+    case 'line':
+      if (drawing.points.length === 1) {
+        return Math.hypot(pos.x - drawing.points[0].x, pos.y - drawing.points[0].y) <= reach;
+      }
+      return drawing.points.slice(1).some((p, i) => distanceToSegment(pos, drawing.points[i], p) <= reach);
+    case 'rect': {
+      const { x, y, width, height } = drawing.rect;
+      const corners = [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+      return corners.some((c, i) => distanceToSegment(pos, c, corners[(i + 1) % 4]) <= reach);
+    }
+    case 'ellipse': {
+      const rx = drawing.rect.width / 2;
+      const ry = drawing.rect.height / 2;
+      if (rx === 0 || ry === 0) return false;
+      const dx = pos.x - (drawing.rect.x + rx);
+      const dy = pos.y - (drawing.rect.y + ry);
+      // Approximate the distance to the outline by scaling the normalized radius.
+      const normalized = Math.hypot(dx / rx, dy / ry);
+      return Math.abs(normalized - 1) * Math.min(rx, ry) <= reach;
+    }
+    case 'text': {
+      const size = fontSizeFor(drawing.width);
+      const width = drawing.text.length * size * 0.6;
+      return pos.x >= drawing.x - tolerance && pos.x <= drawing.x + width + tolerance &&
+        pos.y >= drawing.y - tolerance && pos.y <= drawing.y + size + tolerance;
+    }
+    default:
+      return false;
+  }
+}
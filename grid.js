@@ -0,0 +1,295 @@
+/**
+ * Board grid settings and geometry.
+ *
+ * A grid is square, hexagonal (pointy- or flat-topped) or absent. `size` is
+ * the distance between the centres of neighbouring cells, i.e. the width of a
+ * square or the flat-to-flat width of a hex. The offset places the grid over
+ * the map: for square grids it is a point where grid lines cross, for hex
+ * grids it is the centre of a cell.
+ */
+
+/** @typedef {'square'|'hex-pointy'|'hex-flat'|'none'} GridType */
+
+/** The grid boards start with. */
+export const DEFAULT_GRID = {
+  type: 'square',
+  size: 50,
+  offsetX: 0,
+  offsetY: 0,
+  color: '#444444',
+  opacity: 1,
+  snap: false, // Whether dropped tokens snap to the grid
+  unitsPerCell: 5,
+  unitName: 'ft',
+  diagonals: 'alternating', // 'alternating' (5/10/5) or 'euclidean'
+};
+
+/** How many cells across each token size covers. */
+export const TOKEN_FOOTPRINTS = { t: 1, s: 1, m: 1, l: 2, h: 3, g: 4 };
+
+/** Token radii as a fraction of the cell size. Smaller tokens leave room around them in their cell. */
+const TOKEN_RADIUS_FACTORS = { t: 0.2, s: 0.3, m: 0.4, l: 0.9, h: 1.35, g: 1.8 };
+
+/** Below this on-screen cell size the grid is too dense to be worth drawing. */
+const MIN_DRAWN_CELL_SIZE = 10;
+
+/**
+ * @param {object} grid The grid settings.
+ * @returns {number} The centre-to-corner radius of a hex cell.
+ */
+function hexRadius(grid) {
+  return grid.size / Math.sqrt(3);
+}
+
+/**
+ * @param {object} grid The grid settings.
+ * @param {number} col
+ * @param {number} row
+ * @returns {{x: number, y: number}} The centre of a hex cell, in "odd row" (pointy) or "odd column" (flat) layout.
+ */
+export function hexCellCenter(grid, col, row) {
+  const spacing = hexRadius(grid) * 1.5;
+  if (grid.type === 'hex-pointy') {
+    return { x: grid.offsetX + grid.size * (col + (row & 1) / 2), y: grid.offsetY + row * spacing };
+  }
+  return { x: grid.offsetX + col * spacing, y: grid.offsetY + grid.size * (row + (col & 1) / 2) };
+}
+
+/**
+ * Traces the outline of a hex cell onto the current path.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} grid The grid settings.
+ * @param {{x: number, y: number}} center The cell centre.
+ */
+function traceHex(ctx, grid, center) {
+  const radius = hexRadius(grid);
+  const startAngle = grid.type === 'hex-pointy' ? Math.PI / 6 : 0;
+  for (let i = 0; i <= 6; i++) {
+    const angle = startAngle + i * Math.PI / 3;
+    const x = center.x + radius * Math.cos(angle);
+    const y = center.y + radius * Math.sin(angle);
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  }
+}
+
+/**
+ * Traces the outline of the cell centred on a point onto the current path.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} grid Square or hex grid settings.
+ * @param {{x: number, y: number}} center The cell centre.
+ */
+export function traceCell(ctx, grid, center) {
+  if (grid.type === 'square') {
+    ctx.rect(center.x - grid.size / 2, center.y - grid.size / 2, grid.size, grid.size);
+  } else {
+    traceHex(ctx, grid, center);
+  }
+}
+
+/**
+ * Lists the centres of all cells whose centre lies within an area.
+ * @param {object} grid The grid settings.
+ * @param {{left: number, top: number, right: number, bottom: number}} bounds The area, in board units.
+ * @returns {Array<{x: number, y: number}>} The cell centres; empty for gridless boards.
+ */
+export function cellCentersInBounds(grid, bounds) {
+  if (grid.type === 'none' || !(grid.size > 0)) return [];
+
+  const centers = [];
+  const inBounds = c => c.x >= bounds.left && c.x <= bounds.right && c.y >= bounds.top && c.y <= bounds.bottom;
+  if (grid.type === 'square') {
+    const firstCol = Math.floor((bounds.left - grid.offsetX) / grid.size);
+    const firstRow = Math.floor((bounds.top - grid.offsetY) / grid.size);
+    for (let y = grid.offsetY + (firstRow + 0.5) * grid.size; y <= bounds.bottom; y += grid.size) {
+      for (let x = grid.offsetX + (firstCol + 0.5) * grid.size; x <= bounds.right; x += grid.size) {
+        const center = { x, y };
+        if (inBounds(center)) centers.push(center);
+      }
+    }
+    return centers;
+  }
+
+  const spacing = hexRadius(grid) * 1.5;
+  const pointy = grid.type === 'hex-pointy';
+  const colStep = pointy ? grid.size : spacing;
+  const rowStep = pointy ? spacing : grid.size;
+  for (let row = Math.floor((bounds.top - grid.offsetY) / rowStep) - 1; row <= Math.ceil((bounds.bottom - grid.offsetY) / rowStep) + 1; row++) {
+    for (let col = Math.floor((bounds.left - grid.offsetX) / colStep) - 1; col <= Math.ceil((bounds.right - grid.offsetX) / colStep) + 1; col++) {
+      const center = hexCellCenter(grid, col, row);
+      if (inBounds(center)) centers.push(center);
+    }
+  }
+  return centers;
+}
+
+/**
+ * Draws the grid lines covering an area of the board.
+ * @param {CanvasRenderingContext2D} ctx A context transformed to board coordinates.
+ * @param {object} grid The grid settings.
+ * @param {{left: number, top: number, right: number, bottom: number}} bounds The visible area, in board units.
+ * @param {number} scale The current zoom, to keep lines one screen pixel wide.
+ */
+export function drawGridLines(ctx, grid, bounds, scale) {
+  if (grid.type === 'none' || !(grid.size > 0) || grid.size * scale < MIN_DRAWN_CELL_SIZE) return;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.strokeStyle = grid.color;
+  ctx.globalAlpha *= grid.opacity;
+  ctx.lineWidth = 1 / scale;
+
+  if (grid.type === 'square') {
+    const startX = grid.offsetX + Math.floor((bounds.left - grid.offsetX) / grid.size) * grid.size;
+    const startY = grid.offsetY + Math.floor((bounds.top - grid.offsetY) / grid.size) * grid.size;
+    for (let x = startX; x <= bounds.right; x += grid.size) {
+      ctx.moveTo(x, bounds.top);
+      ctx.lineTo(x, bounds.bottom);
+    }
+    for (let y = startY; y <= bounds.bottom; y += grid.size) {
+      ctx.moveTo(bounds.left, y);
+      ctx.lineTo(bounds.right, y);
+    }
+  } else {
+    const spacing = hexRadius(grid) * 1.5;
+    const pointy = grid.type === 'hex-pointy';
+    const colStep = pointy ? grid.size : spacing;
+    const rowStep = pointy ? spacing : grid.size;
+    // One extra cell on every side covers hexes that poke into view.
+    const firstCol = Math.floor((bounds.left - grid.offsetX) / colStep) - 1;
+    const lastCol = Math.ceil((bounds.right - grid.offsetX) / colStep) + 1;
+    const firstRow = Math.floor((bounds.top - grid.offsetY) / rowStep) - 1;
+    const lastRow = Math.ceil((bounds.bottom - grid.offsetY) / rowStep) + 1;
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let col = firstCol; col <= lastCol; col++) {
+        traceHex(ctx, grid, hexCellCenter(grid, col, row));
+      }
+    }
+  }
+
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Derives grid settings from one cell the GM dragged out over the map.
+ * @param {object} grid The current grid settings; its type is kept.
+ * @param {{x: number, y: number, width: number, height: number}} cell The dragged rectangle, in board units.
+ * @returns {object|null} The calibrated grid settings, or null if the rectangle is too small.
+ */
+export function calibrateGrid(grid, cell) {
+  if (cell.width < 2 || cell.height < 2) return null;
+
+  if (grid.type === 'hex-pointy' || grid.type === 'hex-flat') {
+    // Hexes are measured flat side to flat side: across for pointy, down for flat.
+    const size = grid.type === 'hex-pointy' ? cell.width : cell.height;
+    return { ...grid, size, offsetX: cell.x + cell.width / 2, offsetY: cell.y + cell.height / 2 };
+  }
+
+  const size = (cell.width + cell.height) / 2;
+  return { ...grid, type: 'square', size, offsetX: cell.x % size, offsetY: cell.y % size };
+}
+
+/**
+ * @param {string} size A token size: t, s, m, l, h or g.
+ * @param {object} grid The grid settings.
+ * @returns {number} The radius of a token of that size, in board units.
+ */
+export function tokenRadius(size, grid) {
+  return (TOKEN_RADIUS_FACTORS[size] || TOKEN_RADIUS_FACTORS.m) * grid.size;
+}
+
+/**
+ * Finds the hex cell centre nearest to a point.
+ * @param {{x: number, y: number}} point
+ * @param {object} grid Hex grid settings.
+ * @returns {{x: number, y: number}}
+ */
+function nearestHexCenter(point, grid) {
+  const spacing = hexRadius(grid) * 1.5;
+  const pointy = grid.type === 'hex-pointy';
+  const col = Math.round((point.x - grid.offsetX) / (pointy ? grid.size : spacing));
+  const row = Math.round((point.y - grid.offsetY) / (pointy ? spacing : grid.size));
+
+  // The rounded cell is close; the nearest centre is it or one of its neighbours.
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (let r = row - 1; r <= row + 1; r++) {
+    for (let c = col - 1; c <= col + 1; c++) {
+      const center = hexCellCenter(grid, c, r);
+      const distance = Math.hypot(center.x - point.x, center.y - point.y);
+      if (distance < nearestDistance) {
+        nearest = center;
+        nearestDistance = distance;
+      }
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Snaps a token position to the grid. Tokens covering an odd number of
+ * square cells centre in a cell, even ones on a grid intersection; on hex
+ * grids every token centres in a hex.
+ * @param {{x: number, y: number}} point The unsnapped token centre.
+ * @param {string} size The token size: t, s, m, l, h or g.
+ * @param {object} grid The grid settings.
+ * @returns {{x: number, y: number}} The snapped position, or the point itself if snapping is off.
+ */
+export function snapTokenPosition(point, size, grid) {
+  if (!grid.snap || grid.type === 'none' || !(grid.size > 0)) return point;
+
+  if (grid.type === 'hex-pointy' || grid.type === 'hex-flat') {
+    return nearestHexCenter(point, grid);
+  }
+
+  const shift = ((TOKEN_FOOTPRINTS[size] || 1) % 2) / 2;
+  const snapAxis = (value, offset) => offset + (Math.round((value - offset) / grid.size - shift) + shift) * grid.size;
+  return { x: snapAxis(point.x, grid.offsetX), y: snapAxis(point.y, grid.offsetY) };
+}
+
+/**
+ * Measures a path across the board the way the grid's rules count it.
+ *
+ * On square grids with alternating diagonals every second diagonal step
+ * costs two cells, counted along the whole path so waypoints don't reset
+ * it. Euclidean measurement, hex grids and gridless boards use straight-line
+ * length in cell sizes.
+ * @param {Array<{x: number, y: number}>} points The path, including waypoints.
+ * @param {object} grid The grid settings.
+ * @returns {{cells: number, distance: number}} The length in cells and in game units.
+ */
+export function measurePath(points, grid) {
+  let cells = 0;
+  let diagonals = 0;
+  for (let i = 1; i < points.length; i++) {
+    const dx = Math.abs(points[i].x - points[i - 1].x) / grid.size;
+    const dy = Math.abs(points[i].y - points[i - 1].y) / grid.size;
+
+    if (grid.type === 'square' && grid.diagonals === 'alternating') {
+      const stepsX = Math.round(dx);
+      const stepsY = Math.round(dy);
+      const diagonalSteps = Math.min(stepsX, stepsY);
+      const extra = Math.floor((diagonals + diagonalSteps) / 2) - Math.floor(diagonals / 2);
+      cells += Math.max(stepsX, stepsY) + extra;
+      diagonals += diagonalSteps;
+    } else {
+      cells += Math.hypot(dx, dy);
+    }
+  }
+  return { cells, distance: cells * grid.unitsPerCell };
+}
+
+/**
+ * @param {{cells: number, distance: number}} measurement A result of `measurePath`.
+ * @param {object} grid The grid settings.
+ * @returns {string} A label such as "6 sq · 30 ft".
+ */
+export function formatMeasurement(measurement, grid) {
+  const round = value => Math.round(value * 10) / 10;
+  const cellLabel = grid.type === 'hex-pointy' || grid.type === 'hex-flat' ? 'hex' : 'sq';
+  return `${round(measurement.cells)} ${cellLabel} · ${round(measurement.distance)} ${grid.unitName}`;
+}
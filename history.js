@@ -0,0 +1,296 @@
+/**
+ * Undo and redo for the GM's board edits.
+ *
+ * Before an edit is applied, its inverse is worked out from the board as it
+ * stands: the state events that put back what the edit changes. A deleted
+ * token comes back with all of its data, a deleted layer with its tokens and
+ * at its old place. Undoing broadcasts the inverse like any other edit, so
+ * every peer stays in step, and keeps the inverse of the inverse for redo.
+ *
+ * Edits the board shows before they are sent, like dragging a token, have
+ * already changed the board by the time they are recorded. Those pass what
+ * was there before the drag along.
+ */
+
+/** How many edits can be undone. */
+const MAX_HISTORY = 100;
+
+/** Repeated changes to the same thing within this time undo as one step, e.g. pressing a scale button a few times. */
+const MERGE_WINDOW_MS = 1000;
+
+/** Edits that merge with an earlier one of the same kind, see MERGE_WINDOW_MS. */
+const MERGING_TYPES = new Set(['layer-background-scaled', 'token-property-changed', 'grid-changed', 'lighting-changed', 'voice-changed']);
+
+/**
+ * @param {object} value
+ * @returns {object} A copy that later changes to the board don't reach.
+ */
+function snapshot(value) {
+  return structuredClone(value);
+}
+
+/**
+ * @param {object} current
+ * @param {Array<string>} keys
+ * @returns {object} The current values of the keys, null where unset.
+ */
+function pick(current, keys) {
+  return Object.fromEntries(keys.map(key => [key, snapshot(current[key] ?? null)]));
+}
+
+/**
+ * Works out the events that undo an edit.
+ * @param {object} event A state event that has not been applied yet.
+ * @param {object} boardState The board before the edit.
+ * @param {object} [before] What a moved token, template or background was at before the edit, if the board already shows the edit.
+ * @returns {Array<object>|null} The inverse events, in the order to apply them, or null if the edit can't be undone.
+ */
+export function inverseEvents(event, boardState, before = null) {
+  const layer = event.layerId ? boardState.findLayer(event.layerId) : null;
+
+  switch (event.type) {
+    case 'token-added':
+      return [{ type: 'token-deleted', layerId: event.layerId, tokenId: event.tokenData.id }];
+
+    case 'token-deleted': {
+      const token = boardState.findToken(event.layerId, event.tokenId);
+      return token ? [{ type: 'token-added', layerId: event.layerId, tokenData: snapshot(token) }] : null;
+    }
+
+    case 'token-moved': {
+      const token = boardState.findToken(event.layerId, event.tokenId);
+      if (!token) return null;
+      const from = before || token;
+      return [{ type: 'token-moved', layerId: event.layerId, tokenId: event.tokenId, x: from.x, y: from.y }];
+    }
+
+    case 'token-property-changed': {
+      const token = boardState.findToken(event.layerId, event.tokenId);
+      if (!token) return null;
+      const properties = pick(token, Object.keys(event.properties));
+      return [{ type: 'token-property-changed', layerId: event.layerId, tokenId: event.tokenId, properties }];
+    }
+
+    case 'token-ownership-changed': {
+      const changes = event.changes
+        .map(change => ({ change, token: boardState.findToken(change.layerId, change.tokenId) }))
+        .filter(({ token }) => token)
+        .map(({ change, token }) => ({ layerId: change.layerId, tokenId: change.tokenId, newOwner: token.peerId ?? null }));
+      return changes.length > 0 ? [{ type: 'token-ownership-changed', changes }] : null;
+    }
+
+    case 'layer-added':
+      return [{ type: 'layer-deleted', layerId: event.layer.id }];
+
+    case 'layer-deleted':
+      if (!layer) return null;
+      return [{ type: 'layer-added', layer: snapshot(layer), index: boardState.layers.indexOf(layer) }];
+
+    case 'layer-renamed':
+      return layer ? [{ type: 'layer-renamed', layerId: layer.id, name: layer.name }] : null;
+
+    case 'layer-visibility-changed':
+      return layer ? [{ type: 'layer-visibility-changed', layerId: layer.id, visible: layer.visible }] : null;
+
+    case 'layer-drawing-access-changed':
+      return layer ? [{ type: 'layer-drawing-access-changed', layerId: layer.id, playersCanDraw: !!layer.playersCanDraw }] : null;
+
+    case 'layer-background-changed':
+    case 'layer-background-cleared':
+      if (!layer) return null;
+      return [layer.background
+        ? { type: 'layer-background-changed', layerId: layer.id, background: snapshot(layer.background) }
+        : { type: 'layer-background-cleared', layerId: layer.id }];
+
+    case 'layer-background-scaled':
+      if (!layer?.background) return null;
+      return [{ type: 'layer-background-scaled', layerId: layer.id, scale: layer.background.scale || 1 }];
+
+    case 'layer-background-moved': {
+      if (!layer?.background) return null;
+      const from = before || layer.background;
+      return [{ type: 'layer-background-moved', layerId: layer.id, x: from.x, y: from.y }];
+    }
+
+    case 'template-added':
+      return [{ type: 'template-removed', templateId: event.template.id }];
+
+    case 'template-removed': {
+      const template = boardState.findTemplate(event.templateId);
+      return template ? [{ type: 'template-added', template: snapshot(template) }] : null;
+    }
+
+    case 'template-moved': {
+      const template = boardState.findTemplate(event.templateId);
+      if (!template) return null;
+      const from = before || template;
+      return [{ type: 'template-moved', templateId: template.id, x: from.x, y: from.y, angle: from.angle }];
+    }
+
+    case 'drawing-added':
+      return [{ type: 'drawing-removed', layerId: event.layerId, drawingId: event.drawing.id }];
+
+    case 'drawing-removed': {
+      const drawing = layer?.drawings?.find(d => d.id === event.drawingId);
+      return drawing ? [{ type: 'drawing-added', layerId: layer.id, drawing: snapshot(drawing) }] : null;
+    }
+
+    case 'drawings-cleared':
+      return boardState.layers
+        .filter(l => l.drawings && (!event.layerId || l.id === event.layerId))
+        .flatMap(l => l.drawings
+          .filter(d => !event.peerId || d.peerId === event.peerId)
+          .map(drawing => ({ type: 'drawing-added', layerId: l.id, drawing: snapshot(drawing) })));
+
+    case 'wall-added':
+      return [{ type: 'wall-removed', layerId: event.layerId, wallId: event.wall.id }];
+
+    case 'wall-removed': {
+      const wall = layer?.walls?.find(w => w.id === event.wallId);
+      return wall ? [{ type: 'wall-added', layerId: layer.id, wall: snapshot(wall) }] : null;
+    }
+
+    case 'walls-cleared':
+      if (!layer) return null;
+      return (layer.walls || []).map(wall => ({ type: 'wall-added', layerId: layer.id, wall: snapshot(wall) }));
+
+    case 'fog-region-added':
+      return [{ type: 'fog-region-removed', layerId: event.layerId, regionId: event.region.id }];
+
+    case 'fog-region-removed': {
+      // Regions are painted in order, so this only restores the most recent one exactly.
+      const region = layer?.fog?.regions.find(r => r.id === event.regionId);
+      return region ? [{ type: 'fog-region-added', layerId: layer.id, region: snapshot(region) }] : null;
+    }
+
+    case 'fog-reset':
+      if (!layer?.fog) return null;
+      return layer.fog.regions.map(region => ({ type: 'fog-region-added', layerId: layer.id, region: snapshot(region) }));
+
+    case 'grid-changed':
+      return [{ type: 'grid-changed', grid: pick(boardState.grid, Object.keys(event.grid)) }];
+
+    case 'lighting-changed':
+      return [{ type: 'lighting-changed', lighting: pick(boardState.lighting, Object.keys(event.lighting)) }];
+
+    case 'voice-changed':
+      return [{ type: 'voice-changed', voice: pick(boardState.voice, Object.keys(event.voice)) }];
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param {object} event
+ * @returns {string|null} What the event changes, for merging repeated changes to it.
+ */
+function mergeKey(event) {
+  if (!MERGING_TYPES.has(event.type)) return null;
+  const changed = event.properties || event.grid || event.lighting || event.voice || {};
+  return [event.type, event.layerId, event.tokenId, ...Object.keys(changed).sort()].join(':');
+}
+
+/**
+ * The undo and redo stacks of one GM.
+ */
+export class BoardHistory {
+  /**
+   * @param {object} boardState The board the edits apply to.
+   */
+  constructor(boardState) {
+    this.boardState = boardState;
+    this.undoStack = []; // { events, key, at }, oldest first
+    this.redoStack = [];
+    this.onchange = null;
+  }
+
+  /**
+   * Remembers how to undo an edit. Call it before the edit is applied.
+   * Recording an edit drops whatever could be redone.
+   * @param {object} event The state event about to be applied.
+   * @param {object} [before] See inverseEvents.
+   */
+  record(event, before = null) {
+    const events = inverseEvents(event, this.boardState, before);
+    if (!events || events.length === 0) return;
+
+    const key = mergeKey(event);
+    const now = Date.now();
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (key && last && last.key === key && now - last.at < MERGE_WINDOW_MS) {
+      // Keep undoing to the state before the first of the changes.
+      last.at = now;
+    } else {
+      this.undoStack = [...this.undoStack, { events, key, at: now }].slice(-MAX_HISTORY);
+    }
+    this.redoStack = [];
+    this._changed();
+  }
+
+  /** @returns {boolean} */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /** @returns {boolean} */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Undoes the most recent edit.
+   * @param {function(object): void} broadcast Applies and sends a state event.
+   * @returns {boolean} Whether there was anything to undo.
+   */
+  undo(broadcast) {
+    const entry = this.undoStack.pop();
+    if (!entry) return false;
+    this.redoStack.push({ ...entry, events: this._apply(entry.events, broadcast) });
+    this._changed();
+    return true;
+  }
+
+  /**
+   * Redoes the most recently undone edit.
+   * @param {function(object): void} broadcast Applies and sends a state event.
+   * @returns {boolean} Whether there was anything to redo.
+   */
+  redo(broadcast) {
+    const entry = this.redoStack.pop();
+    if (!entry) return false;
+    this.undoStack.push({ ...entry, events: this._apply(entry.events, broadcast), at: 0 });
+    this._changed();
+    return true;
+  }
+
+  /** Forgets all edits, e.g. when another board is loaded. */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this._changed();
+  }
+
+  /**
+   * Applies events one by one, working out each one's inverse just before it.
+   * @param {Array<object>} events
+   * @param {function(object): void} broadcast
+   * @returns {Array<object>} The events that take the board back again.
+   * @private
+   */
+  _apply(events, broadcast) {
+    const inverse = [];
+    for (const event of events) {
+      inverse.unshift(...(inverseEvents(event, this.boardState) || []));
+      broadcast(event);
+    }
+    return inverse;
+  }
+
+  /** @private */
+  _changed() {
+    if (this.onchange) {
+      this.onchange();
+    }
+  }
+}
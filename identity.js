@@ -0,0 +1,93 @@
+/**
+ * Persistent peer identity.
+ *
+ * Every browser keeps an ECDSA key pair in localStorage. The peer id is
+ * derived from the public key, so it stays the same across page loads, and
+ * a player proves owning it by signing the invite they answer. The GM can
+ * then recognise a returning player without anyone being able to take over
+ * their id.
+ */
+
+const IDENTITY_STORAGE_KEY = 'libre-vtt-identity';
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function toBase64(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * @param {JsonWebKey} publicKey
+ * @returns {Promise<string>} The peer id belonging to the key.
+ */
+export async function peerIdForKey(publicKey) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${publicKey.x}.${publicKey.y}`));
+  const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  return `peer_${hex.substring(0, 16)}`;
+}
+
+/**
+ * Loads this browser's identity, creating it on first use.
+ * @returns {Promise<{peerId: string, publicKey: JsonWebKey, privateKey: CryptoKey}>}
+ */
+export async function loadIdentity() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(IDENTITY_STORAGE_KEY));
+  } catch (err) {
+    console.warn('Discarding an unreadable stored identity:', err);
+  }
+
+  if (!stored?.publicKey || !stored?.privateKey) {
+    const keyPair = await crypto.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+    stored = {
+      publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+      privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey),
+    };
+    localStorage.setItem(IDENTITY_STORAGE_KEY, JSON.stringify(stored));
+  }
+
+  const privateKey = await crypto.subtle.importKey('jwk', stored.privateKey, KEY_ALGORITHM, false, ['sign']);
+  return { peerId: await peerIdForKey(stored.publicKey), publicKey: stored.publicKey, privateKey };
+}
+
+/**
+ * Proves owning an identity by signing a challenge, such as an invite id.
+ * @param {{publicKey: JsonWebKey, privateKey: CryptoKey}} identity
+ * @param {string} challenge
+ * @returns {Promise<{publicKey: JsonWebKey, signature: string}>} The proof to send along.
+ */
+export async function proveIdentity(identity, challenge) {
+  const signature = await crypto.subtle.sign(SIGN_ALGORITHM, identity.privateKey, new TextEncoder().encode(challenge));
+  return { publicKey: identity.publicKey, signature: toBase64(signature) };
+}
+
+/**
+ * Checks that a peer id belongs to the key in a proof and that the key signed the challenge.
+ * @param {string} peerId The claimed peer id.
+ * @param {{publicKey: JsonWebKey, signature: string}} proof
+ * @param {string} challenge
+ * @returns {Promise<boolean>}
+ */
+export async function verifyIdentity(peerId, proof, challenge) {
+  try {
+    if (await peerIdForKey(proof.publicKey) !== peerId) return false;
+    const publicKey = await crypto.subtle.importKey('jwk', proof.publicKey, KEY_ALGORITHM, false, ['verify']);
+    return await crypto.subtle.verify(SIGN_ALGORITHM, publicKey, fromBase64(proof.signature), new TextEncoder().encode(challenge));
+  } catch (err) {
+    console.warn(`Could not verify the identity of ${peerId}:`, err);
+    return false;
+  }
+}
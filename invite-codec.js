@@ -0,0 +1,115 @@
+/**
+ * Compact encoding for invites and answers.
+ *
+ * Both carry a full SDP description, which makes them long enough for chat
+ * apps to truncate and too long for a QR code. Encoding first trims the SDP
+ * down to what this app negotiates, then deflates the JSON and writes it as
+ * base64url behind a version prefix, e.g. `v1.eNqV...`.
+ *
+ * Payloads from before the compact encoding are plain base64 JSON. They
+ * start with `eyJ` rather than a version prefix, and still decode.
+ */
+
+const COMPACT_VERSION = 1;
+const COMPACT_PREFIX = /^v(\d+)\.(.*)$/s;
+
+/**
+ * Removes the parts of an SDP description this app never uses: audio
+ * codecs other than Opus, RTP header extensions, TCP candidates and, when
+ * RTCP is multiplexed, RTCP candidates. What is left still negotiates the
+ * same connection.
+ * @param {string} sdp
+ * @returns {string}
+ */
+export function minifySdp(sdp) {
+  const sections = [[]];
+  for (const line of sdp.split(/\r?\n/)) {
+    if (!line) continue;
+    if (line.startsWith('m=')) sections.push([]);
+    sections[sections.length - 1].push(line);
+  }
+  return sections.flatMap(minifySection).join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {Array<string>} lines A session header or one media section.
+ * @returns {Array<string>}
+ */
+function minifySection(lines) {
+  const media = lines[0];
+  const rtcpMux = lines.includes('a=rtcp-mux');
+  let payloadTypes = null;
+  if (media.startsWith('m=audio')) {
+    const opus = lines.map(line => /^a=rtpmap:(\d+) opus\//i.exec(line)).filter(Boolean).map(match => match[1]);
+    if (opus.length > 0) payloadTypes = new Set(opus);
+  }
+
+  return lines.filter(line => {
+    if (line.startsWith('a=extmap:')) return false;
+    const candidate = /^a=candidate:\S+ (\d+) (\S+) /.exec(line);
+    if (candidate && (candidate[2].toLowerCase() === 'tcp' || (rtcpMux && candidate[1] !== '1'))) return false;
+    const format = /^a=(?:rtpmap|fmtp|rtcp-fb):(\d+)/.exec(line);
+    return !(payloadTypes && format && !payloadTypes.has(format[1]));
+  }).map(line => {
+    if (!payloadTypes || line !== media) return line;
+    // m=audio <port> <protocol> <payload types...>
+    const fields = line.split(' ');
+    return [...fields.slice(0, 3), ...fields.slice(3).filter(pt => payloadTypes.has(pt))].join(' ');
+  });
+}
+
+/**
+ * Encodes an invite or answer payload compactly.
+ * @param {object} payload A payload with an `offer` or `answer` description.
+ * @returns {Promise<string>} Text that is safe in a URL hash.
+ */
+export async function encodeSignal(payload) {
+  const compact = { ...payload };
+  for (const key of ['offer', 'answer']) {
+    if (compact[key]) {
+      compact[key] = { type: compact[key].type, sdp: minifySdp(compact[key].sdp) };
+    }
+  }
+  const stream = new Blob([JSON.stringify(compact)]).stream().pipeThrough(new CompressionStream('deflate'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  return `v${COMPACT_VERSION}.${toBase64Url(bytes)}`;
+}
+
+/**
+ * Decodes a payload in the compact or the original encoding. A whole invite
+ * link is accepted too.
+ * @param {string} text
+ * @returns {Promise<object>}
+ * @throws {Error} If the text is not an encoded payload, or uses a newer encoding.
+ */
+export async function decodeSignal(text) {
+  const encoded = text.trim().replace(/^.*#/s, '');
+  const match = COMPACT_PREFIX.exec(encoded);
+  if (!match) {
+    return JSON.parse(atob(encoded));
+  }
+  if (Number(match[1]) !== COMPACT_VERSION) {
+    throw new Error(`Encoding version ${match[1]} is not supported. Is the other side running a newer version?`);
+  }
+  const stream = new Blob([fromBase64Url(match[2])]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return JSON.parse(await new Response(stream).text());
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), c => c.charCodeAt(0));
+}
@@ -0,0 +1,160 @@
+/**
+ * Persistent storage for assets and board saves, backed by IndexedDB.
+ *
+ * Assets are stored once by their content hash, so the same map uploaded in
+ * several sessions or referenced by several saves only takes space once.
+ */
+
+const DB_NAME = 'libre-vtt';
+const DB_VERSION = 1;
+const ASSET_STORE = 'assets';
+const SAVE_STORE = 'saves';
+
+/** The longest edge, in pixels, of generated asset thumbnails. */
+const THUMBNAIL_SIZE = 160;
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} Resolves with the request's result.
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Renders a small preview of an image and measures its full dimensions.
+ * @param {Blob} blob The image data.
+ * @returns {Promise<{thumbnail: Blob, width: number, height: number}>}
+ */
+async function createThumbnail(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const ratio = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * ratio));
+  canvas.height = Math.max(1, Math.round(bitmap.height * ratio));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+  const thumbnail = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  const { width, height } = bitmap;
+  bitmap.close();
+  return { thumbnail, width, height };
+}
+
+/**
+ * An IndexedDB-backed library of image assets and saved board states.
+ */
+export class AssetLibrary {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Opens the database, creating its object stores on first use.
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(ASSET_STORE)) {
+            db.createObjectStore(ASSET_STORE, { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains(SAVE_STORE)) {
+            db.createObjectStore(SAVE_STORE, { keyPath: 'name' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Runs a single request against an object store.
+   * @private
+   * @param {string} storeName The object store to use.
+   * @param {IDBTransactionMode} mode 'readonly' or 'readwrite'.
+   * @param {function(IDBObjectStore): IDBRequest} fn Creates the request.
+   * @returns {Promise<any>} The request's result.
+   */
+  async _request(storeName, mode, fn) {
+    const db = await this._open();
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return promisifyRequest(fn(store));
+  }
+
+  /**
+   * Stores an asset unless an asset with the same id already exists.
+   * @param {string} assetId The content hash of the asset.
+   * @param {Blob} blob The asset data.
+   * @param {string} [name] A human readable name, e.g. the original file name.
+   * @returns {Promise<void>}
+   */
+  async putAsset(assetId, blob, name) {
+    const existing = await this._request(ASSET_STORE, 'readonly', store => store.getKey(assetId));
+    if (existing !== undefined) return;
+
+    const { thumbnail, width, height } = await createThumbnail(blob);
+    const record = { id: assetId, blob, thumbnail, width, height, name: name || 'Untitled', addedAt: Date.now() };
+    await this._request(ASSET_STORE, 'readwrite', store => store.put(record));
+  }
+
+  /**
+   * @param {string} assetId
+   * @returns {Promise<object|undefined>} The stored asset record, if any.
+   */
+  getAsset(assetId) {
+    return this._request(ASSET_STORE, 'readonly', store => store.get(assetId));
+  }
+
+  /** @returns {Promise<Array<object>>} All asset records, newest first. */
+  async listAssets() {
+    const records = await this._request(ASSET_STORE, 'readonly', store => store.getAll());
+    return records.sort((a, b) => b.addedAt - a.addedAt);
+  }
+
+  /** @param {string} assetId */
+  deleteAsset(assetId) {
+    return this._request(ASSET_STORE, 'readwrite', store => store.delete(assetId));
+  }
+
+  /**
+   * Stores a board state under a name, replacing any save with the same name.
+   * @param {string} name The save name.
+   * @param {object} state The board state, referencing assets by id.
+   * @returns {Promise<void>}
+   */
+  async putSave(name, state) {
+    await this._request(SAVE_STORE, 'readwrite', store => store.put({ name, state, savedAt: Date.now() }));
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<object|undefined>} The saved board state, if any.
+   */
+  async getSave(name) {
+    const record = await this._request(SAVE_STORE, 'readonly', store => store.get(name));
+    return record?.state;
+  }
+
+  /** @returns {Promise<Array<{name: string, savedAt: number}>>} All saves, newest first. */
+  async listSaves() {
+    const records = await this._request(SAVE_STORE, 'readonly', store => store.getAll());
+    return records
+      .map(({ name, savedAt }) => ({ name, savedAt }))
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /** @param {string} name */
+  deleteSave(name) {
+    return this._request(SAVE_STORE, 'readwrite', store => store.delete(name));
+  }
+}
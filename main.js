@@ -1,5 +1,22 @@
 import { CommunicationManager } from './communication.js';
 import { Board, BoardState, EventHandler } from './board-interactive.js';
+import { AssetStore, collectAssetIds, exportAssets, importAssets, internInlineAssets } from './assets.js';
+import { AssetLibrary } from './library.js';
+import { DrawingTool, EraserTool, FogTool, GridCalibrationTool, RulerTool, TemplateTool, WallTool } from './tools.js';
+import { hitTestDrawing } from './drawings.js';
+import { CONDITIONS, DEFAULT_HP_VISIBILITY, normalizeHp } from './stats.js';
+import { DEFAULT_COMBAT, activeEntry, nextTurn, previousTurn, rollInitiative, sortByInitiative } from './combat.js';
+import { formatRollBreakdown, verifyRoll } from './dice.js';
+import { loadIdentity } from './identity.js';
+import { ManualSignaling, WebSocketSignaling } from './signaling.js';
+import { decodeSignal } from './invite-codec.js';
+import { BoardHistory } from './history.js';
+import { SessionRecorder, SessionReplay, collectLogAssetIds, formatDuration, validateLog } from './replay.js';
+import QRCode from 'qrcode';
+import { calibrateGrid, formatMeasurement, measurePath } from './grid.js';
+import { VoiceMixer, placeVoice } from './voice.js';
+import { collectWalls } from './vision.js';
+import { MAX_TEMPLATE_CELLS } from './templates.js';
 
 // --- DOM Elements ---
 const sessionStatus = document.getElementById('session-status');
@@ -14,46 +31,157 @@ const tokenContextMenu = document.getElementById('token-context-menu');
 const gmLayerControls = document.getElementById('gm-layer-controls');
 const layerList = document.getElementById('layer-list');
 const addLayerBtn = document.getElementById('add-layer-btn');
+const addFogLayerBtn = document.getElementById('add-fog-layer-btn');
+const lightingEnabledInput = document.getElementById('lighting-enabled-input');
+const exploredMemoryInput = document.getElementById('explored-memory-input');
+const voiceModeSelect = document.getElementById('voice-mode-select');
+const voiceFalloffSelect = document.getElementById('voice-falloff-select');
+const voiceRangeInput = document.getElementById('voice-range-input');
+const voiceOcclusionInput = document.getElementById('voice-occlusion-input');
+const gridTypeSelect = document.getElementById('grid-type-select');
+const gridSizeInput = document.getElementById('grid-size-input');
+const gridOffsetXInput = document.getElementById('grid-offset-x-input');
+const gridOffsetYInput = document.getElementById('grid-offset-y-input');
+const gridColorInput = document.getElementById('grid-color-input');
+const gridOpacityInput = document.getElementById('grid-opacity-input');
+const gridSnapInput = document.getElementById('grid-snap-input');
+const gridUnitsInput = document.getElementById('grid-units-input');
+const gridUnitNameInput = document.getElementById('grid-unit-name-input');
+const gridDiagonalsSelect = document.getElementById('grid-diagonals-select');
+
+// Board toolbar elements
+const rulerToolBtn = document.getElementById('ruler-tool-btn');
+const shareRulerInput = document.getElementById('share-ruler-input');
+const templateToolBtn = document.getElementById('template-tool-btn');
+const templateShapeSelect = document.getElementById('template-shape-select');
+const templateSizeInput = document.getElementById('template-size-input');
+const templateSizeUnit = document.getElementById('template-size-unit');
+const drawToolBtn = document.getElementById('draw-tool-btn');
+const drawKindSelect = document.getElementById('draw-kind-select');
+const drawColorInput = document.getElementById('draw-color-input');
+const drawWidthSelect = document.getElementById('draw-width-select');
+const drawLayerSelect = document.getElementById('draw-layer-select');
+const clearMyDrawingsBtn = document.getElementById('clear-my-drawings-btn');
+const calibrateGridBtn = document.getElementById('calibrate-grid-btn');
+
+// Initiative tracker elements
+const initiativePanel = document.getElementById('initiative-panel');
+const combatRound = document.getElementById('combat-round');
+const initiativeList = document.getElementById('initiative-list');
+const gmInitiativeControls = document.getElementById('gm-initiative-controls');
+const initiativeAddSelectedBtn = document.getElementById('initiative-add-selected-btn');
+const initiativeLayerSelect = document.getElementById('initiative-layer-select');
+const initiativeAddLayerBtn = document.getElementById('initiative-add-layer-btn');
+const initiativeRollBtn = document.getElementById('initiative-roll-btn');
+const initiativeSortBtn = document.getElementById('initiative-sort-btn');
+const combatToggleBtn = document.getElementById('combat-toggle-btn');
+const initiativePrevBtn = document.getElementById('initiative-prev-btn');
+const initiativeNextBtn = document.getElementById('initiative-next-btn');
+
+// Chat elements
+const chatLog = document.getElementById('chat-log');
+const chatForm = document.getElementById('chat-form');
+const chatRecipientSelect = document.getElementById('chat-recipient-select');
+const chatInput = document.getElementById('chat-input');
+const chatAnnounceLabel = document.getElementById('chat-announce-label');
+const chatAnnounceInput = document.getElementById('chat-announce-input');
+const displayNameInput = document.getElementById('display-name-input');
+
+// Dice elements
+const diceForm = document.getElementById('dice-form');
+const diceInput = document.getElementById('dice-input');
+const diceSecretInput = document.getElementById('dice-secret-input');
+const rollLog = document.getElementById('roll-log');
 
 // GM Dialog elements
 const gmMainControls = document.getElementById('gm-main-controls');
 const openInviteDialogBtn = document.getElementById('open-invite-dialog-btn');
+const undoBtn = document.getElementById('undo-btn');
+const redoBtn = document.getElementById('redo-btn');
+const handOffHostBtn = document.getElementById('hand-off-host-btn');
+const reclaimHostBtn = document.getElementById('reclaim-host-btn');
 const saveBoardBtn = document.getElementById('save-board-btn');
 const loadBoardBtn = document.getElementById('load-board-btn');
 const exportBoardBtn = document.getElementById('export-board-btn');
 const importBoardInput = document.getElementById('import-board-input');
+const exportSessionLogBtn = document.getElementById('export-session-log-btn');
+const replaySessionLogInput = document.getElementById('replay-session-log-input');
+
+// Replay elements
+const replayView = document.getElementById('replay-view');
+const replayCanvas = document.getElementById('replay-canvas');
+const replayPlayBtn = document.getElementById('replay-play-btn');
+const replaySeekInput = document.getElementById('replay-seek-input');
+const replayTime = document.getElementById('replay-time');
+const replaySpeedSelect = document.getElementById('replay-speed-select');
+const closeReplayBtn = document.getElementById('close-replay-btn');
 const gmInviteDialog = document.getElementById('gm-invite-dialog');
 const createInviteBtn = document.getElementById('create-invite-btn');
 const copyInviteBtn = document.getElementById('copy-invite-btn');
 const gmSignalingData = document.getElementById('gm-signaling-data');
+const signalingUrlInput = document.getElementById('signaling-url-input');
+const inviteQrCode = document.getElementById('invite-qr-code');
 const processGmInputBtn = document.getElementById('process-gm-input-btn');
 
 // Player Dialog elements
 const playerAnswerDialog = document.getElementById('player-answer-dialog');
 const playerSignalingData = document.getElementById('player-signaling-data');
+const answerQrCode = document.getElementById('answer-qr-code');
 const copyPlayerAnswerBtn = document.getElementById('copy-player-answer-btn');
 
 // Load Dialog elements
 const loadBoardDialog = document.getElementById('load-board-dialog');
 const savedStatesList = document.getElementById('saved-states-list');
 
+// Asset Library Dialog elements
+const openAssetLibraryBtn = document.getElementById('open-asset-library-btn');
+const assetLibraryDialog = document.getElementById('asset-library-dialog');
+const assetLibraryUploadInput = document.getElementById('asset-library-upload-input');
+const assetLibraryLayerSelect = document.getElementById('asset-library-layer-select');
+const assetLibraryList = document.getElementById('asset-library-list');
+
 // --- App Modules ---
 let communicationManager;
 let board;
 let boardState;
 let eventHandler;
+let boardHistory;
+const sessionRecorder = new SessionRecorder();
+let replay = null; // Created when the first log is replayed
+let replayBoard = null;
+
+// Ruler sharing, throttled to keep the data channels quiet while dragging
+const RULER_BROADCAST_INTERVAL_MS = 50;
+let pendingRulerPoints = [];
+let rulerBroadcastTimer = null;
+
+// The combatant the board last panned to
+let followedEntryId = null;
+
+// Roll log rendering; verification results are kept by roll id.
+let renderedRolls = null;
+let renderedRollNames = null;
+const rollVerifications = new Map(); // <rollId, boolean>
+let renderedChat = null;
+let renderedChatNames = null;
+
+const DISPLAY_NAME_STORAGE_KEY = 'libre-vtt-display-name';
+const SIGNALING_URL_STORAGE_KEY = 'libre-vtt-signaling-url';
+
+const assetLibrary = new AssetLibrary();
 
 // --- State Management ---
 const session = {
-  role: 'idle', // 'gm' | 'player'
-  myId: `peer_${Math.random().toString(36).substring(2, 9)}`,
+  role: 'idle', // 'gm' | 'player', or 'host' while standing in for a GM who left
+  myId: null, // Derived from the persistent identity on startup
+  identity: null, // { peerId, publicKey, privateKey } Kept across page loads
   peers: new Map(), // <peerId, WebRTCManager>
-  peerAudioElements: new Map(), // <peerId, HTMLAudioElement>
-  peerVolumes: new Map(), // <peerId, number> User-set max volume
+  voices: new VoiceMixer(), // Plays the other peers' voices
   localStream: null, // To store the user's media stream
   gmId: null, // For players, the ID of the GM
-  // GM only: stores offers from players to share with new players
-  p2pOffers: new Map(), // <peerId, offer>
+  originalGmId: null, // The GM who started the session, who may reclaim it after handing it over or leaving
+  paused: false, // Whether play waits for the GM, while a player hosts in their place
+  assets: new AssetStore(assetLibrary), // Content-addressed images referenced by the board
   vtt: {
     layers: [
       {
@@ -66,76 +194,114 @@ const session = {
   },
   eventHandler: null, // Will be initialized later
   backgroundEditStates: new Map(), // <layerId, boolean>
+  displayName: localStorage.getItem(DISPLAY_NAME_STORAGE_KEY) || '',
   selectedNpcColor: '#8E24AA',
   selectedNpcSize: 'm',
+  activeTool: { kind: null, layerId: null }, // Board tool: 'ruler' | 'template' | 'draw', or for the GM 'fog' | 'walls' | 'calibrate', and the layer it edits
+  fogSettings: { mode: 'reveal', shape: 'brush' },
+  eraseWalls: false,
 };
 
-myPeerIdEl.textContent = session.myId;
 
 // --- UI Abstraction for CommunicationManager ---
 const ui = {
   updateStatus,
   updatePeerList,
   renderLayerControls,
-  updateDistanceBasedAudio,
+  updateSpatialAudio,
   openModal,
+  renderQrCode,
+  onHostChanged: applyRole,
+  confirmBoardHandoff: (peerId) => confirm(`${displayName(peerId)} hosted while you were away. Continue with their board instead of yours?`),
   elements: {
     createInviteBtn,
     copyInviteBtn,
     gmSignalingData,
+    inviteQrCode,
     playerAnswerDialog,
     playerSignalingData,
+    answerQrCode,
   }
 };
 
 /** Determines role based on URL and initializes the application. */
 async function initialize() {
+  session.identity = await loadIdentity();
+  session.myId = session.identity.peerId;
+  myPeerIdEl.textContent = session.myId;
+
   communicationManager = new CommunicationManager(session, ui);
 
   boardState = new BoardState();
   eventHandler = new EventHandler(boardState, () => {
       renderLayerControls();
+      templateSizeUnit.textContent = boardState.grid.unitName;
+      templateSizeInput.max = MAX_TEMPLATE_CELLS * (boardState.grid.unitsPerCell || 1);
+      renderDrawLayerSelect();
+      renderInitiativeTracker();
+      followActiveCombatant();
+      renderRollLog();
+      renderChat();
       updatePeerList();
-      updateDistanceBasedAudio();
+      updateSpatialAudio();
+      communicationManager.requestMissingAssets();
   });
   session.eventHandler = eventHandler;
+  eventHandler.onEvent = event => sessionRecorder.record(event);
+  boardHistory = new BoardHistory(boardState);
+  boardHistory.onchange = renderUndoControls;
+  displayNameInput.value = session.displayName;
+  signalingUrlInput.value = localStorage.getItem(SIGNALING_URL_STORAGE_KEY) || '';
+  if (session.displayName) {
+      eventHandler.handleEvent({ type: 'display-name-changed', peerId: session.myId, name: session.displayName });
+  }
 
   if (window.location.hash) {
     // Player role: An invite hash is present.
     session.role = 'player';
     updateStatus('Player mode. Processing invite from URL...');
-    const encodedInvite = window.location.hash.substring(1);
-    history.pushState("", document.title, window.location.pathname + window.location.search);
-    try {
-      const payload = JSON.parse(atob(encodedInvite));
-      if (payload.type === 'invite') {
-        await communicationManager.processInvite(payload);
-      } else {
-        updateStatus('Error: Invalid invite data in URL.');
-      }
-    } catch (err) {
-      console.error("Failed to process invite from URL:", err);
-      updateStatus('Error: Could not process invite from URL.');
-    }
+    await processInviteFromHash();
   } else {
     // GM role: No invite hash.
     session.role = 'gm';
-    gmMainControls.style.display = 'block';
-    gmLayerControls.style.display = 'block';
+    session.originalGmId = session.myId;
+    applyRole();
     eventHandler.handleEvent({ type: 'game-state-update', vtt: session.vtt });
+    migrateLegacySaves();
   }
   updatePeerList();
 
   board = new Board(boardCanvas, boardState, {
       role: session.role,
-      onTokenMoveRequested: (layerId, tokenId, x, y) => {
-          communicationManager.broadcastMessage({
-              type: 'token-moved',
-              layerId,
-              tokenId,
-              x,
-              y
-          });
+      myId: session.myId,
+      onTokenMoveRequested: (layerId, tokenId, x, y, free, from) => {
+          if (session.role === 'gm') {
+              broadcastEdit({
+                  type: 'token-moved',
+                  layerId,
+                  tokenId,
+                  x,
+                  y
+              }, from);
+          } else {
+              // The token is already moved optimistically; the GM corrects it if the move is refused.
+              communicationManager.sendTokenMoveRequest(layerId, tokenId, x, y, free);
+          }
+      },
+      onTemplateMoveRequested: (templateId, x, y, angle, from) => {
+          if (session.role === 'gm') {
+              broadcastEdit({ type: 'template-moved', templateId, x, y, angle }, from);
+          } else {
+              communicationManager.sendTemplateMoveRequest(templateId, x, y, angle);
+          }
+      },
+      onTemplateContextMenu: (templateId) => {
+          if (!confirm('Remove this template?')) return;
+          if (session.role === 'gm') {
+              broadcastEdit({ type: 'template-removed', templateId });
+          } else {
+              communicationManager.sendTemplateRemoveRequest(templateId);
+          }
       },
       onPingRequested: (pos) => {
           communicationManager.broadcastMessage({
@@ -156,14 +322,17 @@ async function initialize() {
       onTokenContextMenu: (layerId, tokenId, x, y) => {
           showTokenContextMenu(layerId, tokenId, x, y);
       },
-      onBackgroundMoveRequested: (layerId, x, y) => {
-          communicationManager.broadcastMessage({
+      onBackgroundMoveRequested: (layerId, x, y, from) => {
+          if (session.role !== 'gm') return;
+          broadcastEdit({
               type: 'layer-background-moved',
               layerId,
               x,
               y
-          });
-      }
+          }, from);
+      },
+      resolveAssetUrl: (assetId) => session.assets.getUrl(assetId),
+      getAssetProgress: (assetId) => communicationManager.assetTransfer.getProgress(assetId),
   });
 }
 
@@ -202,6 +371,91 @@ function closeModal(modalElement) {
   modalElement.style.display = 'none';
 }
 
+/**
+ * GM: Applies and broadcasts an edit of the board, remembering how to undo it.
+ * @param {object} event The state event.
+ * @param {object} [before] Where a dragged token, template or background was
+ *   before the drag, since the board already shows it moved.
+ */
+function broadcastEdit(event, before) {
+    if (session.role === 'gm') {
+        boardHistory.record(event, before);
+    }
+    communicationManager.broadcastMessage(event);
+}
+
+/** GM: Undoes the most recent board edit for everyone. */
+function undoEdit() {
+    if (session.role !== 'gm') return;
+    if (!boardHistory.undo(event => communicationManager.broadcastMessage(event))) {
+        updateStatus('Nothing to undo.');
+    }
+}
+
+/** GM: Redoes the most recently undone board edit for everyone. */
+function redoEdit() {
+    if (session.role !== 'gm') return;
+    if (!boardHistory.redo(event => communicationManager.broadcastMessage(event))) {
+        updateStatus('Nothing to redo.');
+    }
+}
+
+/** Enables the undo and redo menu links when there is something to undo or redo. */
+function renderUndoControls() {
+    undoBtn.classList.toggle('disabled', !boardHistory.canUndo());
+    redoBtn.classList.toggle('disabled', !boardHistory.canRedo());
+}
+
+/**
+ * Changes a token's name or image, directly as GM or through the GM as a player.
+ * @param {string} layerId
+ * @param {string} tokenId
+ * @param {object} properties The appearance properties to change.
+ */
+function changeTokenAppearance(layerId, tokenId, properties) {
+    if (session.role === 'gm') {
+        broadcastEdit({ type: 'token-property-changed', layerId, tokenId, properties });
+    } else {
+        communicationManager.sendTokenAppearanceChangeRequest(layerId, tokenId, properties);
+    }
+}
+
+/**
+ * Changes a token's hit points or conditions, directly as GM or through the GM as a player.
+ * @param {string} layerId
+ * @param {string} tokenId
+ * @param {{hp?: object, conditions?: Array<string>}} stats The stats to change.
+ */
+function changeTokenStats(layerId, tokenId, stats) {
+    if (session.role === 'gm') {
+        broadcastEdit({ type: 'token-property-changed', layerId, tokenId, properties: stats });
+    } else {
+        communicationManager.sendTokenStatsChangeRequest(layerId, tokenId, stats);
+    }
+}
+
+/** Fills the token context menu with a toggle for each condition. */
+function renderConditionToggles(layerId, token) {
+    const container = document.getElementById('token-conditions');
+    container.innerHTML = '';
+    const active = new Set(token.conditions || []);
+    CONDITIONS.forEach(condition => {
+        const toggle = document.createElement('button');
+        toggle.className = 'token-condition';
+        toggle.classList.toggle('active', active.has(condition.id));
+        toggle.textContent = condition.icon;
+        toggle.title = condition.label;
+        toggle.onclick = () => {
+            const conditions = active.has(condition.id)
+                ? [...active].filter(id => id !== condition.id)
+                : [...active, condition.id];
+            changeTokenStats(layerId, token.id, { conditions });
+            hideTokenContextMenu();
+        };
+        container.appendChild(toggle);
+    });
+}
+
 function showTokenContextMenu(layerId, tokenId, x, y) {
     const token = boardState.findToken(layerId, tokenId);
     if (!token) return;
@@ -209,13 +463,116 @@ function showTokenContextMenu(layerId, tokenId, x, y) {
     const claimBtn = document.getElementById('claim-token-btn');
     const unclaimBtn = document.getElementById('unclaim-token-btn');
     const deleteBtn = document.getElementById('delete-token-btn');
+    const hideBtn = document.getElementById('hide-token-btn');
     const colorPicker = document.getElementById('token-color-picker');
     const sizeSelector = document.getElementById('token-size-selector');
+    const lightInput = document.getElementById('token-light-input');
 
     document.getElementById('claim-token-item').style.display = token.peerId ? 'none' : 'block';
     document.getElementById('unclaim-token-item').style.display = token.peerId === session.myId ? 'block' : 'none';
     document.getElementById('delete-token-item').style.display = session.role === 'gm' ? 'block' : 'none';
-    document.getElementById('token-size-selector-item').style.display = 'block'; // Always show size selector
+    document.getElementById('hide-token-item').style.display = session.role === 'gm' ? 'block' : 'none';
+    hideBtn.textContent = token.hidden ? 'Reveal to Players' : 'Hide from Players';
+    document.getElementById('token-light-item').style.display = session.role === 'gm' ? 'block' : 'none';
+    lightInput.value = token.lightRadius || '';
+    // Players may only restyle tokens they own; the GM validates this as well.
+    const canEdit = session.role === 'gm' || token.peerId === session.myId;
+    document.getElementById('token-size-selector-item').style.display = canEdit ? 'block' : 'none';
+    document.getElementById('token-color-picker-item').style.display = canEdit ? 'block' : 'none';
+    document.getElementById('token-appearance-items').style.display = canEdit ? 'block' : 'none';
+    // Players who only see a token's status can't edit numbers they don't know.
+    const hpVisibility = token.hpVisibility || DEFAULT_HP_VISIBILITY;
+    const canEditHp = session.role === 'gm' || (canEdit && hpVisibility === 'all');
+    document.getElementById('token-hp-item').style.display = canEditHp ? 'block' : 'none';
+    document.getElementById('token-conditions-item').style.display = canEdit ? 'block' : 'none';
+    document.getElementById('token-hp-visibility-item').style.display = session.role === 'gm' ? 'block' : 'none';
+    const hpInputs = {
+        current: document.getElementById('token-hp-current-input'),
+        max: document.getElementById('token-hp-max-input'),
+        temp: document.getElementById('token-hp-temp-input'),
+    };
+    Object.entries(hpInputs).forEach(([key, input]) => {
+        input.value = token.hp ? token.hp[key] : '';
+        input.onchange = () => {
+            const hp = {
+                // Setting the maximum alone starts the token at full health.
+                current: hpInputs.current.value === '' ? hpInputs.max.value : hpInputs.current.value,
+                max: hpInputs.max.value,
+                temp: hpInputs.temp.value,
+            };
+            changeTokenStats(layerId, tokenId, { hp: normalizeHp(hp) });
+        };
+    });
+    const hpVisibilitySelect = document.getElementById('token-hp-visibility-select');
+    hpVisibilitySelect.value = hpVisibility;
+    hpVisibilitySelect.onchange = () => {
+        broadcastEdit({
+            type: 'token-property-changed',
+            layerId,
+            tokenId,
+            properties: { hpVisibility: hpVisibilitySelect.value }
+        });
+    };
+    renderConditionToggles(layerId, token);
+    const hasImage = Boolean(token.imageAssetId || token.imageUrl);
+    document.getElementById('toggle-token-name-btn').textContent = token.showName === false ? 'Show Name' : 'Hide Name';
+    const hideNameBtn = document.getElementById('hide-token-name-btn');
+    hideNameBtn.style.display = session.role === 'gm' ? 'block' : 'none';
+    hideNameBtn.textContent = token.nameHidden ? 'Reveal Name to Players' : 'Hide Name from Players';
+    const imageShapeBtn = document.getElementById('token-image-shape-btn');
+    imageShapeBtn.style.display = hasImage ? 'block' : 'none';
+    imageShapeBtn.textContent = token.imageShape === 'square' ? 'Round Image' : 'Square Image';
+    document.getElementById('remove-token-image-btn').style.display = hasImage ? 'block' : 'none';
+    // Players upload images; only the GM may point tokens at image URLs.
+    document.getElementById('set-token-image-url-btn').style.display = session.role === 'gm' ? 'block' : 'none';
+    const imageInput = document.getElementById('token-image-input');
+
+    document.getElementById('rename-token-btn').onclick = () => {
+        hideTokenContextMenu();
+        const name = prompt('Token name:', token.name || '');
+        if (name === null) return;
+        changeTokenAppearance(layerId, tokenId, { name: name.trim() || null });
+    };
+
+    document.getElementById('toggle-token-name-btn').onclick = () => {
+        changeTokenAppearance(layerId, tokenId, { showName: token.showName === false });
+        hideTokenContextMenu();
+    };
+
+    hideNameBtn.onclick = () => {
+        changeTokenAppearance(layerId, tokenId, { nameHidden: !token.nameHidden });
+        hideTokenContextMenu();
+    };
+
+    document.getElementById('set-token-image-btn').onclick = () => {
+        imageInput.value = '';
+        imageInput.click();
+        hideTokenContextMenu();
+    };
+
+    imageInput.onchange = async () => {
+        const file = imageInput.files[0];
+        if (!file) return;
+        const imageAssetId = await session.assets.add(file);
+        changeTokenAppearance(layerId, tokenId, { imageAssetId, imageUrl: null });
+    };
+
+    document.getElementById('set-token-image-url-btn').onclick = () => {
+        hideTokenContextMenu();
+        const imageUrl = prompt('Image URL:', token.imageUrl || '');
+        if (!imageUrl) return;
+        changeTokenAppearance(layerId, tokenId, { imageUrl: imageUrl.trim(), imageAssetId: null });
+    };
+
+    imageShapeBtn.onclick = () => {
+        changeTokenAppearance(layerId, tokenId, { imageShape: token.imageShape === 'square' ? 'circle' : 'square' });
+        hideTokenContextMenu();
+    };
+
+    document.getElementById('remove-token-image-btn').onclick = () => {
+        changeTokenAppearance(layerId, tokenId, { imageAssetId: null, imageUrl: null });
+        hideTokenContextMenu();
+    };
 
     claimBtn.onclick = () => {
         if (session.role === 'gm') {
@@ -230,7 +587,7 @@ function showTokenContextMenu(layerId, tokenId, x, y) {
             });
             // Claim the new token
             changes.push({ layerId: layerId, tokenId: tokenId, newOwner: session.myId });
-            communicationManager.broadcastMessage({ type: 'token-ownership-changed', changes });
+            broadcastEdit({ type: 'token-ownership-changed', changes });
         } else {
             communicationManager.sendClaimTokenRequest(layerId, tokenId);
         }
@@ -240,7 +597,7 @@ function showTokenContextMenu(layerId, tokenId, x, y) {
     unclaimBtn.onclick = () => {
         if (session.role === 'gm') {
             const changes = [{ layerId: layerId, tokenId: tokenId, newOwner: null }];
-            communicationManager.broadcastMessage({ type: 'token-ownership-changed', changes });
+            broadcastEdit({ type: 'token-ownership-changed', changes });
         } else {
             communicationManager.sendUnclaimTokenRequest(layerId, tokenId);
         }
@@ -249,16 +606,36 @@ function showTokenContextMenu(layerId, tokenId, x, y) {
 
     deleteBtn.onclick = () => {
         if (confirm('Are you sure you want to delete this token?')) {
-            communicationManager.broadcastMessage({ type: 'token-deleted', layerId, tokenId });
+            broadcastEdit({ type: 'token-deleted', layerId, tokenId });
         }
         hideTokenContextMenu();
     };
 
+    hideBtn.onclick = () => {
+        broadcastEdit({
+            type: 'token-property-changed',
+            layerId,
+            tokenId,
+            properties: { hidden: !token.hidden }
+        });
+        hideTokenContextMenu();
+    };
+
+    lightInput.onchange = () => {
+        const lightRadius = parseFloat(lightInput.value);
+        broadcastEdit({
+            type: 'token-property-changed',
+            layerId,
+            tokenId,
+            properties: { lightRadius: lightRadius > 0 ? lightRadius : null }
+        });
+    };
+
     colorPicker.onclick = (e) => {
         if (e.target.classList.contains('color-swatch')) {
             const newColor = e.target.style.backgroundColor;
             if (session.role === 'gm') {
-                communicationManager.broadcastMessage({ 
+                broadcastEdit({ 
                     type: 'token-property-changed', 
                     layerId, 
                     tokenId, 
@@ -275,7 +652,7 @@ function showTokenContextMenu(layerId, tokenId, x, y) {
         if (e.target.classList.contains('token-size-option')) {
             const newSize = e.target.dataset.size;
             if (session.role === 'gm') {
-                communicationManager.broadcastMessage({ 
+                broadcastEdit({ 
                     type: 'token-property-changed', 
                     layerId, 
                     tokenId, 
@@ -292,7 +669,7 @@ function showTokenContextMenu(layerId, tokenId, x, y) {
         if (e.target.classList.contains('token-size-option')) {
             const newSize = e.target.dataset.size;
             if (session.role === 'gm') {
-                communicationManager.broadcastMessage({ 
+                broadcastEdit({ 
                     type: 'token-property-changed', 
                     layerId, 
                     tokenId, 
@@ -339,6 +716,20 @@ function renderLayerControls() {
 
     layerList.innerHTML = '';
 
+    if (session.activeTool.layerId && !boardState.findLayer(session.activeTool.layerId)) {
+        // The layer being edited was deleted.
+        setActiveTool(null, null);
+    }
+
+    lightingEnabledInput.checked = boardState.lighting.enabled;
+    exploredMemoryInput.checked = boardState.lighting.exploredMemory;
+    voiceModeSelect.value = boardState.voice.mode;
+    voiceFalloffSelect.value = boardState.voice.falloff;
+    voiceRangeInput.value = boardState.voice.range;
+    voiceOcclusionInput.checked = boardState.voice.occlusion;
+    voiceFalloffSelect.disabled = voiceRangeInput.disabled = voiceOcclusionInput.disabled = boardState.voice.mode === 'flat';
+    renderGridControls();
+
     boardState.layers.forEach(layer => {
         const li = document.createElement('li');
         li.className = 'layer-item';
@@ -353,7 +744,7 @@ function renderLayerControls() {
         nameSpan.addEventListener('dblclick', () => {
             const newName = prompt('Enter new layer name:', layer.name);
             if (newName && newName.trim() !== '') {
-                communicationManager.broadcastMessage({ type: 'layer-renamed', layerId: layer.id, name: newName });
+                broadcastEdit({ type: 'layer-renamed', layerId: layer.id, name: newName });
             }
         });
         topRow.appendChild(nameSpan);
@@ -365,61 +756,62 @@ function renderLayerControls() {
         visibilityBtn.textContent = layer.visible ? 'Visible' : 'Hidden';
         visibilityBtn.title = layer.visible ? 'Visible to players' : 'Hidden from players';
         visibilityBtn.onclick = () => {
-            communicationManager.broadcastMessage({ type: 'layer-visibility-changed', layerId: layer.id, visible: !layer.visible });
+            broadcastEdit({ type: 'layer-visibility-changed', layerId: layer.id, visible: !layer.visible });
         };
         controlsDiv.appendChild(visibilityBtn);
 
-        const backgroundLabel = document.createElement('label');
-        backgroundLabel.className = 'button-like-label';
-        backgroundLabel.textContent = 'BG';
-        backgroundLabel.title = 'Set background image';
-
-        const backgroundInput = document.createElement('input');
-        backgroundInput.type = 'file';
-        backgroundInput.accept = 'image/*';
-        backgroundInput.style.display = 'none';
-        backgroundInput.onchange = (e) => {
-            if (e.target.files && e.target.files.length > 0) {
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    const background = { url: event.target.result, width: 0, height: 0, scale: 1, x: 0, y: 0 };
+        const isEditing = session.backgroundEditStates.get(layer.id);
+
+        if (layer.type === 'fog') {
+            appendFogControls(controlsDiv, layer);
+        } else {
+            const backgroundLabel = document.createElement('label');
+            backgroundLabel.className = 'button-like-label';
+            backgroundLabel.textContent = 'BG';
+            backgroundLabel.title = 'Set background image';
+
+            const backgroundInput = document.createElement('input');
+            backgroundInput.type = 'file';
+            backgroundInput.accept = 'image/*';
+            backgroundInput.style.display = 'none';
+            backgroundInput.onchange = async (e) => {
+                if (e.target.files && e.target.files.length > 0) {
+                    const assetId = await session.assets.add(e.target.files[0]);
+                    const background = { assetId, width: 0, height: 0, scale: 1, x: 0, y: 0 };
                     const img = new Image();
                     img.onload = () => {
                         background.width = img.width;
                         background.height = img.height;
-                        communicationManager.broadcastMessage({ type: 'layer-background-changed', layerId: layer.id, background });
+                        broadcastEdit({ type: 'layer-background-changed', layerId: layer.id, background });
                     };
-                    img.src = event.target.result;
+                    img.src = session.assets.getUrl(assetId);
+                }
+            };
+            backgroundLabel.appendChild(backgroundInput);
+            controlsDiv.appendChild(backgroundLabel);
+
+            if (layer.background) {
+                const editBgBtn = document.createElement('button');
+                editBgBtn.textContent = isEditing ? 'Done' : 'Edit BG';
+                editBgBtn.title = 'Toggle background editing';
+                editBgBtn.onclick = () => {
+                    session.backgroundEditStates.set(layer.id, !isEditing);
+                    board.toggleBackgroundEditMode(layer.id);
+                    renderLayerControls();
                 };
-                reader.readAsDataURL(e.target.files[0]);
+                controlsDiv.appendChild(editBgBtn);
             }
-        };
-        backgroundLabel.appendChild(backgroundInput);
-        controlsDiv.appendChild(backgroundLabel);
-
-        const isEditing = session.backgroundEditStates.get(layer.id);
 
-        if (layer.background) {
-            const editBgBtn = document.createElement('button');
-            editBgBtn.textContent = isEditing ? 'Done' : 'Edit BG';
-            editBgBtn.title = 'Toggle background editing';
-            editBgBtn.onclick = () => {
-                session.backgroundEditStates.set(layer.id, !isEditing);
-                board.toggleBackgroundEditMode(layer.id);
-                renderLayerControls();
-            };
-            controlsDiv.appendChild(editBgBtn);
+            const addNpcBtn = createNpcButton(layer.id);
+            controlsDiv.appendChild(addNpcBtn);
         }
 
-        const addNpcBtn = createNpcButton(layer.id);
-        controlsDiv.appendChild(addNpcBtn);
-
         const deleteBtn = document.createElement('button');
         deleteBtn.textContent = 'X';
         deleteBtn.title = 'Delete Layer';
         deleteBtn.onclick = () => {
             if (confirm(`Are you sure you want to delete the layer "${layer.name}"?`)) {
-                communicationManager.broadcastMessage({ type: 'layer-deleted', layerId: layer.id });
+                broadcastEdit({ type: 'layer-deleted', layerId: layer.id });
             }
         };
         controlsDiv.appendChild(deleteBtn);
@@ -427,6 +819,13 @@ function renderLayerControls() {
         topRow.appendChild(controlsDiv);
         li.appendChild(topRow);
 
+        if (layer.type !== 'fog') {
+            const toolRow = document.createElement('div');
+            toolRow.className = 'layer-edit-controls';
+            appendLayerToolControls(toolRow, layer);
+            li.appendChild(toolRow);
+        }
+
         if (isEditing && layer.background) {
             const bottomRow = document.createElement('div');
             bottomRow.className = 'layer-edit-controls';
@@ -436,7 +835,7 @@ function renderLayerControls() {
             clearBgBtn.textContent = '✕';
             clearBgBtn.title = 'Clear background image';
             clearBgBtn.onclick = () => {
-                communicationManager.broadcastMessage({ type: 'layer-background-cleared', layerId: layer.id });
+                broadcastEdit({ type: 'layer-background-cleared', layerId: layer.id });
             };
             bottomRow.appendChild(clearBgBtn);
 
@@ -446,7 +845,7 @@ function renderLayerControls() {
             scaleDownBtn.title = 'Scale Down Background';
             scaleDownBtn.onclick = () => {
                 const newScale = (layer.background.scale || 1) * 0.9;
-                communicationManager.broadcastMessage({ type: 'layer-background-scaled', layerId: layer.id, scale: newScale });
+                broadcastEdit({ type: 'layer-background-scaled', layerId: layer.id, scale: newScale });
             };
             bottomRow.appendChild(scaleDownBtn);
 
@@ -456,7 +855,7 @@ function renderLayerControls() {
             scaleUpBtn.title = 'Scale Up Background';
             scaleUpBtn.onclick = () => {
                 const newScale = (layer.background.scale || 1) * 1.1;
-                communicationManager.broadcastMessage({ type: 'layer-background-scaled', layerId: layer.id, scale: newScale });
+                broadcastEdit({ type: 'layer-background-scaled', layerId: layer.id, scale: newScale });
             };
             bottomRow.appendChild(scaleUpBtn);
 
@@ -467,154 +866,778 @@ function renderLayerControls() {
     });
 }
 
-function createNpcButton(layerId) {
-    const template = document.getElementById('npc-button-template');
-    const clone = template.content.cloneNode(true);
-    const container = clone.querySelector('.split-button-container');
-    const mainButton = clone.querySelector('.add-npc-button');
-    const dropdownButton = clone.querySelector('.open-color-picker-button');
-    const optionsPicker = clone.querySelector('.token-options-picker');
-    const sizeSelector = optionsPicker.querySelector('.token-size-selector');
-    const colorPicker = optionsPicker.querySelector('.color-picker');
+/**
+ * Adds the painting controls of a fog of war layer to its layer item.
+ */
+function appendFogControls(controlsDiv, layer) {
+    const isPainting = session.activeTool.kind === 'fog' && session.activeTool.layerId === layer.id;
+
+    const paintBtn = document.createElement('button');
+    paintBtn.textContent = isPainting ? 'Done' : 'Paint';
+    paintBtn.title = 'Toggle painting fog on the board';
+    paintBtn.onclick = () => {
+        setActiveTool(isPainting ? null : 'fog', layer.id);
+    };
+    controlsDiv.appendChild(paintBtn);
+
+    const modeBtn = document.createElement('button');
+    modeBtn.textContent = session.fogSettings.mode === 'reveal' ? 'Reveal' : 'Hide';
+    modeBtn.title = 'Toggle between revealing and re-hiding areas';
+    modeBtn.onclick = () => {
+        session.fogSettings.mode = session.fogSettings.mode === 'reveal' ? 'hide' : 'reveal';
+        updateBoardTool();
+        renderLayerControls();
+    };
+    controlsDiv.appendChild(modeBtn);
+
+    const shapeSelect = document.createElement('select');
+    shapeSelect.title = 'Fog painting shape';
+    [['brush', 'Brush'], ['rect', 'Rect'], ['polygon', 'Polygon']].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        shapeSelect.appendChild(option);
+    });
+    shapeSelect.value = session.fogSettings.shape;
+    shapeSelect.onchange = () => {
+        session.fogSettings.shape = shapeSelect.value;
+        updateBoardTool();
+    };
+    controlsDiv.appendChild(shapeSelect);
+
+    const regions = layer.fog?.regions || [];
+    if (regions.length > 0) {
+        const undoBtn = document.createElement('button');
+        undoBtn.textContent = 'Undo';
+        undoBtn.title = 'Remove the last painted region';
+        undoBtn.onclick = () => {
+            broadcastEdit({ type: 'fog-region-removed', layerId: layer.id, regionId: regions[regions.length - 1].id });
+        };
+        controlsDiv.appendChild(undoBtn);
+    }
 
-    // Set initial color and size
-    mainButton.style.backgroundColor = session.selectedNpcColor;
-    sizeSelector.querySelector(`[data-size="${session.selectedNpcSize}"]`).classList.add('selected');
+    const resetBtn = document.createElement('button');
+    resetBtn.textContent = 'Reset';
+    resetBtn.title = 'Cover the whole map in fog again';
+    resetBtn.onclick = () => {
+        if (confirm(`Reset the fog on "${layer.name}"? All revealed areas will be hidden again.`)) {
+            broadcastEdit({ type: 'fog-reset', layerId: layer.id });
+        }
+    };
+    controlsDiv.appendChild(resetBtn);
+}
 
-    mainButton.addEventListener('click', () => {
-        const { x, y } = board.getViewportCenter();
-        const npcToken = {
-            id: `token_${Math.random().toString(36).substring(2, 9)}`,
-            x,
-            y,
-            color: session.selectedNpcColor,
-            size: session.selectedNpcSize,
-            peerId: null
+/**
+ * Adds the wall and drawing controls of a layer to its tool row.
+ */
+function appendLayerToolControls(row, layer) {
+    const isDrawing = session.activeTool.kind === 'walls' && session.activeTool.layerId === layer.id;
+
+    const wallsBtn = document.createElement('button');
+    wallsBtn.textContent = isDrawing ? 'Done' : 'Walls';
+    wallsBtn.title = 'Toggle drawing walls that block line of sight';
+    wallsBtn.onclick = () => {
+        setActiveTool(isDrawing ? null : 'walls', layer.id);
+    };
+    row.appendChild(wallsBtn);
+
+    if (isDrawing) {
+        const eraseBtn = document.createElement('button');
+        eraseBtn.textContent = session.eraseWalls ? 'Erasing' : 'Drawing';
+        eraseBtn.title = 'Toggle between drawing and erasing walls';
+        eraseBtn.onclick = () => {
+            session.eraseWalls = !session.eraseWalls;
+            updateBoardTool();
+            renderLayerControls();
         };
-        communicationManager.broadcastMessage({ type: 'token-added', layerId: layerId, tokenData: npcToken });
-    });
+        row.appendChild(eraseBtn);
+    }
 
-    dropdownButton.addEventListener('click', (e) => {
-        e.stopPropagation();
-        optionsPicker.classList.toggle('token-options-picker-hidden');
-    });
+    const drawAccessBtn = document.createElement('button');
+    drawAccessBtn.textContent = layer.playersCanDraw ? 'Players Draw: On' : 'Players Draw: Off';
+    drawAccessBtn.title = 'Toggle whether players may draw on this layer';
+    drawAccessBtn.onclick = () => {
+        broadcastEdit({ type: 'layer-drawing-access-changed', layerId: layer.id, playersCanDraw: !layer.playersCanDraw });
+    };
+    row.appendChild(drawAccessBtn);
+
+    if (layer.drawings && layer.drawings.length > 0) {
+        const clearDrawingsBtn = document.createElement('button');
+        clearDrawingsBtn.textContent = 'Clear Drawings';
+        clearDrawingsBtn.title = 'Erase all drawings on this layer';
+        clearDrawingsBtn.onclick = () => {
+            if (confirm(`Erase all drawings on "${layer.name}"?`)) {
+                broadcastEdit({ type: 'drawings-cleared', layerId: layer.id });
+            }
+        };
+        row.appendChild(clearDrawingsBtn);
+    }
 
-    sizeSelector.addEventListener('click', (e) => {
-        if (e.target.classList.contains('token-size-option')) {
-            session.selectedNpcSize = e.target.dataset.size;
-            sizeSelector.querySelectorAll('.token-size-option').forEach(opt => opt.classList.remove('selected'));
-            e.target.classList.add('selected');
-        }
-    });
+    if (layer.walls && layer.walls.length > 0) {
+        const clearBtn = document.createElement('button');
+        clearBtn.textContent = 'Clear Walls';
+        clearBtn.title = 'Remove all walls on this layer';
+        clearBtn.onclick = () => {
+            if (confirm(`Remove all walls on "${layer.name}"?`)) {
+                broadcastEdit({ type: 'walls-cleared', layerId: layer.id });
+            }
+        };
+        row.appendChild(clearBtn);
+    }
+}
 
-    colorPicker.addEventListener('click', (e) => {
-        if (e.target.classList.contains('color-swatch')) {
-            session.selectedNpcColor = e.target.style.backgroundColor;
-            mainButton.style.backgroundColor = session.selectedNpcColor;
-            renderLayerControls();
-            optionsPicker.classList.add('token-options-picker-hidden');
-        }
-    });
+/** Shows the current grid settings in the GM's grid controls. */
+function renderGridControls() {
+    const grid = boardState.grid;
+    gridTypeSelect.value = grid.type;
+    gridSizeInput.value = Math.round(grid.size * 100) / 100;
+    gridOffsetXInput.value = Math.round(grid.offsetX * 100) / 100;
+    gridOffsetYInput.value = Math.round(grid.offsetY * 100) / 100;
+    gridColorInput.value = grid.color;
+    gridOpacityInput.value = grid.opacity;
+    gridSnapInput.checked = grid.snap;
+    gridUnitsInput.value = grid.unitsPerCell;
+    gridUnitNameInput.value = grid.unitName;
+    gridDiagonalsSelect.value = grid.diagonals;
+    calibrateGridBtn.textContent = session.activeTool.kind === 'calibrate' ? 'Cancel' : 'Calibrate';
+}
 
-    return container;
+/**
+ * Switches the board tool and re-renders the controls showing it.
+ * @param {'ruler'|'template'|'draw'|'fog'|'walls'|'calibrate'|null} kind The tool to activate, or null for none.
+ * @param {string|null} layerId The layer the tool edits.
+ */
+function setActiveTool(kind, layerId) {
+    if (session.activeTool.kind === 'ruler') {
+        shareRuler([]);
+    }
+    session.activeTool = kind ? { kind, layerId } : { kind: null, layerId: null };
+    updateBoardTool();
+    rulerToolBtn.classList.toggle('active', kind === 'ruler');
+    templateToolBtn.classList.toggle('active', kind === 'template');
+    drawToolBtn.classList.toggle('active', kind === 'draw');
+    renderLayerControls();
 }
 
 /**
- * Updates peer audio volumes based on the distance between claimed tokens.
+ * Lists the layers this peer may draw on: every layer for the GM, layers
+ * opened for drawing for players.
  */
-function updateDistanceBasedAudio() {
-    const myToken = findTokenForPeer(session.myId);
+function renderDrawLayerSelect() {
+    const layers = session.role === 'gm'
+        ? boardState.layers.filter(l => l.type !== 'fog')
+        : boardState.layers.filter(l => l.visible && l.playersCanDraw);
+    const selected = drawLayerSelect.value;
+
+    drawLayerSelect.innerHTML = '';
+    layers.forEach(layer => {
+        const option = document.createElement('option');
+        option.value = layer.id;
+        option.textContent = layer.name;
+        drawLayerSelect.appendChild(option);
+    });
+    if (layers.some(l => l.id === selected)) {
+        drawLayerSelect.value = selected;
+    }
+
+    drawToolBtn.disabled = layers.length === 0;
+    if (layers.length === 0 && session.activeTool.kind === 'draw') {
+        setActiveTool(null, null);
+    }
+}
 
-    if (!myToken || !board || !board.sizeMap) { // board or sizeMap might not be ready on init
-        for (const [peerId, audioEl] of session.peerAudioElements.entries()) {
-            audioEl.volume = session.peerVolumes.get(peerId) ?? 1;
+/**
+ * Finds the topmost drawing near a point that this peer may erase.
+ * @param {{x: number, y: number}} pos
+ * @param {number} tolerance How near counts, in board units.
+ * @returns {{layerId: string, drawing: object}|null}
+ */
+function findDrawingAt(pos, tolerance) {
+    for (const layer of [...boardState.layers].reverse()) {
+        if (!layer.drawings || !(layer.visible || session.role === 'gm')) continue;
+        for (const drawing of [...layer.drawings].reverse()) {
+            const canErase = session.role === 'gm' || drawing.peerId === session.myId;
+            if (canErase && hitTestDrawing(drawing, pos, tolerance)) {
+                return { layerId: layer.id, drawing };
+            }
         }
-        return;
     }
+    return null;
+}
+
+/**
+ * Broadcasts a change to the combat state. GM only.
+ * @param {object} changes The combat properties to change.
+ */
+function changeCombat(changes) {
+    communicationManager.broadcastMessage({ type: 'combat-changed', combat: changes });
+}
+
+/**
+ * @param {object} entry A combat entry.
+ * @returns {string} The name to list the combatant under.
+ */
+function combatantName(entry) {
+    const token = boardState.findToken(entry.layerId, entry.tokenId);
+    if (!token) return 'Unknown';
+    if (token.name) return token.name;
+    return token.peerId ? displayName(token.peerId) : 'Unnamed';
+}
 
-    const allTokens = boardState.layers.flatMap(l => l.tokens);
-    const gargantuanSize = board.sizeMap.g || 90; // Fallback just in case
+/**
+ * Adds tokens to the end of the turn order, skipping those already in it.
+ * Tokens players can't see start out hidden from them.
+ * @param {string} layerId
+ * @param {Array<object>} tokens
+ */
+function addCombatants(layerId, tokens) {
+    const layer = boardState.findLayer(layerId);
+    const entries = boardState.combat.entries;
+    const added = tokens
+        .filter(token => !entries.some(e => e.layerId === layerId && e.tokenId === token.id))
+        .map(token => ({
+            id: `combatant_${Math.random().toString(36).substring(2, 9)}`,
+            layerId,
+            tokenId: token.id,
+            initiative: null,
+            hidden: !!token.hidden || !layer.visible,
+        }));
+    if (added.length > 0) {
+        changeCombat({ entries: [...entries, ...added] });
+    }
+}
 
-    for (const [peerId, audioEl] of session.peerAudioElements.entries()) {
-        const peerToken = allTokens.find(t => t.peerId === peerId);
-        const maxVolume = session.peerVolumes.get(peerId) ?? 1;
+/**
+ * Removes a combatant, passing the turn on if it was theirs.
+ * @param {string} entryId
+ */
+function removeCombatant(entryId) {
+    const combat = boardState.combat;
+    const changes = { entries: combat.entries.filter(e => e.id !== entryId) };
+    if (combat.activeEntryId === entryId) {
+        const next = nextTurn(combat);
+        changes.activeEntryId = next.activeEntryId === entryId ? null : next.activeEntryId;
+    }
+    changeCombat(changes);
+}
 
-        if (peerToken) {
-            const distance = Math.hypot(myToken.x - peerToken.x, myToken.y - peerToken.y);
+/**
+ * Replaces one combatant's entry with a changed copy.
+ * @param {string} entryId
+ * @param {object} properties The entry properties to change.
+ */
+function updateCombatant(entryId, properties) {
+    const entries = boardState.combat.entries.map(e => e.id === entryId ? { ...e, ...properties } : e);
+    changeCombat({ entries });
+}
 
-            const minDistance = gargantuanSize; // No drop-off within this distance
-            const maxDistance = gargantuanSize * 4; // Min volume at this distance
-            const minVolume = 0.05;
-            let volumeRatio = 0;
+/** Renders the turn order, with editing controls for the GM. */
+function renderInitiativeTracker() {
+    const combat = boardState.combat;
+    const isGm = session.role === 'gm';
+    // Keep an initiative the GM is typing from being overwritten.
+    if (initiativeList.contains(document.activeElement)) return;
 
-            if (distance <= minDistance) {
-                volumeRatio = 1;
-            } else if (distance < maxDistance) {
-                // Using a quadratic curve for a smoother falloff
-                const normalizedDistance = (distance - minDistance) / (maxDistance - minDistance);
-                volumeRatio = Math.pow(1 - normalizedDistance, 2);
-            }
+    initiativePanel.style.display = isGm || combat.entries.length > 0 ? 'block' : 'none';
+    combatRound.textContent = combat.active ? `· Round ${combat.round}` : '';
 
-            const finalVolume = minVolume + (maxVolume - minVolume) * volumeRatio;
-            console.log("new volume is", finalVolume, "for peer", peerId);
+    initiativeList.innerHTML = '';
+    combat.entries.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = 'initiative-entry';
+        li.classList.toggle('active', combat.active && entry.id === combat.activeEntryId);
+        li.classList.toggle('hidden-entry', !!entry.hidden);
 
-            audioEl.volume = finalVolume;
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'initiative-name';
+        nameSpan.textContent = combatantName(entry);
+        nameSpan.title = 'Show on the board';
+        nameSpan.onclick = () => {
+            const token = boardState.findToken(entry.layerId, entry.tokenId);
+            if (token) board.centerOn(token.x, token.y);
+        };
+        li.appendChild(nameSpan);
+
+        if (isGm) {
+            const initiativeInput = document.createElement('input');
+            initiativeInput.type = 'number';
+            initiativeInput.value = entry.initiative ?? '';
+            initiativeInput.onchange = () => {
+                const initiative = parseFloat(initiativeInput.value);
+                initiativeInput.blur();
+                updateCombatant(entry.id, { initiative: Number.isNaN(initiative) ? null : initiative });
+            };
+            li.appendChild(initiativeInput);
+
+            const hideBtn = document.createElement('button');
+            hideBtn.textContent = entry.hidden ? 'Show' : 'Hide';
+            hideBtn.title = entry.hidden ? 'Show this entry to players' : 'Hide this entry from players';
+            hideBtn.onclick = () => updateCombatant(entry.id, { hidden: !entry.hidden });
+            li.appendChild(hideBtn);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = '✕';
+            removeBtn.title = 'Remove from the turn order';
+            removeBtn.onclick = () => removeCombatant(entry.id);
+            li.appendChild(removeBtn);
         } else {
-            console.log("volume set to maxVolume", maxVolume, "for peer", peerId);
-            audioEl.volume = maxVolume;
+            const initiativeSpan = document.createElement('span');
+            initiativeSpan.textContent = entry.initiative ?? '–';
+            li.appendChild(initiativeSpan);
         }
+        initiativeList.appendChild(li);
+    });
+
+    if (!isGm) return;
+    combatToggleBtn.textContent = combat.active ? 'End' : 'Start';
+    initiativePrevBtn.disabled = !combat.active;
+    initiativeNextBtn.disabled = !combat.active;
+
+    const selected = initiativeLayerSelect.value;
+    initiativeLayerSelect.innerHTML = '';
+    boardState.layers.filter(l => l.type !== 'fog').forEach(layer => {
+        const option = document.createElement('option');
+        option.value = layer.id;
+        option.textContent = layer.name;
+        initiativeLayerSelect.appendChild(option);
+    });
+    if (boardState.findLayer(selected)) {
+        initiativeLayerSelect.value = selected;
+    }
+}
+
+/** Pans the board to the combatant whose turn it is, once per turn. */
+function followActiveCombatant() {
+    const entry = activeEntry(boardState.combat);
+    const entryId = entry ? entry.id : null;
+    if (entryId === followedEntryId) return;
+    followedEntryId = entryId;
+
+    const token = entry ? boardState.findToken(entry.layerId, entry.tokenId) : null;
+    if (token && board) {
+        board.centerOn(token.x, token.y);
     }
 }
 
 /**
- * Finds the token claimed by a given peer ID.
- * @returns {object|null} The token object or null if not found.
+ * @param {string} peerId
+ * @returns {string} The name the peer chose, or a short stand-in.
  */
-function findTokenForPeer(peerId) {
-    return boardState.layers
-        .flatMap(l => l.tokens)
-        .find(t => t.peerId === peerId);
+function displayName(peerId) {
+    const name = boardState.displayNames.get(peerId);
+    if (name) return name;
+    if (peerId === session.gmId || (session.role === 'gm' && peerId === session.myId)) return 'GM';
+    return `Player ${peerId.substring(0, 6)}`;
 }
 
-/** Renders the list of connected peers. */
-function updatePeerList() {
-  peerList.innerHTML = '';
-  const allPeerIds = [session.myId, ...Array.from(session.peers.keys())];
+/**
+ * @param {number} timestamp
+ * @returns {string} The time of day, e.g. "20:15".
+ */
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
 
-  if (allPeerIds.length <= 1 && session.role !== 'gm') {
-      peerList.innerHTML = '<li>No other peers connected.</li>';
-      return;
-  }
+/**
+ * Renders the chat log, oldest first, scrolled to the newest message.
+ */
+function renderChat() {
+    const names = [...boardState.displayNames].join();
+    if (boardState.chat === renderedChat && names === renderedChatNames) return;
+    renderedChat = boardState.chat;
+    renderedChatNames = names;
+
+    chatLog.innerHTML = '';
+    boardState.chat.forEach(message => {
+        const li = document.createElement('li');
+        li.className = 'chat-entry';
+        li.classList.toggle('announcement', message.announcement);
+        li.classList.toggle('whisper', !!message.to);
+
+        const time = document.createElement('span');
+        time.className = 'chat-time';
+        time.textContent = formatTime(message.sentAt);
+        li.appendChild(time);
+
+        const sender = document.createElement('span');
+        sender.className = 'chat-sender';
+        if (message.to) {
+            sender.textContent = message.peerId === session.myId
+                ? `To ${displayName(message.to)}:`
+                : `${displayName(message.peerId)} whispers:`;
+        } else {
+            sender.textContent = `${displayName(message.peerId)}:`;
+        }
+        li.appendChild(sender);
 
-  const sortedPeers = allPeerIds.sort((a, b) => {
-    if (a === session.gmId) return -1;
-    if (b === session.gmId) return 1;
-    if (a === session.myId) return -1; // Always show self at top (after GM)
-    if (b === session.myId) return 1;
-    return a.localeCompare(b);
-  });
+        li.appendChild(document.createTextNode(message.text));
+        chatLog.appendChild(li);
+    });
+    chatLog.scrollTop = chatLog.scrollHeight;
+}
 
-  for (const peerId of sortedPeers) {
-    const li = document.createElement('li');
-    const peerIdText = document.createElement('span');
+/** Lists the connected peers a whisper can be sent to. */
+function renderChatRecipients() {
+    const selected = chatRecipientSelect.value;
+    chatRecipientSelect.innerHTML = '<option value="">Everyone</option>';
+    for (const [peerId, connection] of session.peers) {
+        if (connection.dataChannel?.readyState !== 'open') continue;
+        const option = document.createElement('option');
+        option.value = peerId;
+        option.textContent = `Whisper ${displayName(peerId)}`;
+        chatRecipientSelect.appendChild(option);
+    }
+    chatRecipientSelect.value = [...chatRecipientSelect.options].some(o => o.value === selected) ? selected : '';
+}
+
+/**
+ * Renders the dice roll log, newest first, and verifies rolls not seen before.
+ * @param {boolean} [force=false] Re-render even if no roll was added.
+ */
+function renderRollLog(force = false) {
+    const names = [...boardState.displayNames].join();
+    if (boardState.rolls === renderedRolls && names === renderedRollNames && !force) return;
+    renderedRolls = boardState.rolls;
+    renderedRollNames = names;
+
+    rollLog.innerHTML = '';
+    [...boardState.rolls].reverse().forEach(roll => {
+        const settled = roll.status !== 'pending' && roll.status !== 'abandoned';
+        if (settled && !rollVerifications.has(roll.id)) {
+            rollVerifications.set(roll.id, null);
+            verifyRoll(roll).then(verified => {
+                rollVerifications.set(roll.id, verified);
+                renderRollLog(true);
+            });
+        }
+
+        const li = document.createElement('li');
+        li.className = 'roll-entry';
+        li.classList.toggle('secret-roll', roll.secret);
+
+        const header = document.createElement('div');
+        header.textContent = `${displayName(roll.peerId)}${roll.secret ? ' (secret)' : ''}: ${roll.notation} = `;
+        const total = document.createElement('span');
+        total.className = 'roll-total';
+        header.appendChild(total);
+        li.appendChild(header);
+        rollLog.appendChild(li);
+
+        if (roll.status === 'pending') {
+            total.textContent = '…';
+            total.title = 'Waiting for the roller to reveal their seed';
+            return;
+        }
+        if (roll.status === 'abandoned') {
+            // The roller saw the GM's seed but never revealed theirs, e.g. to avoid a bad result.
+            total.textContent = 'abandoned';
+            total.title = 'The roller never revealed their seed, so this roll has no result';
+            total.classList.add('abandoned');
+            return;
+        }
+        total.textContent = roll.total;
+
+        const verified = rollVerifications.get(roll.id);
+        const verification = document.createElement('span');
+        verification.className = 'roll-verification';
+        if (verified === null) {
+            verification.textContent = ' …';
+            verification.title = 'Verifying';
+        } else if (verified) {
+            verification.textContent = ' ✔';
+            verification.title = 'The dice match the seeds committed to before rolling';
+        } else {
+            verification.textContent = ' ✖';
+            verification.title = 'This roll could not be verified and may have been forged';
+            verification.classList.add('unverified');
+        }
+        header.appendChild(verification);
+
+        const breakdown = document.createElement('div');
+        breakdown.className = 'roll-breakdown';
+        breakdown.textContent = formatRollBreakdown(roll);
+        li.appendChild(breakdown);
+    });
+}
+
+/**
+ * Builds an area-of-effect template from the toolbar settings.
+ * @param {{x: number, y: number}} origin Where the template starts.
+ * @param {number} angle The template's direction, in radians.
+ * @returns {object} The template, sized in board units.
+ */
+function createTemplate(origin, angle) {
+    const grid = boardState.grid;
+    // Sizes are entered in game units; without units per cell they count cells.
+    const toBoardUnits = units => units / (grid.unitsPerCell || 1) * grid.size;
+    const entered = parseFloat(templateSizeInput.value);
+    const size = Math.min(toBoardUnits(entered > 0 ? entered : grid.unitsPerCell || 1), MAX_TEMPLATE_CELLS * grid.size);
+    return {
+        id: `template_${Math.random().toString(36).substring(2, 9)}`,
+        shape: templateShapeSelect.value,
+        x: origin.x,
+        y: origin.y,
+        angle,
+        size,
+        width: grid.size, // Lines are one cell wide
+        color: findTokenForPeer(session.myId)?.color || '#ff5722',
+        peerId: session.myId,
+    };
+}
+
+/**
+ * Shows the local ruler to the other peers, sending at most one update per interval.
+ * @param {Array<{x: number, y: number}>} points The measured path, or an empty path to remove it.
+ */
+function shareRuler(points) {
+    if (!shareRulerInput.checked && points.length > 0) return;
+    pendingRulerPoints = points;
+    if (rulerBroadcastTimer) return;
+    rulerBroadcastTimer = setTimeout(() => {
+        rulerBroadcastTimer = null;
+        communicationManager.broadcastMessage({
+            type: 'ruler-updated',
+            peerId: session.myId,
+            points: pendingRulerPoints,
+            color: findTokenForPeer(session.myId)?.color
+        });
+    }, RULER_BROADCAST_INTERVAL_MS);
+}
+
+/**
+ * Puts the active tool on the board, configured from the current settings.
+ */
+function updateBoardTool() {
+    const { kind, layerId } = session.activeTool;
+    if (kind === 'ruler') {
+        board.setTool(new RulerTool({
+            measure: path => formatMeasurement(measurePath(path, boardState.grid), boardState.grid),
+            onChange: shareRuler,
+        }));
+    } else if (kind === 'template') {
+        board.setTool(new TemplateTool({
+            createTemplate,
+            getGrid: () => boardState.grid,
+            onPlaced: template => {
+                if (session.role === 'gm') {
+                    broadcastEdit({ type: 'template-added', template });
+                } else {
+                    communicationManager.sendTemplateAddRequest(template);
+                }
+                setActiveTool(null, null);
+            },
+        }));
+    } else if (kind === 'draw' && drawKindSelect.value === 'eraser') {
+        board.setTool(new EraserTool({
+            findDrawingAt,
+            onErase: (drawingLayerId, drawingId) => {
+                if (session.role === 'gm') {
+                    broadcastEdit({ type: 'drawing-removed', layerId: drawingLayerId, drawingId });
+                } else {
+                    communicationManager.sendDrawingRemoveRequest(drawingLayerId, drawingId);
+                }
+            },
+        }));
+    } else if (kind === 'draw') {
+        board.setTool(new DrawingTool({
+            kind: drawKindSelect.value,
+            color: drawColorInput.value,
+            width: parseFloat(drawWidthSelect.value),
+            getText: () => prompt('Enter the label text:'),
+            onDrawn: drawing => {
+                const drawingLayerId = drawLayerSelect.value;
+                if (!drawingLayerId) return;
+                drawing.peerId = session.myId;
+                if (session.role === 'gm') {
+                    broadcastEdit({ type: 'drawing-added', layerId: drawingLayerId, drawing });
+                } else {
+                    communicationManager.sendDrawingAddRequest(drawingLayerId, drawing);
+                }
+            },
+        }));
+    } else if (kind === 'fog') {
+        board.setTool(new FogTool({
+            ...session.fogSettings,
+            onRegionCompleted: region => {
+                broadcastEdit({ type: 'fog-region-added', layerId, region });
+            },
+        }));
+    } else if (kind === 'walls') {
+        board.setTool(new WallTool({
+            erase: session.eraseWalls,
+            getWalls: () => boardState.findLayer(layerId)?.walls || [],
+            onWallCompleted: wall => {
+                broadcastEdit({ type: 'wall-added', layerId, wall });
+            },
+            onWallRemoved: wallId => {
+                broadcastEdit({ type: 'wall-removed', layerId, wallId });
+            },
+        }));
+    } else if (kind === 'calibrate') {
+        board.setTool(new GridCalibrationTool({
+            onCellMeasured: cell => {
+                const grid = calibrateGrid(boardState.grid, cell);
+                if (grid) {
+                    broadcastEdit({ type: 'grid-changed', grid });
+                }
+                setActiveTool(null, null);
+            },
+        }));
+    } else {
+        board.setTool(null);
+    }
+}
+
+function createNpcButton(layerId) {
+    const template = document.getElementById('npc-button-template');
+    const clone = template.content.cloneNode(true);
+    const container = clone.querySelector('.split-button-container');
+    const mainButton = clone.querySelector('.add-npc-button');
+    const dropdownButton = clone.querySelector('.open-color-picker-button');
+    const optionsPicker = clone.querySelector('.token-options-picker');
+    const sizeSelector = optionsPicker.querySelector('.token-size-selector');
+    const colorPicker = optionsPicker.querySelector('.color-picker');
+
+    // Set initial color and size
+    mainButton.style.backgroundColor = session.selectedNpcColor;
+    sizeSelector.querySelector(`[data-size="${session.selectedNpcSize}"]`).classList.add('selected');
+
+    mainButton.addEventListener('click', () => {
+        const name = prompt('Enter a name for the NPC token:', 'Goblin');
+        if (!name) return;
+        const { x, y } = board.getViewportCenter();
+        const npcToken = {
+            id: `token_${Math.random().toString(36).substring(2, 9)}`,
+            name: name.trim(),
+            x,
+            y,
+            color: session.selectedNpcColor,
+            size: session.selectedNpcSize,
+            peerId: null
+        };
+        broadcastEdit({ type: 'token-added', layerId: layerId, tokenData: npcToken });
+    });
+
+    dropdownButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        optionsPicker.classList.toggle('token-options-picker-hidden');
+    });
+
+    sizeSelector.addEventListener('click', (e) => {
+        if (e.target.classList.contains('token-size-option')) {
+            session.selectedNpcSize = e.target.dataset.size;
+            sizeSelector.querySelectorAll('.token-size-option').forEach(opt => opt.classList.remove('selected'));
+            e.target.classList.add('selected');
+        }
+    });
+
+    colorPicker.addEventListener('click', (e) => {
+        if (e.target.classList.contains('color-swatch')) {
+            session.selectedNpcColor = e.target.style.backgroundColor;
+            mainButton.style.backgroundColor = session.selectedNpcColor;
+            renderLayerControls();
+            optionsPicker.classList.add('token-options-picker-hidden');
+        }
+    });
+
+    return container;
+}
+
+/**
+ * Places every peer's voice relative to my token, as the table's voice settings say.
+ */
+function updateSpatialAudio() {
+    const myToken = board ? findTokenForPeer(session.myId) : null; // board might not be ready on init
+    const walls = collectWalls(boardState.layers);
+    for (const peerId of session.voices.peerIds()) {
+        session.voices.place(peerId, placeVoice(myToken, findTokenForPeer(peerId), boardState.voice, boardState.grid, walls));
+    }
+}
+
+/**
+ * Finds the token claimed by a given peer ID.
+ * @returns {object|null} The token object or null if not found.
+ */
+function findTokenForPeer(peerId) {
+    return boardState.layers
+        .flatMap(l => l.tokens)
+        .find(t => t.peerId === peerId);
+}
+
+/** Processes the invite in the URL hash, and removes it from the URL. */
+async function processInviteFromHash() {
+  const encodedInvite = window.location.hash.substring(1);
+  history.pushState("", document.title, window.location.pathname + window.location.search);
+  try {
+    const payload = await decodeSignal(encodedInvite);
+    if (payload.type === 'invite') {
+      await communicationManager.processInvite(payload);
+    } else {
+      updateStatus('Error: Invalid invite data in URL.');
+    }
+  } catch (err) {
+    console.error("Failed to process invite from URL:", err);
+    updateStatus('Error: Could not process invite from URL.');
+  }
+}
+
+/** Shows the controls for this peer's role, which changes when the GM hands over or leaves. */
+function applyRole() {
+  const isGm = session.role === 'gm';
+  for (const controls of [gmMainControls, gmLayerControls, gmInitiativeControls, chatAnnounceLabel]) {
+    controls.style.display = isGm ? 'block' : 'none';
+  }
+  reclaimHostBtn.style.display = session.role === 'player' && session.originalGmId === session.myId ? 'block' : 'none';
+  // Edits made as GM before a handover no longer match the board.
+  if (!isGm) boardHistory.clear();
+  if (board) board.role = session.role;
+  updatePeerList();
+}
+
+/** Renders the list of connected peers. */
+function updatePeerList() {
+  renderChatRecipients();
+  peerList.innerHTML = '';
+  const allPeerIds = [session.myId, ...Array.from(session.peers.keys())];
+
+  if (allPeerIds.length <= 1 && session.role !== 'gm') {
+      peerList.innerHTML = '<li>No other peers connected.</li>';
+      return;
+  }
+
+  const sortedPeers = allPeerIds.sort((a, b) => {
+    if (a === session.gmId) return -1;
+    if (b === session.gmId) return 1;
+    if (a === session.myId) return -1; // Always show self at top (after GM)
+    if (b === session.myId) return 1;
+    return a.localeCompare(b);
+  });
+
+  for (const peerId of sortedPeers) {
+    const li = document.createElement('li');
+    const peerIdText = document.createElement('span');
     peerIdText.className = 'peer-id-text';
-    let text = peerId;
-    if (peerId === session.gmId) text += ' (GM)';
+    let text = displayName(peerId);
+    peerIdText.title = peerId;
+    if (peerId === session.gmId) text += session.paused ? ' (Host, paused)' : ' (GM)';
+    if (peerId === session.myId && session.role === 'host') text += ' (Host, paused)';
+    if (peerId === boardState.coGmId) text += ' (Co-GM)';
     if (peerId === session.myId) text += ' (Me)';
+    if (communicationManager.isReconnecting(peerId)) text += ' (reconnecting)';
     peerIdText.textContent = text;
     li.appendChild(peerIdText);
 
     const controlsContainer = document.createElement('div');
     controlsContainer.className = 'peer-audio-controls';
 
-    const audioEl = session.peerAudioElements.get(peerId);
-    if (audioEl) {
+    if (session.voices.has(peerId)) {
       const muteBtn = document.createElement('button');
       muteBtn.className = 'mute-btn';
-      muteBtn.textContent = audioEl.muted ? 'Unmute' : 'Mute';
+      muteBtn.textContent = session.voices.getSettings(peerId).muted ? 'Unmute' : 'Mute';
       muteBtn.onclick = () => {
-        audioEl.muted = !audioEl.muted;
-        muteBtn.textContent = audioEl.muted ? 'Unmute' : 'Mute';
+        const muted = !session.voices.getSettings(peerId).muted;
+        session.voices.changeSettings(peerId, { muted });
+        muteBtn.textContent = muted ? 'Unmute' : 'Mute';
       };
 
       const volumeSlider = document.createElement('input');
@@ -622,11 +1645,10 @@ function updatePeerList() {
       volumeSlider.min = 0;
       volumeSlider.max = 1;
       volumeSlider.step = 0.05;
-      volumeSlider.value = session.peerVolumes.get(peerId) ?? 1;
+      volumeSlider.value = session.voices.getSettings(peerId).volume;
       volumeSlider.className = 'volume-slider';
       volumeSlider.oninput = () => {
-        session.peerVolumes.set(peerId, parseFloat(volumeSlider.value));
-        updateDistanceBasedAudio();
+        session.voices.changeSettings(peerId, { volume: parseFloat(volumeSlider.value) });
       };
       controlsContainer.appendChild(muteBtn);
       controlsContainer.appendChild(volumeSlider);
@@ -640,6 +1662,15 @@ function updatePeerList() {
         controlsContainer.appendChild(centerBtn);
     }
 
+    if (session.role === 'gm' && peerId !== session.myId && !peerId.startsWith('invite_')) {
+        const isCoGm = peerId === boardState.coGmId;
+        const coGmBtn = document.createElement('button');
+        coGmBtn.textContent = isCoGm ? 'Unset Co-GM' : 'Make Co-GM';
+        coGmBtn.title = 'The co-GM sees the whole board and takes over if you leave';
+        coGmBtn.onclick = () => communicationManager.setCoGm(isCoGm ? null : peerId);
+        controlsContainer.appendChild(coGmBtn);
+    }
+
     if (controlsContainer.children.length > 0) {
         li.appendChild(controlsContainer);
     }
@@ -649,10 +1680,36 @@ function updatePeerList() {
 }
 
 async function createInvite() {
+  const url = signalingUrlInput.value.trim();
+  localStorage.setItem(SIGNALING_URL_STORAGE_KEY, url);
+  const signaling = communicationManager.signaling;
+  if ((signaling.describe()?.url || '') !== url || !signaling.isConnected()) {
+    try {
+      await communicationManager.useSignaling(url ? new WebSocketSignaling(url) : new ManualSignaling());
+    } catch (err) {
+      console.error('Failed to join the signaling server:', err);
+      updateStatus(`Error: ${err.message} Clear the server to invite by copy and paste.`);
+      return;
+    }
+  }
   await communicationManager.createInvite();
   copyInviteLink();
 }
 
+/**
+ * Shows text as a QR code, so a player at the table can scan it off the
+ * screen. Hidden when the text doesn't fit in one.
+ */
+async function renderQrCode(canvas, text) {
+  try {
+    await QRCode.toCanvas(canvas, text, { errorCorrectionLevel: 'L', margin: 2, width: 256 });
+    canvas.style.display = 'block';
+  } catch (err) {
+    console.warn('Could not render a QR code:', err);
+    canvas.style.display = 'none';
+  }
+}
+
 function copyInviteLink() {
   const link = gmSignalingData.value;
   if (!link.startsWith('http')) {
@@ -672,9 +1729,10 @@ async function processGmInput() {
   if (!data) return;
 
   try {
-    const payload = JSON.parse(atob(data));
+    const payload = await decodeSignal(data);
     if (payload.type === 'answer') {
       gmSignalingData.value = '';
+      inviteQrCode.style.display = 'none';
       await communicationManager.processAnswer(payload);
       closeModal(gmInviteDialog);
     } else {
@@ -686,7 +1744,16 @@ async function processGmInput() {
   }
 }
 
-function saveBoardState() {
+/**
+ * Serializes the board into a self-contained object, embedding the images
+ * it references so it can be restored on another machine.
+ */
+async function serializeBoardState() {
+  const assets = await exportAssets(collectAssetIds(boardState.layers), session.assets);
+  return { ...boardState.serialize(), assets };
+}
+
+async function saveBoardState() {
   if (session.role !== 'gm') return;
 
   const saveName = prompt('Enter a name for this save state:');
@@ -696,9 +1763,8 @@ function saveBoardState() {
   }
 
   try {
-    const boardStateToSave = { layers: boardState.layers };
-    const boardStateJSON = JSON.stringify(boardStateToSave);
-    localStorage.setItem(`vtt-save-${saveName.trim()}`, boardStateJSON);
+    // Images already live in the asset library, so the save only references them by id.
+    await assetLibrary.putSave(saveName.trim(), boardState.serialize());
     updateStatus(`Board state "${saveName.trim()}" saved successfully.`);
     toggleMainMenu(false);
   } catch (err) {
@@ -707,7 +1773,31 @@ function saveBoardState() {
   }
 }
 
-function exportBoardState() {
+/**
+ * Moves saves from the old `vtt-save-*` localStorage keys into the asset
+ * library, extracting their inline images as assets.
+ */
+async function migrateLegacySaves() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith('vtt-save-')) keys.push(key);
+  }
+
+  for (const key of keys) {
+    try {
+      const savedState = JSON.parse(localStorage.getItem(key));
+      await importAssets(savedState.assets, session.assets);
+      await internInlineAssets(savedState.layers, session.assets);
+      await assetLibrary.putSave(key.substring('vtt-save-'.length), { layers: savedState.layers });
+      localStorage.removeItem(key);
+    } catch (err) {
+      console.error(`Failed to migrate save "${key}":`, err);
+    }
+  }
+}
+
+async function exportBoardState() {
   if (session.role !== 'gm') return;
 
   const defaultName = `libre-vtt-board-${new Date().toISOString().split('T')[0]}.json`;
@@ -718,7 +1808,7 @@ function exportBoardState() {
   }
 
   try {
-    const boardStateToSave = { layers: boardState.layers };
+    const boardStateToSave = await serializeBoardState();
     const boardStateJSON = JSON.stringify(boardStateToSave, null, 2);
     const blob = new Blob([boardStateJSON], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -758,65 +1848,255 @@ function importBoardState(event) {
   reader.readAsText(file);
 }
 
-function showLoadDialog() {
+/** GM: Downloads everything this session's board went through so far, to replay later. */
+async function exportSessionLog() {
+  if (session.role !== 'gm') return;
+
+  const defaultName = `libre-vtt-session-${new Date(sessionRecorder.startedAt).toISOString().split('T')[0]}.json`;
+  const fileName = prompt('Enter a filename for the session log:', defaultName);
+  if (!fileName || fileName.trim() === '') {
+    updateStatus('Export cancelled.');
+    return;
+  }
+
+  try {
+    const entries = sessionRecorder.exportEntries();
+    const assets = await exportAssets(collectLogAssetIds(entries), session.assets);
+    const blob = new Blob([JSON.stringify(sessionRecorder.toLog(entries, assets))], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName.trim();
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    updateStatus(`Session log exported as "${fileName.trim()}".`);
+    toggleMainMenu(false);
+  } catch (err) {
+    console.error("Failed to export session log:", err);
+    updateStatus("Error: Could not export session log. See console for details.");
+  }
+}
+
+/** Opens a session log file in the replay view. The live session carries on underneath. */
+async function replaySessionLog(event) {
+  if (!event.target.files.length) return;
+  const file = event.target.files[0];
+  try {
+    const log = validateLog(JSON.parse(await file.text()));
+    await importAssets(log.assets, session.assets);
+    openReplay(log);
+    updateStatus(`Replaying "${file.name}".`);
+    toggleMainMenu(false);
+  } catch (err) {
+    console.error("Replay failed:", err);
+    updateStatus(`Error replaying "${file.name}": ${err.message}`);
+  } finally {
+    event.target.value = '';
+  }
+}
+
+/** Shows the replay view with a log loaded, paused at its start. */
+function openReplay(log) {
+  replayView.style.display = 'flex';
+  if (!replay) {
+    const replayState = new BoardState();
+    replay = new SessionReplay(replayState);
+    replay.onprogress = renderReplayProgress;
+    replayBoard = new Board(replayCanvas, replayState, {
+        role: 'gm',
+        readOnly: true,
+        resolveAssetUrl: (assetId) => session.assets.getUrl(assetId),
+    });
+  }
+  replayBoard.resizeCanvas();
+  replay.setSpeed(parseFloat(replaySpeedSelect.value));
+  replay.load(log);
+}
+
+function closeReplay() {
+  replay.pause();
+  replayView.style.display = 'none';
+}
+
+/** Updates the replay controls to where the replay is. */
+function renderReplayProgress(position, duration, playing) {
+  replayPlayBtn.textContent = playing ? 'Pause' : 'Play';
+  replaySeekInput.max = duration;
+  replaySeekInput.value = position;
+  replayTime.textContent = `${formatDuration(position)} / ${formatDuration(duration)}`;
+}
+
+async function showLoadDialog() {
     if (session.role !== 'gm') return;
 
     savedStatesList.innerHTML = '';
-    let hasSaves = false;
-
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key.startsWith('vtt-save-')) {
-            hasSaves = true;
-            const saveName = key.substring('vtt-save-'.length);
-            const li = document.createElement('li');
-            li.className = 'saved-state-item';
-
-            const nameSpan = document.createElement('span');
-            nameSpan.textContent = saveName;
-            li.appendChild(nameSpan);
-
-            const controlsDiv = document.createElement('div');
-
-            const loadBtn = document.createElement('button');
-            loadBtn.textContent = 'Load';
-            loadBtn.onclick = () => {
-                const savedStateJSON = localStorage.getItem(key);
-                if (savedStateJSON) loadBoardState(JSON.parse(savedStateJSON), `save "${saveName}"`);
-            };
-            controlsDiv.appendChild(loadBtn);
-
-            const deleteBtn = document.createElement('button');
-            deleteBtn.textContent = 'Delete';
-            deleteBtn.className = 'delete-save-btn';
-            deleteBtn.onclick = (e) => {
-                e.stopPropagation();
-                if (confirm(`Are you sure you want to delete the save "${saveName}"?`)) {
-                    localStorage.removeItem(key);
-                    showLoadDialog();
-                }
-            };
-            controlsDiv.appendChild(deleteBtn);
-            li.appendChild(controlsDiv);
-
-            savedStatesList.appendChild(li);
-        }
+    let saves = [];
+    try {
+        saves = await assetLibrary.listSaves();
+    } catch (err) {
+        console.error("Failed to list saves:", err);
+        updateStatus("Error: Could not read saved states. See console for details.");
     }
 
-    if (!hasSaves) {
+    saves.forEach(({ name: saveName }) => {
+        const li = document.createElement('li');
+        li.className = 'saved-state-item';
+
+        const nameSpan = document.createElement('span');
+        nameSpan.textContent = saveName;
+        li.appendChild(nameSpan);
+
+        const controlsDiv = document.createElement('div');
+
+        const loadBtn = document.createElement('button');
+        loadBtn.textContent = 'Load';
+        loadBtn.onclick = async () => {
+            const savedState = await assetLibrary.getSave(saveName);
+            if (savedState) loadBoardState(savedState, `save "${saveName}"`);
+        };
+        controlsDiv.appendChild(loadBtn);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.className = 'delete-save-btn';
+        deleteBtn.onclick = async (e) => {
+            e.stopPropagation();
+            if (confirm(`Are you sure you want to delete the save "${saveName}"?`)) {
+                await assetLibrary.deleteSave(saveName);
+                showLoadDialog();
+            }
+        };
+        controlsDiv.appendChild(deleteBtn);
+        li.appendChild(controlsDiv);
+
+        savedStatesList.appendChild(li);
+    });
+
+    if (saves.length === 0) {
         savedStatesList.innerHTML = '<li>No saved states found.</li>';
     }
 
     openModal(loadBoardDialog);
 }
 
-function loadBoardState(newState, sourceDescription) {
+/** Opens the GM's asset library, listing every stored image with a thumbnail. */
+async function showAssetLibrary() {
+    if (session.role !== 'gm') return;
+
+    assetLibraryLayerSelect.innerHTML = '';
+    boardState.layers.forEach(layer => {
+        const option = document.createElement('option');
+        option.value = layer.id;
+        option.textContent = layer.name;
+        assetLibraryLayerSelect.appendChild(option);
+    });
+
+    assetLibraryList.innerHTML = '';
+    let records = [];
+    try {
+        records = await assetLibrary.listAssets();
+    } catch (err) {
+        console.error("Failed to list assets:", err);
+        updateStatus("Error: Could not read the asset library. See console for details.");
+    }
+
+    const selectedToken = board.selectedTokenId ? boardState.findToken(board.selectedTokenLayerId, board.selectedTokenId) : null;
+
+    records.forEach(record => {
+        const li = document.createElement('li');
+        li.className = 'asset-library-item';
+
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'asset-thumbnail';
+        thumbnail.src = URL.createObjectURL(record.thumbnail);
+        thumbnail.onload = () => URL.revokeObjectURL(thumbnail.src);
+        thumbnail.alt = record.name;
+        li.appendChild(thumbnail);
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'asset-name';
+        nameSpan.textContent = `${record.name} (${record.width}×${record.height})`;
+        li.appendChild(nameSpan);
+
+        const controlsDiv = document.createElement('div');
+
+        const backgroundBtn = document.createElement('button');
+        backgroundBtn.textContent = 'Use as BG';
+        backgroundBtn.title = 'Set as background of the selected layer';
+        backgroundBtn.onclick = async () => {
+            const layer = boardState.findLayer(assetLibraryLayerSelect.value);
+            if (!layer) return;
+            await session.assets.load(record.id);
+            const background = { assetId: record.id, width: record.width, height: record.height, scale: 1, x: 0, y: 0 };
+            broadcastEdit({ type: 'layer-background-changed', layerId: layer.id, background });
+            closeModal(assetLibraryDialog);
+        };
+        controlsDiv.appendChild(backgroundBtn);
+
+        const tokenBtn = document.createElement('button');
+        tokenBtn.textContent = 'Use on Token';
+        tokenBtn.title = selectedToken ? 'Set as image of the selected token' : 'Select a token on the board first';
+        tokenBtn.disabled = !selectedToken;
+        tokenBtn.onclick = async () => {
+            await session.assets.load(record.id);
+            broadcastEdit({
+                type: 'token-property-changed',
+                layerId: board.selectedTokenLayerId,
+                tokenId: board.selectedTokenId,
+                properties: { imageAssetId: record.id }
+            });
+            closeModal(assetLibraryDialog);
+        };
+        controlsDiv.appendChild(tokenBtn);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.className = 'delete-save-btn';
+        deleteBtn.onclick = async () => {
+            if (confirm(`Remove "${record.name}" from the library? Saves using it will show an empty placeholder.`)) {
+                await assetLibrary.deleteAsset(record.id);
+                showAssetLibrary();
+            }
+        };
+        controlsDiv.appendChild(deleteBtn);
+        li.appendChild(controlsDiv);
+
+        assetLibraryList.appendChild(li);
+    });
+
+    if (records.length === 0) {
+        assetLibraryList.innerHTML = '<li>The library is empty. Upload an image to get started.</li>';
+    }
+
+    openModal(assetLibraryDialog);
+}
+
+async function loadBoardState(newState, sourceDescription) {
     if (!newState) {
         updateStatus(`Error: Could not load board state from ${sourceDescription}.`);
         return;
     }
 
-    communicationManager.broadcastMessage({ type: 'game-state-update', vtt: newState });
+    try {
+        // Older saves inline backgrounds as data URLs; move them into the asset store.
+        await importAssets(newState.assets, session.assets);
+        await internInlineAssets(newState.layers, session.assets);
+        await Promise.all([...collectAssetIds(newState.layers)].map(assetId => session.assets.load(assetId)));
+    } catch (err) {
+        console.error("Failed to restore board assets:", err);
+        updateStatus(`Error: Could not restore images from ${sourceDescription}.`);
+        return;
+    }
+
+    // The people at the table stay as they are; only the board comes from the save.
+    const vtt = { ...newState, players: boardState.players, coGmId: boardState.coGmId };
+    delete vtt.assets;
+    communicationManager.broadcastMessage({ type: 'game-state-update', vtt });
+    boardHistory.clear();
     updateStatus(`Board state from ${sourceDescription} loaded successfully.`);
     closeModal(loadBoardDialog);
     toggleMainMenu(false);
@@ -855,11 +2135,251 @@ addLayerBtn.addEventListener('click', () => {
             visible: true,
             tokens: [],
         };
-        communicationManager.broadcastMessage({ type: 'layer-added', layer: newLayer });
+        broadcastEdit({ type: 'layer-added', layer: newLayer });
+    }
+});
+
+addFogLayerBtn.addEventListener('click', () => {
+    if (session.role !== 'gm') return;
+    const newLayer = {
+        id: `layer_${Math.random().toString(36).substring(2, 9)}`,
+        name: 'Fog of War',
+        visible: true,
+        type: 'fog',
+        tokens: [],
+        fog: { regions: [] },
+    };
+    broadcastEdit({ type: 'layer-added', layer: newLayer });
+});
+
+[lightingEnabledInput, exploredMemoryInput].forEach(input => {
+    input.addEventListener('change', () => {
+        if (session.role !== 'gm') return;
+        broadcastEdit({
+            type: 'lighting-changed',
+            lighting: { enabled: lightingEnabledInput.checked, exploredMemory: exploredMemoryInput.checked }
+        });
+    });
+});
+
+voiceModeSelect.addEventListener('change', () => {
+    broadcastEdit({ type: 'voice-changed', voice: { mode: voiceModeSelect.value } });
+});
+
+voiceFalloffSelect.addEventListener('change', () => {
+    broadcastEdit({ type: 'voice-changed', voice: { falloff: voiceFalloffSelect.value } });
+});
+
+voiceRangeInput.addEventListener('change', () => {
+    const range = parseFloat(voiceRangeInput.value);
+    if (Number.isNaN(range) || range < 1) {
+        voiceRangeInput.value = boardState.voice.range;
+        return;
+    }
+    broadcastEdit({ type: 'voice-changed', voice: { range } });
+});
+
+voiceOcclusionInput.addEventListener('change', () => {
+    broadcastEdit({ type: 'voice-changed', voice: { occlusion: voiceOcclusionInput.checked } });
+});
+
+// Browsers keep audio off until the user interacts with the page.
+window.addEventListener('pointerdown', () => session.voices.resume());
+
+gridTypeSelect.addEventListener('change', () => {
+    broadcastEdit({ type: 'grid-changed', grid: { type: gridTypeSelect.value } });
+});
+
+[[gridSizeInput, 'size'], [gridOffsetXInput, 'offsetX'], [gridOffsetYInput, 'offsetY'], [gridOpacityInput, 'opacity']].forEach(([input, key]) => {
+    input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (Number.isNaN(value) || (key === 'size' && value < 5)) {
+            renderGridControls();
+            return;
+        }
+        broadcastEdit({ type: 'grid-changed', grid: { [key]: value } });
+    });
+});
+
+gridUnitsInput.addEventListener('change', () => {
+    const unitsPerCell = parseFloat(gridUnitsInput.value);
+    if (Number.isNaN(unitsPerCell) || unitsPerCell < 0) {
+        renderGridControls();
+        return;
+    }
+    broadcastEdit({ type: 'grid-changed', grid: { unitsPerCell } });
+});
+
+gridUnitNameInput.addEventListener('change', () => {
+    broadcastEdit({ type: 'grid-changed', grid: { unitName: gridUnitNameInput.value.trim() } });
+});
+
+gridDiagonalsSelect.addEventListener('change', () => {
+    broadcastEdit({ type: 'grid-changed', grid: { diagonals: gridDiagonalsSelect.value } });
+});
+
+gridSnapInput.addEventListener('change', () => {
+    broadcastEdit({ type: 'grid-changed', grid: { snap: gridSnapInput.checked } });
+});
+
+gridColorInput.addEventListener('change', () => {
+    broadcastEdit({ type: 'grid-changed', grid: { color: gridColorInput.value } });
+});
+
+drawToolBtn.addEventListener('click', () => {
+    setActiveTool(session.activeTool.kind === 'draw' ? null : 'draw', null);
+});
+
+[drawKindSelect, drawColorInput, drawWidthSelect].forEach(input => {
+    input.addEventListener('change', () => {
+        if (session.activeTool.kind === 'draw') updateBoardTool();
+    });
+});
+
+clearMyDrawingsBtn.addEventListener('click', () => {
+    if (!confirm('Erase everything you have drawn?')) return;
+    if (session.role === 'gm') {
+        broadcastEdit({ type: 'drawings-cleared', peerId: session.myId });
+    } else {
+        communicationManager.sendDrawingsClearRequest();
+    }
+});
+
+templateToolBtn.addEventListener('click', () => {
+    setActiveTool(session.activeTool.kind === 'template' ? null : 'template', null);
+});
+
+rulerToolBtn.addEventListener('click', () => {
+    setActiveTool(session.activeTool.kind === 'ruler' ? null : 'ruler', null);
+});
+
+shareRulerInput.addEventListener('change', () => {
+    if (!shareRulerInput.checked) {
+        shareRuler([]);
+    }
+});
+
+chatForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = chatInput.value.trim();
+    if (!text) return;
+
+    if (chatRecipientSelect.value) {
+        try {
+            communicationManager.sendWhisper(chatRecipientSelect.value, text);
+        } catch (err) {
+            updateStatus(`Error: ${err.message}`);
+            return;
+        }
+    } else {
+        communicationManager.broadcastMessage({
+            type: 'chat-message',
+            id: `chat_${Math.random().toString(36).substring(2, 9)}`,
+            peerId: session.myId,
+            text,
+            sentAt: Date.now(),
+            announcement: session.role === 'gm' && chatAnnounceInput.checked,
+        });
+    }
+    chatInput.value = '';
+});
+
+displayNameInput.addEventListener('change', () => {
+    const name = displayNameInput.value.trim();
+    session.displayName = name;
+    localStorage.setItem(DISPLAY_NAME_STORAGE_KEY, name);
+    communicationManager.broadcastMessage({ type: 'display-name-changed', peerId: session.myId, name });
+});
+
+diceForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        await communicationManager.rollDice(diceInput.value, diceSecretInput.checked);
+    } catch (err) {
+        updateStatus(`Error: ${err.message}`);
+    }
+});
+
+initiativeAddSelectedBtn.addEventListener('click', () => {
+    const token = board.selectedTokenId ? boardState.findToken(board.selectedTokenLayerId, board.selectedTokenId) : null;
+    if (token) {
+        addCombatants(board.selectedTokenLayerId, [token]);
+    } else {
+        updateStatus('Select a token on the board first.');
+    }
+});
+
+initiativeAddLayerBtn.addEventListener('click', () => {
+    const layer = boardState.findLayer(initiativeLayerSelect.value);
+    if (layer) addCombatants(layer.id, layer.tokens);
+});
+
+initiativeRollBtn.addEventListener('click', () => {
+    const entries = boardState.combat.entries.map(e => e.initiative === null ? { ...e, initiative: rollInitiative() } : e);
+    changeCombat({ entries });
+});
+
+initiativeSortBtn.addEventListener('click', () => {
+    changeCombat({ entries: sortByInitiative(boardState.combat.entries) });
+});
+
+combatToggleBtn.addEventListener('click', () => {
+    const combat = boardState.combat;
+    if (combat.active) {
+        if (confirm('End combat and clear the turn order?')) {
+            changeCombat({ ...DEFAULT_COMBAT });
+        }
+    } else {
+        changeCombat({ active: true, round: 1, activeEntryId: combat.entries[0]?.id ?? null });
     }
 });
 
+initiativePrevBtn.addEventListener('click', () => changeCombat(previousTurn(boardState.combat)));
+initiativeNextBtn.addEventListener('click', () => changeCombat(nextTurn(boardState.combat)));
+
+calibrateGridBtn.addEventListener('click', () => {
+    setActiveTool(session.activeTool.kind === 'calibrate' ? null : 'calibrate', null);
+});
+
 // GM Dialog Listeners
+undoBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  undoEdit();
+});
+redoBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  redoEdit();
+});
+window.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+  // Leave undo in text fields to the browser.
+  if (['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName)) return;
+  if (session.role !== 'gm') return;
+  e.preventDefault();
+  if (e.shiftKey) {
+    redoEdit();
+  } else {
+    undoEdit();
+  }
+});
+handOffHostBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  try {
+    communicationManager.handOffToCoGm();
+  } catch (err) {
+    updateStatus(`Error: ${err.message}`);
+  }
+});
+reclaimHostBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  communicationManager.reclaimHost();
+  updateStatus('Asked the host to hand the session back.');
+});
+// Opening an invite in a running tab only changes the hash, e.g. when the GM comes back.
+window.addEventListener('hashchange', () => {
+  if (!window.location.hash || (session.role === 'gm' && session.originalGmId === session.myId)) return;
+  processInviteFromHash();
+});
 openInviteDialogBtn.addEventListener('click', (e) => {
   e.preventDefault();
   openModal(gmInviteDialog);
@@ -868,6 +2388,10 @@ loadBoardBtn.addEventListener('click', (e) => {
   e.preventDefault();
   showLoadDialog();
 });
+openAssetLibraryBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  showAssetLibrary();
+});
 saveBoardBtn.addEventListener('click', (e) => {
   e.preventDefault();
   saveBoardState();
@@ -877,9 +2401,34 @@ exportBoardBtn.addEventListener('click', (e) => {
   exportBoardState();
 });
 importBoardInput.addEventListener('change', importBoardState);
+exportSessionLogBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  exportSessionLog();
+});
+replaySessionLogInput.addEventListener('change', replaySessionLog);
+
+// Replay Listeners
+replayPlayBtn.addEventListener('click', () => {
+  if (replay.playing) {
+    replay.pause();
+  } else {
+    replay.play();
+  }
+});
+replaySeekInput.addEventListener('input', () => replay.seek(parseFloat(replaySeekInput.value)));
+replaySpeedSelect.addEventListener('change', () => replay.setSpeed(parseFloat(replaySpeedSelect.value)));
+closeReplayBtn.addEventListener('click', closeReplay);
 
 gmInviteDialog.querySelector('.close-button').addEventListener('click', () => closeModal(gmInviteDialog));
 loadBoardDialog.querySelector('.close-button').addEventListener('click', () => closeModal(loadBoardDialog));
+assetLibraryDialog.querySelector('.close-button').addEventListener('click', () => closeModal(assetLibraryDialog));
+assetLibraryUploadInput.addEventListener('change', async (e) => {
+  for (const file of e.target.files) {
+    await session.assets.add(file);
+  }
+  e.target.value = '';
+  showAssetLibrary();
+});
 createInviteBtn.addEventListener('click', createInvite);
 copyInviteBtn.addEventListener('click', copyInviteLink);
 processGmInputBtn.addEventListener('click', processGmInput);
@@ -0,0 +1,158 @@
+/**
+ * The permission model for board changes.
+ *
+ * The GM is the single authority over board state: only the GM originates
+ * state events, which every other peer applies as-is. Players express intent
+ * through `*-request` messages sent to the GM, who validates them against
+ * the rules below before broadcasting the resulting state event.
+ */
+
+/** Events that mutate the board state. Peers only accept these from the GM. */
+export const STATE_EVENT_TYPES = new Set([
+  'game-state-update',
+  'token-moved',
+  'token-deleted',
+  'token-added',
+  'token-property-changed',
+  'token-ownership-changed',
+  'player-disconnected-update',
+  'layer-added',
+  'layer-deleted',
+  'layer-visibility-changed',
+  'layer-revealed',
+  'layer-hidden',
+  'layer-renamed',
+  'layer-background-changed',
+  'layer-background-cleared',
+  'layer-background-scaled',
+  'layer-background-moved',
+  'fog-region-added',
+  'fog-region-removed',
+  'fog-reset',
+  'wall-added',
+  'wall-removed',
+  'walls-cleared',
+  'lighting-changed',
+  'voice-changed',
+  'grid-changed',
+  'template-added',
+  'template-moved',
+  'template-removed',
+  'drawing-added',
+  'drawing-removed',
+  'drawings-cleared',
+  'layer-drawing-access-changed',
+  'combat-changed',
+  'dice-rolled',
+  'player-identified',
+  'co-gm-changed',
+]);
+
+/** Overlays, chat and other events that do not change the board. Any peer may send these. */
+export const TRANSIENT_EVENT_TYPES = new Set([
+  'ping',
+  'ruler-updated',
+  'chat-message',
+  'chat-whisper',
+  'display-name-changed',
+]);
+
+/**
+ * @param {string} type A message type.
+ * @returns {boolean} Whether the message type mutates board state.
+ */
+export function isStateEvent(type) {
+  return STATE_EVENT_TYPES.has(type);
+}
+
+/**
+ * Looks up a token a player is allowed to see, i.e. a token that is not
+ * hidden and lies on a visible layer.
+ * @param {import('./board-interactive.js').BoardState} boardState
+ * @param {string} layerId
+ * @param {string} tokenId
+ * @returns {object|null} The token, or null if it does not exist or is hidden.
+ */
+function findVisibleToken(boardState, layerId, tokenId) {
+  const layer = boardState.findLayer(layerId);
+  if (!layer || !layer.visible) return null;
+  const token = layer.tokens.find(t => t.id === tokenId);
+  return token && !token.hidden ? token : null;
+}
+
+/**
+ * Players may move their own tokens and unclaimed tokens on visible layers.
+ * @param {import('./board-interactive.js').BoardState} boardState
+ * @param {string} peerId The requesting player.
+ * @param {string} layerId
+ * @param {string} tokenId
+ * @returns {boolean}
+ */
+export function canPlayerMoveToken(boardState, peerId, layerId, tokenId) {
+  const token = findVisibleToken(boardState, layerId, tokenId);
+  return !!token && (token.peerId === peerId || !token.peerId);
+}
+
+/**
+ * Players may change the appearance of tokens they own.
+ * @param {import('./board-interactive.js').BoardState} boardState
+ * @param {string} peerId The requesting player.
+ * @param {string} layerId
+ * @param {string} tokenId
+ * @returns {boolean}
+ */
+export function canPlayerEditToken(boardState, peerId, layerId, tokenId) {
+  const token = findVisibleToken(boardState, layerId, tokenId);
+  return !!token && token.peerId === peerId;
+}
+
+/**
+ * Players may move and remove the templates they placed.
+ * @param {import('./board-interactive.js').BoardState} boardState
+ * @param {string} peerId The requesting player.
+ * @param {string} templateId
+ * @returns {boolean}
+ */
+export function canPlayerEditTemplate(boardState, peerId, templateId) {
+  const template = boardState.findTemplate(templateId);
+  return !!template && template.peerId === peerId;
+}
+
+/**
+ * Players may draw on visible layers the GM opened for drawing.
+ * @param {import('./board-interactive.js').BoardState} boardState
+ * @param {string} layerId
+ * @returns {boolean}
+ */
+export function canPlayerDrawOnLayer(boardState, layerId) {
+  const layer = boardState.findLayer(layerId);
+  return !!layer && layer.visible && !!layer.playersCanDraw;
+}
+
+/**
+ * Players may erase their own drawings on visible layers.
+ * @param {import('./board-interactive.js').BoardState} boardState
+ * @param {string} peerId The requesting player.
+ * @param {string} layerId
+ * @param {string} drawingId
+ * @returns {boolean}
+ */
+export function canPlayerEraseDrawing(boardState, peerId, layerId, drawingId) {
+  const layer = boardState.findLayer(layerId);
+  if (!layer || !layer.visible || !layer.drawings) return false;
+  const drawing = layer.drawings.find(d => d.id === drawingId);
+  return !!drawing && drawing.peerId === peerId;
+}
+
+/**
+ * Players may claim unclaimed tokens on visible layers.
+ * @param {import('./board-interactive.js').BoardState} boardState
+ * @param {string} peerId The requesting player.
+ * @param {string} layerId
+ * @param {string} tokenId
+ * @returns {boolean}
+ */
+export function canPlayerClaimToken(boardState, peerId, layerId, tokenId) {
+  const token = findVisibleToken(boardState, layerId, tokenId);
+  return !!token && !token.peerId;
+}
@@ -0,0 +1,195 @@
+/**
+ * Per-recipient projections of the board state.
+ *
+ * The GM holds the complete board, but players must never receive what is
+ * hidden from them: not the contents of hidden layers, not hidden tokens.
+ * Hidden layers only reach players as their walls, which still block sight. Everything the GM
+ * sends to a player goes through these functions first, and changes in
+ * visibility are turned into reveal/hide deltas so the player's copy gains
+ * or loses the content.
+ */
+
+import { DEFAULT_HP_VISIBILITY, hpStatus } from './stats.js';
+
+/**
+ * @param {object} token The token as held by the GM.
+ * @returns {object|null} The token as a player may see it, or null if hidden.
+ */
+export function projectTokenForPlayer(token) {
+  if (token.hidden) return null;
+  const projected = { ...token };
+  // Players see the token but not a name the GM keeps to themselves.
+  if (token.nameHidden) projected.name = null;
+
+  const hpVisibility = token.hpVisibility || DEFAULT_HP_VISIBILITY;
+  if (token.hp && hpVisibility !== 'all') {
+    projected.hp = null;
+    projected.hpStatus = hpVisibility === 'status' ? hpStatus(token.hp) : null;
+  }
+  return projected;
+}
+
+/**
+ * @param {object} layer The layer as held by the GM.
+ * @returns {object} The layer as a player may see it. A hidden layer keeps only its walls.
+ */
+export function projectLayerForPlayer(layer) {
+  if (!layer.visible) {
+    return { id: layer.id, visible: false, tokens: [], walls: layer.walls || [] };
+  }
+  return {
+    ...layer,
+    tokens: layer.tokens.map(projectTokenForPlayer).filter(Boolean),
+  };
+}
+
+/**
+ * @param {Array<object>} layers The layers as held by the GM.
+ * @returns {Array<object>} Only the layers and tokens a player may see.
+ */
+export function projectLayersForPlayer(layers) {
+  return layers.map(projectLayerForPlayer);
+}
+
+/**
+ * @param {object} combat The combat state as held by the GM.
+ * @returns {object} The turn order without the entries hidden from players.
+ */
+export function projectCombatForPlayer(combat) {
+  const entries = combat.entries.filter(e => !e.hidden);
+  const activeEntryId = entries.some(e => e.id === combat.activeEntryId) ? combat.activeEntryId : null;
+  return { ...combat, entries, activeEntryId };
+}
+
+/**
+ * Whether a token is currently shown to players.
+ * @param {import('./board-interactive.js').BoardState} boardState
+ * @param {string} layerId
+ * @param {string} tokenId
+ * @returns {boolean}
+ */
+export function isTokenVisibleToPlayers(boardState, layerId, tokenId) {
+  const layer = boardState.findLayer(layerId);
+  const token = layer?.tokens.find(t => t.id === tokenId);
+  return !!layer?.visible && !!token && !token.hidden;
+}
+
+/**
+ * Translates a state event into what a player should receive.
+ * Must be called with the GM's board state *before* the event is applied.
+ * @param {object} event The state event as applied by the GM.
+ * @param {import('./board-interactive.js').BoardState} boardState The GM's board state.
+ * @returns {object|null} The event to send, a replacement delta, or null to send nothing.
+ */
+export function projectEventForPlayer(event, boardState) {
+  const layer = event.layerId ? boardState.findLayer(event.layerId) : null;
+  const layerVisible = !!layer?.visible;
+
+  switch (event.type) {
+    case 'game-state-update': {
+      const vtt = { ...event.vtt, layers: projectLayersForPlayer(event.vtt.layers) };
+      if (vtt.combat) vtt.combat = projectCombatForPlayer(vtt.combat);
+      // Players only need each other's names, not the keys.
+      if (vtt.players) vtt.players = vtt.players.map(({ peerId, name }) => ({ peerId, name }));
+      return { ...event, vtt };
+    }
+
+    case 'player-identified':
+      return { type: event.type, peerId: event.peerId, lastSeenAt: event.lastSeenAt };
+
+    case 'dice-rolled':
+      // Secret rolls go to the GM and, directly, to the roller only.
+      return event.roll.secret ? null : event;
+
+    case 'combat-changed':
+      return { ...event, combat: projectCombatForPlayer({ ...boardState.combat, ...event.combat }) };
+
+    case 'layer-added':
+      // Players hold every layer, hidden ones as walls only, so the GM's index fits theirs.
+      return { ...event, layer: projectLayerForPlayer(event.layer) };
+
+    case 'layer-visibility-changed': {
+      if (!layer || layer.visible === event.visible) return null;
+      if (!event.visible) {
+        return { type: 'layer-hidden', layerId: layer.id };
+      }
+      return { type: 'layer-revealed', layer: projectLayerForPlayer({ ...layer, visible: true }), index: boardState.layers.indexOf(layer) };
+    }
+
+    case 'layer-deleted':
+      return event;
+
+    case 'layer-renamed':
+    case 'layer-background-changed':
+    case 'layer-background-cleared':
+    case 'layer-background-scaled':
+    case 'layer-background-moved':
+    case 'fog-region-added':
+    case 'fog-region-removed':
+    case 'fog-reset':
+    case 'drawing-added':
+    case 'drawing-removed':
+    case 'layer-drawing-access-changed':
+      return layerVisible ? event : null;
+
+    case 'drawings-cleared':
+      return !event.layerId || layerVisible ? event : null;
+
+    case 'wall-added':
+    case 'wall-removed':
+    case 'walls-cleared':
+      // Walls block sight whether or not their layer is shown.
+      return layer ? event : null;
+
+    case 'token-added': {
+      const projected = layerVisible ? projectTokenForPlayer(event.tokenData) : null;
+      return projected ? { ...event, tokenData: projected } : null;
+    }
+
+    case 'token-deleted':
+      return layerVisible ? event : null;
+
+    case 'token-moved':
+      return isTokenVisibleToPlayers(boardState, event.layerId, event.tokenId) ? event : null;
+
+    case 'token-property-changed': {
+      const token = layer?.tokens.find(t => t.id === event.tokenId);
+      if (!layerVisible || !token) return null;
+
+      const wasHidden = !!token.hidden;
+      const willBeHidden = 'hidden' in event.properties ? !!event.properties.hidden : wasHidden;
+      if (!wasHidden && willBeHidden) {
+        return { type: 'token-deleted', layerId: event.layerId, tokenId: event.tokenId };
+      }
+      if (wasHidden && !willBeHidden) {
+        return { type: 'token-added', layerId: event.layerId, tokenData: projectTokenForPlayer({ ...token, ...event.properties }) };
+      }
+      if (willBeHidden) return null;
+
+      // Properties that are masked for players must be recomputed from the merged token.
+      const properties = { ...event.properties };
+      const projected = projectTokenForPlayer({ ...token, ...event.properties });
+      if ('name' in properties || 'nameHidden' in properties) {
+        properties.name = projected.name;
+      }
+      if ('hp' in properties || 'hpVisibility' in properties) {
+        properties.hp = projected.hp ?? null;
+        properties.hpStatus = projected.hpStatus ?? null;
+      }
+      return { ...event, properties };
+    }
+
+    case 'token-ownership-changed': {
+      const changes = event.changes.filter(c => isTokenVisibleToPlayers(boardState, c.layerId, c.tokenId));
+      return changes.length > 0 ? { ...event, changes } : null;
+    }
+
+    case 'player-disconnected-update': {
+      const unclaimedTokens = event.changes.unclaimedTokens.filter(c => isTokenVisibleToPlayers(boardState, c.layerId, c.tokenId));
+      return { ...event, changes: { ...event.changes, unclaimedTokens } };
+    }
+
+    default:
+      return event;
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * Session recording and replay.
+ *
+ * A SessionRecorder keeps the events that reach this peer's board, with
+ * when they arrived, so a session can be exported as a log. Rulers are
+ * kept a few times a second rather than at the rate they are shared, pings
+ * are left out, and once the log is long its oldest entries are folded, one
+ * at a time, into a board kept for that, so a long session doesn't fill
+ * memory. That board is exported as a snapshot and the dice rolls it holds,
+ * followed by the entries since. A SessionReplay
+ * plays such a log back on a board state of its own, without any
+ * connection: events are applied at the pace they were recorded, and
+ * seeking rebuilds the board from the start of the log.
+ */
+import { collectAssetIds } from './assets.js';
+import { BoardState, EventHandler } from './board-interactive.js';
+
+const LOG_FORMAT = 'libre-vtt-session-log';
+const LOG_VERSION = 1;
+
+/** The most entries a log holds. Past that, the oldest are folded into a snapshot. */
+const MAX_LOG_ENTRIES = 20000;
+
+/** Ruler updates from a peer within this time are recorded as one. */
+const RULER_SAMPLE_MS = 250;
+
+/** Events not worth replaying. */
+const UNRECORDED_EVENT_TYPES = new Set(['ping']);
+
+/** Events that stay out of exported logs. Whispers are private to their sender and recipient. */
+const PRIVATE_EVENT_TYPES = new Set(['chat-whisper']);
+
+/**
+ * Records the events of a session.
+ */
+export class SessionRecorder {
+  constructor() {
+    this.startedAt = Date.now();
+    this.entries = []; // { at, event }, with `at` in milliseconds since startedAt
+    this.lastRulerEntries = new Map(); // <peerId, entry> The latest ruler update recorded for each peer
+    this.folded = null; // { boardState, eventHandler, at } The board after the entries folded so far
+  }
+
+  /**
+   * @param {object} event An event as passed to `EventHandler.handleEvent`.
+   */
+  record(event) {
+    if (UNRECORDED_EVENT_TYPES.has(event.type)) return;
+
+    const at = Date.now() - this.startedAt;
+    // The board keeps and changes some event data, like an added token, so keep a copy.
+    const copy = structuredClone(event);
+    if (event.type === 'ruler-updated') {
+      const last = this.lastRulerEntries.get(event.peerId);
+      if (last && at - last.at < RULER_SAMPLE_MS) {
+        last.event = copy;
+        return;
+      }
+    }
+
+    const entry = { at, event: copy };
+    this.entries.push(entry);
+    if (event.type === 'ruler-updated') {
+      this.lastRulerEntries.set(event.peerId, entry);
+    }
+    if (this.entries.length > MAX_LOG_ENTRIES) {
+      this._foldOldest();
+    }
+  }
+
+  /**
+   * @returns {Array<{at: number, event: object}>} The entries to export, without whispers.
+   */
+  exportEntries() {
+    const entries = this.entries.filter(({ event }) => !PRIVATE_EVENT_TYPES.has(event.type));
+    if (!this.folded) return entries;
+
+    // Snapshots leave out the dice log, so the rolls from before the fold follow it.
+    const { boardState, at } = this.folded;
+    const snapshot = { at, event: { type: 'game-state-update', vtt: structuredClone(boardState.serialize()) } };
+    const rolls = boardState.rolls.map(roll => ({ at, event: { type: 'dice-rolled', roll: structuredClone(roll) } }));
+    return [snapshot, ...rolls, ...entries];
+  }
+
+  /**
+   * @param {Array<{at: number, event: object}>} entries As returned by `exportEntries`.
+   * @param {Object<string, string>} assets The images the log refers to, as made by `exportAssets`.
+   * @returns {object} The log to export.
+   */
+  toLog(entries, assets) {
+    return { format: LOG_FORMAT, version: LOG_VERSION, startedAt: this.startedAt, entries, assets };
+  }
+
+  /**
+   * Applies the oldest entry to the folded board and drops it from the log.
+   * @private
+   */
+  _foldOldest() {
+    if (!this.folded) {
+      const boardState = new BoardState();
+      this.folded = { boardState, eventHandler: new EventHandler(boardState), at: 0 };
+    }
+    const entry = this.entries.shift();
+    // The entry is dropped, so the board may keep its event as is.
+    this.folded.eventHandler.handleEvent(entry.event);
+    this.folded.at = entry.at;
+    if (this.lastRulerEntries.get(entry.event.peerId) === entry) {
+      this.lastRulerEntries.delete(entry.event.peerId);
+    }
+  }
+}
+
+/**
+ * @param {object} log A parsed log file.
+ * @returns {object} The log.
+ * @throws {Error} If it is not a session log this version can play.
+ */
+export function validateLog(log) {
+  if (log?.format !== LOG_FORMAT || !Array.isArray(log.entries)) {
+    throw new Error('Not a session log.');
+  }
+  if (log.version > LOG_VERSION) {
+    throw new Error(`Session log version ${log.version} is not supported. Was it recorded by a newer version?`);
+  }
+  let previousAt = 0;
+  log.entries.forEach((entry, i) => {
+    if (!Number.isFinite(entry?.at) || entry.at < previousAt) {
+      throw new Error(`Session log entry ${i + 1} has no valid time. Is the file damaged?`);
+    }
+    if (typeof entry.event !== 'object' || entry.event === null || typeof entry.event.type !== 'string') {
+      throw new Error(`Session log entry ${i + 1} has no valid event. Is the file damaged?`);
+    }
+    previousAt = entry.at;
+  });
+  return log;
+}
+
+/**
+ * @param {Array<{event: object}>} entries
+ * @returns {Set<string>} The ids of every image the logged events refer to.
+ */
+export function collectLogAssetIds(entries) {
+  const ids = new Set();
+  for (const { event } of entries) {
+    const layers = event.vtt?.layers || (event.layer ? [event.layer] : []);
+    collectAssetIds(layers).forEach(id => ids.add(id));
+    const assetId = event.tokenData?.imageAssetId || event.background?.assetId || event.properties?.imageAssetId;
+    if (assetId) ids.add(assetId);
+  }
+  return ids;
+}
+
+/**
+ * @param {number} millis
+ * @returns {string} E.g. `4:05` or `1:04:05`.
+ */
+export function formatDuration(millis) {
+  const seconds = Math.floor(millis / 1000);
+  const pad = n => String(n).padStart(2, '0');
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds / 60) % 60;
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}` : `${minutes}:${pad(seconds % 60)}`;
+}
+
+/**
+ * Plays a session log back on a board state.
+ */
+export class SessionReplay {
+  /**
+   * @param {BoardState} boardState The state to replay on. It is only ever changed by the replay.
+   */
+  constructor(boardState) {
+    this.boardState = boardState;
+    this.eventHandler = new EventHandler(boardState);
+    this.entries = [];
+    this.nextIndex = 0; // The first entry not applied yet
+    this.position = 0;
+    this.speed = 1;
+    this.playing = false;
+    this.frame = null;
+    this.lastFrameTime = 0;
+
+    // Public event handler that can be set from outside the class.
+    this.onprogress = null;
+  }
+
+  /** @returns {number} The length of the log in milliseconds. */
+  get duration() {
+    return this.entries.length > 0 ? this.entries[this.entries.length - 1].at : 0;
+  }
+
+  /**
+   * Loads a log and shows the board as it was when recording started.
+   * @param {object} log A log as checked by `validateLog`.
+   */
+  load(log) {
+    this.pause();
+    this.entries = log.entries;
+    this._reset();
+    this.seek(0);
+  }
+
+  play() {
+    if (this.playing) return;
+    if (this.position >= this.duration) this.seek(0);
+    this.playing = true;
+    this.lastFrameTime = performance.now();
+    this.frame = requestAnimationFrame(time => this._tick(time));
+    this._progress();
+  }
+
+  pause() {
+    this.playing = false;
+    if (this.frame) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this._progress();
+  }
+
+  /**
+   * @param {number} speed How many times faster than recorded to play.
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  /**
+   * Shows the board as it was at a point of the log.
+   * @param {number} position Milliseconds since recording started.
+   */
+  seek(position) {
+    if (position < this.position) {
+      this._reset();
+    }
+    this.position = Math.max(0, Math.min(position, this.duration));
+    this._applyUntil(this.position);
+    this._progress();
+  }
+
+  /** @private */
+  _reset() {
+    Object.assign(this.boardState, new BoardState());
+    this.nextIndex = 0;
+    this.position = 0;
+  }
+
+  /**
+   * @param {number} position
+   * @private
+   */
+  _applyUntil(position) {
+    while (this.nextIndex < this.entries.length && this.entries[this.nextIndex].at <= position) {
+      // Applying an event can hand parts of it to the board, so leave the log untouched.
+      this.eventHandler.handleEvent(structuredClone(this.entries[this.nextIndex].event));
+      this.nextIndex++;
+    }
+  }
+
+  /**
+   * @param {DOMHighResTimeStamp} time
+   * @private
+   */
+  _tick(time) {
+    if (!this.playing) return;
+    this.position = Math.min(this.position + (time - this.lastFrameTime) * this.speed, this.duration);
+    this.lastFrameTime = time;
+    this._applyUntil(this.position);
+    if (this.position >= this.duration) {
+      this.pause();
+      return;
+    }
+    this._progress();
+    this.frame = requestAnimationFrame(t => this._tick(t));
+  }
+
+  /** @private */
+  _progress() {
+    if (this.onprogress) {
+      this.onprogress(this.position, this.duration, this.playing);
+    }
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * A minimal signaling server for WebSocketSignaling (see signaling.js).
+ *
+ * Each browser joins under its peer id, and the server forwards signals
+ * addressed to a peer id to whoever joined as it. It keeps no state beyond
+ * the open sockets and never sees the game itself.
+ *
+ * Run it with `npm run signaling`; set PORT to listen somewhere other than 8787.
+ */
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.PORT) || 8787;
+/** Offers and answers with their ICE candidates fit easily; anything bigger is not signaling. */
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+/** @type {Map<string, import('ws').WebSocket>} */
+const peers = new Map();
+
+const server = new WebSocketServer({ port: PORT, maxPayload: MAX_MESSAGE_BYTES });
+
+server.on('connection', (socket) => {
+  let peerId = null;
+
+  socket.on('message', (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      socket.send(JSON.stringify({ type: 'error', message: 'Messages must be JSON.' }));
+      return;
+    }
+
+    if (msg.type === 'join') {
+      if (peerId || typeof msg.peerId !== 'string') {
+        socket.send(JSON.stringify({ type: 'error', message: 'Join once, with a peer id.' }));
+        return;
+      }
+      // First come, first served, so nobody can take over a joined peer's signals.
+      if (peers.has(msg.peerId)) {
+        socket.send(JSON.stringify({ type: 'error', message: `${msg.peerId} has already joined.` }));
+        return;
+      }
+      peerId = msg.peerId;
+      peers.set(peerId, socket);
+      socket.send(JSON.stringify({ type: 'joined', peerId }));
+      console.log(`${peerId} joined (${peers.size} connected).`);
+    } else if (msg.type === 'signal') {
+      if (!peerId) {
+        socket.send(JSON.stringify({ type: 'error', message: 'Join before sending signals.' }));
+        return;
+      }
+      const recipient = peers.get(msg.to);
+      if (!recipient) {
+        socket.send(JSON.stringify({ type: 'error', message: `${msg.to} is not connected.` }));
+        return;
+      }
+      recipient.send(JSON.stringify({ type: 'signal', from: peerId, payload: msg.payload }));
+    }
+  });
+
+  socket.on('close', () => {
+    if (peerId && peers.get(peerId) === socket) {
+      peers.delete(peerId);
+      console.log(`${peerId} left (${peers.size} connected).`);
+    }
+  });
+});
+
+console.log(`Signaling server listening on ws://localhost:${PORT}`);
@@ -0,0 +1,169 @@
+/**
+ * Signaling transports.
+ *
+ * Before a data channel exists, the GM's offer and the player's answer have
+ * to reach the other side some other way. A transport is how they get there:
+ *
+ *   ManualSignaling     People carry them. The GM sends an invite link and
+ *                       the player pastes an answer back.
+ *   WebSocketSignaling  A signaling server relays them (see
+ *                       signaling-server.js), so the invite link is all a
+ *                       player needs.
+ *
+ * Every transport has the same surface: `connect(peerId)` joins as this
+ * peer, `send(to, payload)` resolves to whether the payload was delivered
+ * (if not, the user has to carry it), `onmessage(from, payload)` receives
+ * payloads, `isConnected()` tells whether it still can, `describe()` tells
+ * an invitee which transport to use, and `close()` leaves.
+ *
+ * Once a player is connected to the GM, everything else, including the
+ * negotiation of direct links between players, goes over the GM's data
+ * channel whichever transport brought them in. The exception is restarting
+ * a dropped link with the GM itself, which goes through the transport if it
+ * can deliver.
+ */
+
+/** How long to wait for the signaling server to accept us. */
+const CONNECT_TIMEOUT_MS = 5000;
+
+/** Signaling by copy and paste. Nothing is ever delivered automatically. */
+export class ManualSignaling {
+  constructor() {
+    this.kind = 'manual';
+    this.onmessage = null;
+  }
+
+  /** @returns {Promise<void>} */
+  async connect() {}
+
+  /** @returns {Promise<boolean>} Always false: the user carries the payload. */
+  async send() {
+    return false;
+  }
+
+  /** @returns {boolean} */
+  isConnected() {
+    return true;
+  }
+
+  /** @returns {null} Invitees fall back to manual signaling anyway. */
+  describe() {
+    return null;
+  }
+
+  close() {}
+}
+
+/** Signaling through a WebSocket relay server. */
+export class WebSocketSignaling {
+  /**
+   * @param {string} url The server, e.g. `ws://localhost:8787`.
+   */
+  constructor(url) {
+    this.kind = 'websocket';
+    this.url = url;
+    this.socket = null;
+    this.onmessage = null;
+  }
+
+  /**
+   * Opens the socket and joins as the given peer.
+   * @param {string} peerId
+   * @returns {Promise<void>}
+   * @throws {Error} If the server can't be reached or refuses the peer id.
+   */
+  async connect(peerId) {
+    this.close();
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => fail(new Error(`Signaling server ${this.url} did not answer.`)), CONNECT_TIMEOUT_MS);
+      const fail = (err) => {
+        clearTimeout(timeout);
+        socket.close();
+        reject(err);
+      };
+      socket.onopen = () => socket.send(JSON.stringify({ type: 'join', peerId }));
+      socket.onerror = () => fail(new Error(`Could not reach signaling server ${this.url}.`));
+      socket.onmessage = (event) => {
+        const msg = JSON.parse(event.data);
+        if (msg.type === 'joined') {
+          clearTimeout(timeout);
+          socket.onmessage = (e) => this._handleMessage(e.data);
+          socket.onerror = (e) => console.warn(`Signaling server ${this.url} error:`, e);
+          resolve();
+        } else if (msg.type === 'error') {
+          fail(new Error(`Signaling server refused to join: ${msg.message}`));
+        }
+      };
+    });
+
+    socket.onclose = () => {
+      if (this.socket === socket) {
+        console.warn(`Lost the signaling server ${this.url}.`);
+        this.socket = null;
+      }
+    };
+  }
+
+  /**
+   * @param {string} to The recipient's peer id.
+   * @param {object} payload
+   * @returns {Promise<boolean>} Whether the payload went to the server.
+   */
+  async send(to, payload) {
+    if (!this.isConnected()) return false;
+    this.socket.send(JSON.stringify({ type: 'signal', to, payload }));
+    return true;
+  }
+
+  /** @returns {boolean} */
+  isConnected() {
+    return this.socket?.readyState === WebSocket.OPEN;
+  }
+
+  /** @returns {{kind: string, url: string}} */
+  describe() {
+    return { kind: this.kind, url: this.url };
+  }
+
+  close() {
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+  }
+
+  /**
+   * @param {string} data A frame from the server.
+   * @private
+   */
+  _handleMessage(data) {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch (err) {
+      console.error('Failed to parse signaling message:', data, err);
+      return;
+    }
+    if (msg.type === 'signal' && this.onmessage) {
+      this.onmessage(msg.from, msg.payload);
+    } else if (msg.type === 'error') {
+      console.warn(`Signaling server ${this.url}: ${msg.message}`);
+    }
+  }
+}
+
+/**
+ * Creates the transport an invite asks for.
+ * @param {object|null} description As returned by a transport's `describe()`.
+ * @returns {ManualSignaling|WebSocketSignaling}
+ */
+export function createSignaling(description) {
+  if (description?.kind === 'websocket' && description.url) {
+    return new WebSocketSignaling(description.url);
+  }
+  return new ManualSignaling();
+}
@@ -0,0 +1,135 @@
+/**
+ * Token stats: hit points and conditions.
+ *
+ * A token may carry `hp` ({ current, max, temp }), a list of `conditions`
+ * (ids from CONDITIONS) and an `hpVisibility` deciding how much of its hit
+ * points players learn:
+ *   'all'     everyone sees the numbers
+ *   'status'  players only see whether it is healthy, bloodied or down
+ *   'gm'      players see nothing
+ * Tokens projected for players in 'status' mode carry `hpStatus` instead of `hp`.
+ */
+
+/** The conditions a token can be marked with. */
+export const CONDITIONS = [
+  { id: 'prone', label: 'Prone', icon: '🛌' },
+  { id: 'stunned', label: 'Stunned', icon: '💫' },
+  { id: 'poisoned', label: 'Poisoned', icon: '🤢' },
+  { id: 'concentrating', label: 'Concentrating', icon: '🧠' },
+  { id: 'blinded', label: 'Blinded', icon: '🙈' },
+  { id: 'charmed', label: 'Charmed', icon: '💘' },
+  { id: 'frightened', label: 'Frightened', icon: '😱' },
+  { id: 'grappled', label: 'Grappled', icon: '🤼' },
+  { id: 'restrained', label: 'Restrained', icon: '⛓️' },
+  { id: 'invisible', label: 'Invisible', icon: '👻' },
+  { id: 'unconscious', label: 'Unconscious', icon: '💤' },
+  { id: 'dead', label: 'Dead', icon: '💀' },
+];
+
+export const HP_VISIBILITIES = ['all', 'status', 'gm'];
+
+/** Tokens that never had their visibility set keep their numbers from players. */
+export const DEFAULT_HP_VISIBILITY = 'status';
+
+const CONDITION_IDS = new Set(CONDITIONS.map(c => c.id));
+
+const STATUS_COLORS = { healthy: '#4caf50', bloodied: '#ff9800', down: '#f44336' };
+
+/**
+ * @param {object|null} hp A token's hit points.
+ * @returns {'healthy'|'bloodied'|'down'|null} The coarse status shown instead of numbers.
+ */
+export function hpStatus(hp) {
+  if (!hp || !(hp.max > 0)) return null;
+  if (hp.current <= 0) return 'down';
+  return hp.current <= hp.max / 2 ? 'bloodied' : 'healthy';
+}
+
+/**
+ * Sanitizes hit points sent by a peer.
+ * @param {object} hp
+ * @returns {{current: number, max: number, temp: number}|null} Whole numbers, or null if no maximum is set.
+ */
+export function normalizeHp(hp) {
+  const toInt = value => Math.round(Number(value)) || 0;
+  const max = Math.max(0, toInt(hp?.max));
+  if (max === 0) return null;
+  return {
+    current: Math.min(max, toInt(hp.current)),
+    max,
+    temp: Math.max(0, toInt(hp.temp)),
+  };
+}
+
+/**
+ * @param {Array<string>} conditions Condition ids sent by a peer.
+ * @returns {Array<string>} The known ids, without duplicates.
+ */
+export function normalizeConditions(conditions) {
+  if (!Array.isArray(conditions)) return [];
+  return [...new Set(conditions.filter(id => CONDITION_IDS.has(id)))];
+}
+
+/**
+ * Draws a token's hit point bar (or status bar) above it.
+ * @param {CanvasRenderingContext2D} ctx A context transformed to board coordinates.
+ * @param {object} token
+ * @param {number} radius The token's radius.
+ * @param {number} scale The current zoom, to keep the bar a constant height on screen.
+ */
+export function drawHpBar(ctx, token, radius, scale) {
+  const status = token.hp ? hpStatus(token.hp) : token.hpStatus;
+  if (!status) return;
+
+  const height = 5 / scale;
+  const width = radius * 2;
+  const x = token.x - radius;
+  const y = token.y - radius - height - 3 / scale;
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(x, y, width, height);
+
+  if (token.hp) {
+    const { current, max, temp } = token.hp;
+    const fraction = Math.max(0, current) / max;
+    ctx.fillStyle = STATUS_COLORS[status];
+    ctx.fillRect(x, y, width * fraction, height);
+    if (temp > 0) {
+      ctx.fillStyle = '#03a9f4';
+      ctx.fillRect(x, y, width * Math.min(1, temp / max), height / 2);
+    }
+  } else {
+    // Without numbers, a full, half or empty bar tells the story.
+    const fraction = { healthy: 1, bloodied: 0.5, down: 0 }[status];
+    ctx.fillStyle = STATUS_COLORS[status];
+    ctx.fillRect(x, y, width * fraction, height);
+  }
+  ctx.strokeStyle = 'black';
+  ctx.lineWidth = 1 / scale;
+  ctx.strokeRect(x, y, width, height);
+  ctx.restore();
+}
+
+/**
+ * Draws a token's condition icons in a row above its hit point bar.
+ * @param {CanvasRenderingContext2D} ctx A context transformed to board coordinates.
+ * @param {object} token
+ * @param {number} radius The token's radius.
+ * @param {number} scale The current zoom, to keep the icons a constant size on screen.
+ */
+export function drawConditions(ctx, token, radius, scale) {
+  const icons = (token.conditions || [])
+    .map(id => CONDITIONS.find(c => c.id === id)?.icon)
+    .filter(Boolean);
+  if (icons.length === 0) return;
+
+  const size = 14 / scale;
+  const y = token.y - radius - 10 / scale;
+  const left = token.x - (icons.length - 1) * size / 2;
+  ctx.save();
+  ctx.font = `${size}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  icons.forEach((icon, i) => ctx.fillText(icon, left + i * size, y));
+  ctx.restore();
+}
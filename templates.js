@@ -0,0 +1,214 @@
+/**
+ * Area-of-effect templates: circles, cones, lines and squares placed on the
+ * board for spells and other effects.
+ *
+ * A template is anchored at its origin (`x`, `y`) and points along `angle`
+ * (radians). `size` is the circle radius, the cone or line length, or the
+ * square's side, all in board units. Lines also have a `width`, cones a
+ * `spread` (their full opening angle in radians).
+ */
+
+import { cellCentersInBounds, traceCell } from './grid.js';
+
+/** The opening angle of a cone as wide as it is long, as most rule sets use. */
+export const DEFAULT_CONE_SPREAD = 2 * Math.atan(0.5);
+
+const TEMPLATE_SHAPES = new Set(['circle', 'cone', 'line', 'square']);
+
+/** The largest template size, in cells. Bigger areas cost every peer too much to draw. */
+export const MAX_TEMPLATE_CELLS = 60;
+
+/** The widest a line may be, in cells. */
+const MAX_LINE_WIDTH_CELLS = 10;
+
+/** Templates whose box spans more cells than this are drawn without their cells highlighted. */
+const MAX_HIGHLIGHTED_CELLS = 20000;
+
+/** Covered cells by template, with the key they were worked out for, so they aren't recomputed every frame. */
+const coveredCellsCache = new WeakMap();
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Checks a template from a peer and brings its dimensions within bounds.
+ * @param {object} template
+ * @param {object} grid The grid settings, for the size of a cell.
+ * @returns {object|null} The template to place, or null if it is not a valid template.
+ */
+export function normalizeTemplate(template, grid) {
+  const { id, shape, x, y, angle, size, width, spread, color, peerId } = template || {};
+  if (typeof id !== 'string' || !TEMPLATE_SHAPES.has(shape)) return null;
+  if (![x, y, angle, size].every(Number.isFinite) || size <= 0) return null;
+
+  const normalized = { id, shape, x, y, angle, size: Math.min(size, MAX_TEMPLATE_CELLS * grid.size), color, peerId };
+  if (shape === 'line') {
+    normalized.width = Number.isFinite(width) && width > 0 ? Math.min(width, MAX_LINE_WIDTH_CELLS * grid.size) : grid.size;
+  }
+  if (shape === 'cone') {
+    normalized.spread = Number.isFinite(spread) && spread > 0 ? Math.min(spread, Math.PI) : DEFAULT_CONE_SPREAD;
+  }
+  return normalized;
+}
+
+/**
+ * Expresses a point in the template's frame: x along its direction, y across it.
+ * @param {object} template
+ * @param {{x: number, y: number}} point
+ * @returns {{x: number, y: number}}
+ */
+function toTemplateFrame(template, point) {
+  const dx = point.x - template.x;
+  const dy = point.y - template.y;
+  const cos = Math.cos(-template.angle);
+  const sin = Math.sin(-template.angle);
+  return { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+}
+
+/**
+ * @param {object} template
+ * @param {{x: number, y: number}} point
+ * @returns {boolean} Whether the point lies inside the template's area.
+ */
+export function templateContainsPoint(template, point) {
+  const local = toTemplateFrame(template, point);
+  switch (template.shape) {
+    case 'circle':
+      return Math.hypot(local.x, local.y) <= template.size;
+    case 'cone': {
+      const distance = Math.hypot(local.x, local.y);
+      if (distance > template.size) return false;
+      if (distance === 0) return true;
+      return Math.abs(Math.atan2(local.y, local.x)) <= (template.spread || DEFAULT_CONE_SPREAD) / 2;
+    }
+    case 'line':
+      return local.x >= 0 && local.x <= template.size && Math.abs(local.y) <= template.width / 2;
+    case 'square':
+      return Math.abs(local.x) <= template.size / 2 && Math.abs(local.y) <= template.size / 2;
+    default:
+      return false;
+  }
+}
+
+/**
+ * The point a template is rotated by, at the far end of its direction.
+ * Circles have no direction and return null.
+ * @param {object} template
+ * @returns {{x: number, y: number}|null}
+ */
+export function templateHandle(template) {
+  if (template.shape === 'circle') return null;
+  const reach = template.shape === 'square' ? template.size / 2 : template.size;
+  return { x: template.x + Math.cos(template.angle) * reach, y: template.y + Math.sin(template.angle) * reach };
+}
+
+/**
+ * Traces a template's outline onto the current path.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} template
+ */
+function traceTemplate(ctx, template) {
+  ctx.save();
+  ctx.translate(template.x, template.y);
+  ctx.rotate(template.angle);
+  ctx.beginPath();
+  switch (template.shape) {
+    case 'circle':
+      ctx.arc(0, 0, template.size, 0, 2 * Math.PI);
+      break;
+    case 'cone': {
+      const halfSpread = (template.spread || DEFAULT_CONE_SPREAD) / 2;
+      ctx.moveTo(0, 0);
+      ctx.arc(0, 0, template.size, -halfSpread, halfSpread);
+      ctx.closePath();
+      break;
+    }
+    case 'line':
+      ctx.rect(0, -template.width / 2, template.size, template.width);
+      break;
+    case 'square':
+      ctx.rect(-template.size / 2, -template.size / 2, template.size, template.size);
+      break;
+  }
+  ctx.restore();
+}
+
+/**
+ * @param {object} template
+ * @returns {{left: number, top: number, right: number, bottom: number}} A box containing the whole template.
+ */
+function templateBounds(template) {
+  const reach = template.shape === 'line'
+    ? Math.hypot(template.size, template.width / 2)
+    : template.shape === 'square' ? template.size / Math.SQRT2 : template.size;
+  return { left: template.x - reach, top: template.y - reach, right: template.x + reach, bottom: template.y + reach };
+}
+
+/**
+ * @param {object} template
+ * @param {object} grid The grid settings.
+ * @returns {Array<{x: number, y: number}>} The centres of the grid cells the template covers.
+ */
+function coveredCells(template, grid) {
+  const key = [template.shape, template.x, template.y, template.angle, template.size, template.width, template.spread,
+    grid.type, grid.size, grid.offsetX, grid.offsetY].join(',');
+  const cached = coveredCellsCache.get(template);
+  if (cached?.key === key) return cached.cells;
+
+  const bounds = templateBounds(template);
+  const spannedCells = ((bounds.right - bounds.left) / grid.size) * ((bounds.bottom - bounds.top) / grid.size);
+  const cells = spannedCells > MAX_HIGHLIGHTED_CELLS
+    ? []
+    : cellCentersInBounds(grid, bounds).filter(c => templateContainsPoint(template, c));
+  coveredCellsCache.set(template, { key, cells });
+  return cells;
+}
+
+/**
+ * Draws a template along with the grid cells it covers.
+ * @param {CanvasRenderingContext2D} ctx A context transformed to board coordinates.
+ * @param {object} template
+ * @param {object} grid The grid settings.
+ * @param {number} scale The current zoom, to keep outlines a constant width on screen.
+ * @param {boolean} [showHandle=false] Whether to draw the rotation handle.
+ */
+export function drawTemplate(ctx, template, grid, scale, showHandle = false) {
+  const color = template.color || '#ff5722';
+  ctx.save();
+
+  const cells = coveredCells(template, grid);
+  if (cells.length > 0) {
+    ctx.beginPath();
+    cells.forEach(center => traceCell(ctx, grid, center));
+    ctx.fillStyle = color;
+    ctx.globalAlpha = 0.25;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+
+  traceTemplate(ctx, template);
+  ctx.fillStyle = color;
+  ctx.globalAlpha = cells.length > 0 ? 0.1 : 0.3;
+  ctx.fill();
+  ctx.globalAlpha = 1;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2 / scale;
+  ctx.stroke();
+
+  const handle = showHandle ? templateHandle(template) : null;
+  if (handle) {
+    ctx.beginPath();
+    ctx.arc(handle.x, handle.y, 6 / scale, 0, 2 * Math.PI);
+    ctx.fillStyle = 'white';
+    ctx.fill();
+    ctx.stroke();
+  }
+  ctx.restore();
+}
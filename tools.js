@@ -0,0 +1,693 @@
+/**
+ * Interactive board tools. While a tool is active on the `Board`, pointer
+ * input goes to the tool instead of selecting, dragging or panning.
+ *
+ * Every tool implements the same small interface, all positions being in
+ * board (world) coordinates:
+ *   onPointerDown(pos, event), onPointerMove(pos, event), onPointerUp(pos, event),
+ *   onDoubleClick(pos, event), onKeyDown(event), drawPreview(ctx, scale).
+ */
+
+import { drawTemplate } from './templates.js';
+import { drawDrawing } from './drawings.js';
+
+/**
+ * Traces a fog region's outline onto the current path of a context.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} region A fog region as stored in a fog layer.
+ */
+export function traceFogRegion(ctx, region) {
+  ctx.beginPath();
+  if (region.shape === 'rect') {
+    ctx.rect(region.rect.x, region.rect.y, region.rect.width, region.rect.height);
+  } else if (region.points.length > 0) {
+    ctx.moveTo(region.points[0].x, region.points[0].y);
+    region.points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+    if (region.shape === 'brush' && region.points.length === 1) {
+      // A single dab still needs a path segment for the round cap to show.
+      ctx.lineTo(region.points[0].x + 0.01, region.points[0].y);
+    }
+    if (region.shape === 'polygon') ctx.closePath();
+  }
+}
+
+/**
+ * Paints a fog region the same way the board renders it: brushes are
+ * stroked with round caps, rectangles and polygons are filled.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} region A fog region as stored in a fog layer.
+ */
+export function paintFogRegion(ctx, region) {
+  traceFogRegion(ctx, region);
+  if (region.shape === 'brush') {
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = region.radius * 2;
+    ctx.stroke();
+  } else {
+    ctx.fill();
+  }
+}
+
+/**
+ * Draws a measured path with its length label at the end.
+ * @param {CanvasRenderingContext2D} ctx A context transformed to board coordinates.
+ * @param {Array<{x: number, y: number}>} points The path, including waypoints.
+ * @param {string} label The text to show at the end of the path.
+ * @param {string} color The line color.
+ * @param {number} scale The current zoom, to keep lines and text a constant size on screen.
+ */
+export function drawRuler(ctx, points, label, color, scale) {
+  if (points.length < 2) return;
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 3 / scale;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+  ctx.stroke();
+
+  points.slice(0, -1).forEach(p => {
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 4 / scale, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+
+  const end = points[points.length - 1];
+  ctx.font = `${14 / scale}px sans-serif`;
+  const padding = 4 / scale;
+  const width = ctx.measureText(label).width + padding * 2;
+  const height = 18 / scale;
+  const x = end.x + 10 / scale;
+  const y = end.y - height - 6 / scale;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+  ctx.fillRect(x, y, width, height);
+  ctx.fillStyle = 'white';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, x + padding, y + height / 2);
+  ctx.restore();
+}
+
+/**
+ * GM tool for revealing or re-hiding areas of a fog of war layer with a
+ * brush, a rectangle or a polygon.
+ */
+export class FogTool {
+  /**
+   * @param {object} options
+   * @param {'reveal'|'hide'} options.mode Whether painted regions reveal or re-hide the map.
+   * @param {'brush'|'rect'|'polygon'} options.shape The shape to paint with.
+   * @param {number} [options.brushRadius=40] The brush radius in board units.
+   * @param {function(object): void} options.onRegionCompleted Called with each finished region.
+   */
+  constructor({ mode, shape, brushRadius = 40, onRegionCompleted }) {
+    this.mode = mode;
+    this.shape = shape;
+    this.brushRadius = brushRadius;
+    this.onRegionCompleted = onRegionCompleted;
+    this.points = [];
+    this.isDrawing = false;
+    this.hoverPos = null;
+  }
+
+  onPointerDown(pos) {
+    if (this.shape === 'polygon') {
+      const first = this.points[0];
+      if (first && this.points.length > 2 && Math.hypot(pos.x - first.x, pos.y - first.y) < this.brushRadius / 2) {
+        this._complete();
+      } else {
+        this.points.push(pos);
+      }
+      return;
+    }
+    this.isDrawing = true;
+    this.points = [pos];
+  }
+
+  onPointerMove(pos) {
+    this.hoverPos = pos;
+    if (!this.isDrawing) return;
+
+    if (this.shape === 'brush') {
+      const last = this.points[this.points.length - 1];
+      if (Math.hypot(pos.x - last.x, pos.y - last.y) > this.brushRadius / 4) {
+        this.points.push(pos);
+      }
+    } else if (this.shape === 'rect') {
+      this.points[1] = pos;
+    }
+  }
+
+  onPointerUp(pos) {
+    if (!this.isDrawing) return;
+    this.isDrawing = false;
+    if (this.shape === 'rect') {
+      this.points[1] = pos;
+    }
+    this._complete();
+  }
+
+  onDoubleClick() {
+    if (this.shape !== 'polygon') return;
+    // The two clicks of a double-click have already added the same point twice.
+    this.points = this.points.filter((p, i, all) => i === 0 || Math.hypot(p.x - all[i - 1].x, p.y - all[i - 1].y) > 1);
+    this._complete();
+  }
+
+  onKeyDown(e) {
+    if (e.key === 'Escape') {
+      this.points = [];
+      this.isDrawing = false;
+    } else if (e.key === 'Enter' && this.shape === 'polygon') {
+      this._complete();
+    }
+  }
+
+  /**
+   * Builds the region for the current points and hands it to the callback.
+   * @private
+   */
+  _complete() {
+    const region = this._buildRegion(this.points);
+    this.points = [];
+    if (region) {
+      this.onRegionCompleted(region);
+    }
+  }
+
+  /** @private */
+  _buildRegion(points) {
+    const id = `fog_${Math.random().toString(36).substring(2, 9)}`;
+    if (this.shape === 'rect') {
+      if (points.length < 2) return null;
+      const [a, b] = points;
+      const rect = { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), width: Math.abs(a.x - b.x), height: Math.abs(a.y - b.y) };
+      if (rect.width < 1 || rect.height < 1) return null;
+      return { id, mode: this.mode, shape: 'rect', rect };
+    }
+    if (this.shape === 'polygon') {
+      return points.length >= 3 ? { id, mode: this.mode, shape: 'polygon', points } : null;
+    }
+    return points.length >= 1 ? { id, mode: this.mode, shape: 'brush', points, radius: this.brushRadius } : null;
+  }
+
+  drawPreview(ctx, scale) {
+    ctx.save();
+    ctx.strokeStyle = this.mode === 'reveal' ? 'rgba(100, 200, 255, 0.9)' : 'rgba(255, 120, 120, 0.9)';
+    ctx.fillStyle = this.mode === 'reveal' ? 'rgba(100, 200, 255, 0.2)' : 'rgba(255, 120, 120, 0.2)';
+    ctx.lineWidth = 2 / scale;
+
+    if (this.shape === 'brush' && this.hoverPos) {
+      ctx.beginPath();
+      ctx.arc(this.hoverPos.x, this.hoverPos.y, this.brushRadius, 0, 2 * Math.PI);
+      ctx.stroke();
+    }
+
+    const preview = this.shape === 'polygon' && this.hoverPos ? [...this.points, this.hoverPos] : this.points;
+    const region = this.points.length > 0 ? this._buildRegion(preview) : null;
+    if (region) {
+      paintFogRegion(ctx, region);
+    } else if (this.shape === 'polygon' && preview.length === 2) {
+      ctx.beginPath();
+      ctx.moveTo(preview[0].x, preview[0].y);
+      ctx.lineTo(preview[1].x, preview[1].y);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+}
+
+/**
+ * GM tool for drawing the walls that block line of sight. Each click adds a
+ * wall from the previous point, chaining walls until a double-click, Enter
+ * or Escape ends the chain. In erase mode a click removes the nearest wall.
+ */
+export class WallTool {
+  /**
+   * @param {object} options
+   * @param {function(): Array<object>} options.getWalls Returns the existing walls, for snapping and erasing.
+   * @param {function(object): void} options.onWallCompleted Called with each new wall.
+   * @param {function(string): void} options.onWallRemoved Called with the id of an erased wall.
+   * @param {boolean} [options.erase=false] Whether clicks erase walls instead of drawing them.
+   * @param {number} [options.snapDistance=10] How close to an existing wall end a point snaps to it, in screen pixels.
+   */
+  constructor({ getWalls, onWallCompleted, onWallRemoved, erase = false, snapDistance = 10 }) {
+    this.getWalls = getWalls;
+    this.onWallCompleted = onWallCompleted;
+    this.onWallRemoved = onWallRemoved;
+    this.erase = erase;
+    this.snapDistance = snapDistance;
+    this.start = null;
+    this.hoverPos = null;
+    this.scale = 1;
+  }
+
+  onPointerDown(pos) {
+    if (this.erase) {
+      const wall = this._findNearestWall(pos);
+      if (wall) this.onWallRemoved(wall.id);
+      return;
+    }
+
+    const point = this._snap(pos);
+    if (this.start && Math.hypot(point.x - this.start.x, point.y - this.start.y) > 1) {
+      this.onWallCompleted({
+        id: `wall_${Math.random().toString(36).substring(2, 9)}`,
+        x1: this.start.x,
+        y1: this.start.y,
+        x2: point.x,
+        y2: point.y,
+      });
+    }
+    this.start = point;
+  }
+
+  onPointerMove(pos) {
+    this.hoverPos = pos;
+  }
+
+  onPointerUp() {}
+
+  onDoubleClick() {
+    this.start = null;
+  }
+
+  onKeyDown(e) {
+    if (e.key === 'Escape' || e.key === 'Enter') {
+      this.start = null;
+    }
+  }
+
+  /**
+   * Snaps a point to the nearest existing wall end, so walls join up without gaps.
+   * @private
+   */
+  _snap(pos) {
+    const maxDistance = this.snapDistance / this.scale;
+    let snapped = pos;
+    let nearest = maxDistance;
+    this.getWalls().forEach(wall => {
+      [{ x: wall.x1, y: wall.y1 }, { x: wall.x2, y: wall.y2 }].forEach(end => {
+        const distance = Math.hypot(end.x - pos.x, end.y - pos.y);
+        if (distance < nearest) {
+          nearest = distance;
+          snapped = end;
+        }
+      });
+    });
+    return snapped;
+  }
+
+  /** @private */
+  _findNearestWall(pos) {
+    let found = null;
+    let nearest = this.snapDistance / this.scale;
+    this.getWalls().forEach(wall => {
+      const distance = distanceToSegment(pos, wall);
+      if (distance < nearest) {
+        nearest = distance;
+        found = wall;
+      }
+    });
+    return found;
+  }
+
+  drawPreview(ctx, scale) {
+    this.scale = scale;
+    if (this.erase || !this.start || !this.hoverPos) return;
+
+    const end = this._snap(this.hoverPos);
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 170, 0, 0.9)';
+    ctx.lineWidth = 3 / scale;
+    ctx.setLineDash([8 / scale, 6 / scale]);
+    ctx.beginPath();
+    ctx.moveTo(this.start.x, this.start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
+
+/**
+ * @param {{x: number, y: number}} point
+ * @param {{x1: number, y1: number, x2: number, y2: number}} segment
+ * @returns {number} The shortest distance from the point to the segment.
+ */
+function distanceToSegment(point, segment) {
+  const dx = segment.x2 - segment.x1;
+  const dy = segment.y2 - segment.y1;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - segment.x1) * dx + (point.y - segment.y1) * dy) / lengthSquared));
+  return Math.hypot(point.x - (segment.x1 + t * dx), point.y - (segment.y1 + t * dy));
+}
+
+/**
+ * GM tool for calibrating the grid to a background: the GM drags a
+ * rectangle across exactly one cell of the grid printed on the map.
+ */
+export class GridCalibrationTool {
+  /**
+   * @param {object} options
+   * @param {function({x: number, y: number, width: number, height: number}): void} options.onCellMeasured
+   *   Called with the rectangle dragged over one cell.
+   */
+  constructor({ onCellMeasured }) {
+    this.onCellMeasured = onCellMeasured;
+    this.start = null;
+    this.end = null;
+  }
+
+  onPointerDown(pos) {
+    this.start = pos;
+    this.end = pos;
+  }
+
+  onPointerMove(pos) {
+    if (this.start) this.end = pos;
+  }
+
+  onPointerUp(pos) {
+    if (!this.start) return;
+    const cell = this._buildRect(this.start, pos);
+    this.start = null;
+    this.end = null;
+    this.onCellMeasured(cell);
+  }
+
+  onDoubleClick() {}
+
+  onKeyDown(e) {
+    if (e.key === 'Escape') {
+      this.start = null;
+      this.end = null;
+    }
+  }
+
+  /** @private */
+  _buildRect(a, b) {
+    return { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), width: Math.abs(a.x - b.x), height: Math.abs(a.y - b.y) };
+  }
+
+  drawPreview(ctx, scale) {
+    if (!this.start) return;
+    const rect = this._buildRect(this.start, this.end);
+    ctx.save();
+    ctx.strokeStyle = 'rgba(0, 255, 160, 0.9)';
+    ctx.fillStyle = 'rgba(0, 255, 160, 0.15)';
+    ctx.lineWidth = 2 / scale;
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.restore();
+  }
+}
+
+/**
+ * Tool for measuring distances. Press and drag, or click, to lay out a path;
+ * every further click or drag adds a waypoint. Double-click, Enter or Escape
+ * clears the ruler.
+ */
+export class RulerTool {
+  /**
+   * @param {object} options
+   * @param {function(Array<{x: number, y: number}>): string} options.measure Returns the label for a path.
+   * @param {function(Array<{x: number, y: number}>): void} [options.onChange] Called with the
+   *   displayed path whenever it changes, and with an empty path when the ruler is cleared.
+   * @param {string} [options.color='#00e5ff'] The ruler color.
+   */
+  constructor({ measure, onChange = () => {}, color = '#00e5ff' }) {
+    this.measure = measure;
+    this.onChange = onChange;
+    this.color = color;
+    this.points = [];
+    this.hoverPos = null;
+    this.downPos = null;
+  }
+
+  /** The path as displayed: the fixed points followed by the pointer position. */
+  get path() {
+    return this.points.length > 0 && this.hoverPos ? [...this.points, this.hoverPos] : this.points;
+  }
+
+  onPointerDown(pos) {
+    this.downPos = pos;
+    this.hoverPos = pos;
+    this.points.push(pos);
+    this.onChange(this.path);
+  }
+
+  onPointerMove(pos) {
+    if (this.points.length === 0) return;
+    this.hoverPos = pos;
+    this.onChange(this.path);
+  }
+
+  onPointerUp(pos) {
+    const down = this.downPos;
+    this.downPos = null;
+    // Releasing a drag leaves a waypoint where it ended.
+    if (down && Math.hypot(pos.x - down.x, pos.y - down.y) > 1) {
+      this.points.push(pos);
+    }
+  }
+
+  onDoubleClick() {
+    this.clear();
+  }
+
+  onKeyDown(e) {
+    if (e.key === 'Escape' || e.key === 'Enter') {
+      this.clear();
+    }
+  }
+
+  clear() {
+    this.points = [];
+    this.hoverPos = null;
+    this.onChange([]);
+  }
+
+  drawPreview(ctx, scale) {
+    const path = this.path;
+    if (path.length < 2) return;
+    drawRuler(ctx, path, this.measure(path), this.color, scale);
+  }
+}
+
+/**
+ * Tool for placing an area-of-effect template: press at the template's
+ * origin and drag to aim it, then release to place it.
+ */
+export class TemplateTool {
+  /**
+   * @param {object} options
+   * @param {function({x: number, y: number}, number): object} options.createTemplate Builds the
+   *   template for an origin and an angle.
+   * @param {function(): object} options.getGrid Returns the grid settings, for highlighting cells.
+   * @param {function(object): void} options.onPlaced Called with the placed template.
+   */
+  constructor({ createTemplate, getGrid, onPlaced }) {
+    this.createTemplate = createTemplate;
+    this.getGrid = getGrid;
+    this.onPlaced = onPlaced;
+    this.origin = null;
+    this.angle = 0;
+  }
+
+  onPointerDown(pos) {
+    this.origin = pos;
+  }
+
+  onPointerMove(pos) {
+    if (!this.origin) return;
+    if (Math.hypot(pos.x - this.origin.x, pos.y - this.origin.y) > 1) {
+      this.angle = Math.atan2(pos.y - this.origin.y, pos.x - this.origin.x);
+    }
+  }
+
+  onPointerUp() {
+    if (!this.origin) return;
+    const template = this.createTemplate(this.origin, this.angle);
+    this.origin = null;
+    this.onPlaced(template);
+  }
+
+  onDoubleClick() {}
+
+  onKeyDown(e) {
+    if (e.key === 'Escape') {
+      this.origin = null;
+    }
+  }
+
+  drawPreview(ctx, scale) {
+    if (!this.origin) return;
+    drawTemplate(ctx, this.createTemplate(this.origin, this.angle), this.getGrid(), scale, true);
+  }
+}
+
+/**
+ * Tool for freehand drawing and annotations: pen strokes, lines,
+ * rectangles and ellipses are dragged out; text labels are placed with a
+ * click.
+ */
+export class DrawingTool {
+  /**
+   * @param {object} options
+   * @param {'pen'|'line'|'rect'|'ellipse'|'text'} options.kind What to draw.
+   * @param {string} options.color The stroke or text color.
+   * @param {number} options.width The stroke width, which also sizes text.
+   * @param {function(): (string|null)} options.getText Asks for the text of a label.
+   * @param {function(object): void} options.onDrawn Called with each finished drawing.
+   */
+  constructor({ kind, color, width, getText, onDrawn }) {
+    this.kind = kind;
+    this.color = color;
+    this.width = width;
+    this.getText = getText;
+    this.onDrawn = onDrawn;
+    this.points = [];
+  }
+
+  onPointerDown(pos) {
+    if (this.kind === 'text') {
+      const text = this.getText();
+      if (text) {
+        this.onDrawn(this._buildDrawing({ x: pos.x, y: pos.y, text }));
+      }
+      return;
+    }
+    this.points = [pos];
+  }
+
+  onPointerMove(pos) {
+    if (this.points.length === 0) return;
+    if (this.kind === 'pen') {
+      const last = this.points[this.points.length - 1];
+      if (Math.hypot(pos.x - last.x, pos.y - last.y) > this.width / 2) {
+        this.points.push(pos);
+      }
+    } else {
+      this.points[1] = pos;
+    }
+  }
+
+  onPointerUp(pos) {
+    if (this.points.length === 0) return;
+    if (this.kind !== 'pen') {
+      this.points[1] = pos;
+    }
+    const drawing = this._shapeFromPoints(this.points);
+    this.points = [];
+    if (drawing) {
+      this.onDrawn(drawing);
+    }
+  }
+
+  onDoubleClick() {}
+
+  onKeyDown(e) {
+    if (e.key === 'Escape') {
+      this.points = [];
+    }
+  }
+
+  /** @private */
+  _buildDrawing(shape) {
+    return {
+      id: `drawing_${Math.random().toString(36).substring(2, 9)}`,
+      kind: this.kind,
+      color: this.color,
+      width: this.width,
+      ...shape,
+    };
+  }
+
+  /** @private */
+  _shapeFromPoints(points) {
+    if (this.kind === 'pen') {
+      return this._buildDrawing({ points });
+    }
+    if (points.length < 2) return null;
+    const [a, b] = points;
+    if (this.kind === 'line') {
+      return Math.hypot(b.x - a.x, b.y - a.y) > 1 ? this._buildDrawing({ points: [a, b] }) : null;
+    }
+    const rect = { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), width: Math.abs(a.x - b.x), height: Math.abs(a.y - b.y) };
+    return rect.width > 1 || rect.height > 1 ? this._buildDrawing({ rect }) : null;
+  }
+
+  drawPreview(ctx) {
+    const drawing = this.points.length > 0 ? this._shapeFromPoints(this.points) : null;
+    if (drawing) {
+      drawDrawing(ctx, drawing);
+    }
+  }
+}
+
+/**
+ * Tool for erasing drawings: every drawing the pointer touches while
+ * pressed is removed.
+ */
+export class EraserTool {
+  /**
+   * @param {object} options
+   * @param {function({x: number, y: number}, number): ({layerId: string, drawing: object}|null)} options.findDrawingAt
+   *   Finds an erasable drawing within a tolerance of a point.
+   * @param {function(string, string): void} options.onErase Called with the layer id and drawing id to erase.
+   */
+  constructor({ findDrawingAt, onErase }) {
+    this.findDrawingAt = findDrawingAt;
+    this.onErase = onErase;
+    this.isErasing = false;
+    this.hoverPos = null;
+    this.scale = 1;
+    this.erased = new Set();
+  }
+
+  onPointerDown(pos) {
+    this.isErasing = true;
+    this.erased.clear();
+    this._eraseAt(pos);
+  }
+
+  onPointerMove(pos) {
+    this.hoverPos = pos;
+    if (this.isErasing) this._eraseAt(pos);
+  }
+
+  onPointerUp() {
+    this.isErasing = false;
+  }
+
+  onDoubleClick() {}
+
+  onKeyDown() {}
+
+  /** @private */
+  _eraseAt(pos) {
+    const hit = this.findDrawingAt(pos, 8 / this.scale);
+    // The erase takes a round trip, so don't ask twice while dragging over a drawing.
+    if (hit && !this.erased.has(hit.drawing.id)) {
+      this.erased.add(hit.drawing.id);
+      this.onErase(hit.layerId, hit.drawing.id);
+    }
+  }
+
+  drawPreview(ctx, scale) {
+    this.scale = scale;
+    if (!this.hoverPos) return;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = 1 / scale;
+    ctx.beginPath();
+    ctx.arc(this.hoverPos.x, this.hoverPos.y, 8 / scale, 0, 2 * Math.PI);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
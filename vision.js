@@ -0,0 +1,142 @@
+/**
+ * Line-of-sight geometry for dynamic lighting.
+ *
+ * Walls are line segments stored on layers. A viewer's visibility polygon is
+ * found by casting rays from the viewer towards every wall endpoint (and just
+ * past either side of it) and keeping the nearest hit of each ray.
+ */
+
+/** How far sight reaches when a viewer has no light radius, in board units. */
+export const MAX_SIGHT_DISTANCE = 100000;
+
+/** Angular offset of the extra rays cast past each wall endpoint. */
+const RAY_EPSILON = 0.0001;
+
+/**
+ * Collects the wall segments of all given layers.
+ * @param {Array<object>} layers The board layers.
+ * @returns {Array<{x1: number, y1: number, x2: number, y2: number}>} The wall segments.
+ */
+export function collectWalls(layers) {
+  const walls = [];
+  layers.forEach(layer => {
+    if (layer.walls) walls.push(...layer.walls);
+  });
+  return walls;
+}
+
+/**
+ * Finds where a ray first hits a segment.
+ * @param {{x: number, y: number}} origin The ray origin.
+ * @param {number} dx The ray direction's x component.
+ * @param {number} dy The ray direction's y component.
+ * @param {{x1: number, y1: number, x2: number, y2: number}} wall The segment.
+ * @returns {number|null} The distance along the ray, in multiples of its direction, or null if it misses.
+ */
+function intersectRay(origin, dx, dy, wall) {
+  const sx = wall.x2 - wall.x1;
+  const sy = wall.y2 - wall.y1;
+  const denominator = dx * sy - dy * sx;
+  if (Math.abs(denominator) < 1e-12) return null; // Parallel
+
+  const t = ((wall.x1 - origin.x) * sy - (wall.y1 - origin.y) * sx) / denominator;
+  const u = ((wall.x1 - origin.x) * dy - (wall.y1 - origin.y) * dx) / denominator;
+  if (t < 0 || u < 0 || u > 1) return null;
+  return t;
+}
+
+/**
+ * Computes the area visible from a point, as seen past the given walls.
+ * @param {{x: number, y: number}} origin The viewer's position.
+ * @param {Array<object>} walls The occluding wall segments.
+ * @param {number} [range=MAX_SIGHT_DISTANCE] How far sight reaches.
+ * @returns {Array<{x: number, y: number}>} The visibility polygon, ordered by angle.
+ */
+export function computeVisibilityPolygon(origin, walls, range = MAX_SIGHT_DISTANCE) {
+  // A box around the viewer stops rays that hit no wall.
+  const left = origin.x - range;
+  const right = origin.x + range;
+  const top = origin.y - range;
+  const bottom = origin.y + range;
+  const segments = [
+    ...walls,
+    { x1: left, y1: top, x2: right, y2: top },
+    { x1: right, y1: top, x2: right, y2: bottom },
+    { x1: right, y1: bottom, x2: left, y2: bottom },
+    { x1: left, y1: bottom, x2: left, y2: top },
+  ];
+
+  const angles = [];
+  segments.forEach(segment => {
+    [[segment.x1, segment.y1], [segment.x2, segment.y2]].forEach(([x, y]) => {
+      const angle = Math.atan2(y - origin.y, x - origin.x);
+      angles.push(angle - RAY_EPSILON, angle, angle + RAY_EPSILON);
+    });
+  });
+
+  const points = [];
+  angles.forEach(angle => {
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    let nearest = Infinity;
+    segments.forEach(segment => {
+      const distance = intersectRay(origin, dx, dy, segment);
+      if (distance !== null && distance < nearest) nearest = distance;
+    });
+    if (nearest !== Infinity) {
+      points.push({ angle, x: origin.x + dx * nearest, y: origin.y + dy * nearest });
+    }
+  });
+
+  points.sort((a, b) => a.angle - b.angle);
+  return points.map(({ x, y }) => ({ x, y }));
+}
+
+/**
+ * @param {{x: number, y: number}} point
+ * @param {Array<{x: number, y: number}>} polygon
+ * @returns {boolean} Whether the point lies inside the polygon.
+ */
+export function isPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point can currently be seen by any of the given viewers.
+ * @param {{x: number, y: number}} point
+ * @param {Array<{origin: {x: number, y: number}, radius: number|null, polygon: Array<object>}>} views
+ * @returns {boolean}
+ */
+export function isPointVisible(point, views) {
+  return views.some(view => {
+    if (view.radius && Math.hypot(point.x - view.origin.x, point.y - view.origin.y) > view.radius) {
+      return false;
+    }
+    return isPointInPolygon(point, view.polygon);
+  });
+}
+
+/**
+ * Whether any wall crosses the straight line between two points.
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @param {Array<object>} walls The wall segments.
+ * @returns {boolean}
+ */
+export function isLineBlocked(from, to, walls) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  return walls.some(wall => {
+    const t = intersectRay(from, dx, dy, wall);
+    return t !== null && t <= 1;
+  });
+}
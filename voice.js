@@ -0,0 +1,209 @@
+/**
+ * Positional voice chat.
+ *
+ * Every peer's voice runs through a Web Audio graph of its own:
+ *
+ *   MediaStreamSource → lowpass BiquadFilter → StereoPanner → Gain → speakers
+ *
+ * In proximity mode the gain falls off with the distance between the
+ * speaker's token and mine, the panner puts the voice on the side of the
+ * board their token is on, and, if the table wants it, the filter muffles
+ * voices from behind walls. In flat mode, or while either of us has no
+ * token, a voice is centred and only as loud as set for that peer.
+ */
+import { isLineBlocked } from './vision.js';
+
+/** The voice settings boards start with. The GM sets them for the whole table. */
+export const DEFAULT_VOICE = {
+  mode: 'proximity', // 'proximity' or 'flat'
+  falloff: 'quadratic', // One of FALLOFF_CURVES
+  range: 8, // In cells. Voices further away are at their quietest.
+  occlusion: false, // Whether walls muffle the voices behind them
+};
+
+/**
+ * How loud a voice is, from 1 to 0, as its distance goes from where it
+ * starts to fade (0) to the end of the range (1).
+ */
+export const FALLOFF_CURVES = {
+  linear: d => 1 - d,
+  quadratic: d => (1 - d) ** 2,
+  // Drops quickly at first, like sound in the open, but still reaches 0 at the end of the range.
+  inverse: d => (1 / (1 + 9 * d) - 0.1) / 0.9,
+};
+
+/** Voices are at full volume within this share of the range. */
+const FULL_VOLUME_SHARE = 0.25;
+
+/** Voices never fade out completely, so players can still tell someone is talking. */
+const MIN_VOLUME = 0.05;
+
+/** How much quieter a voice behind a wall is, on top of being muffled. */
+const OCCLUDED_VOLUME = 0.6;
+
+/** Keeps some of every voice in both ears. Fully panned voices sound odd on headphones. */
+const MAX_PAN = 0.8;
+
+/** The lowpass cutoff for voices behind walls, in Hz. */
+const MUFFLED_CUTOFF_HZ = 700;
+
+/** How quickly voices glide to a new place, in seconds, so that moves don't click. */
+const RAMP_TIME_CONSTANT = 0.1;
+
+/**
+ * Works out where and how loud a peer's voice should be.
+ * @param {{x: number, y: number}|null} listener My token.
+ * @param {{x: number, y: number}|null} speaker The peer's token.
+ * @param {object} voice The table's voice settings.
+ * @param {object} grid The grid settings, for the size of a cell.
+ * @param {Array<object>} walls The wall segments on the board.
+ * @returns {{volume: number, pan: number, muffled: boolean}} A volume from 0 to 1 and a pan from -1 (left) to 1 (right).
+ */
+export function placeVoice(listener, speaker, voice, grid, walls) {
+  if (voice.mode === 'flat' || !listener || !speaker) {
+    return { volume: 1, pan: 0, muffled: false };
+  }
+
+  const dx = speaker.x - listener.x;
+  const distance = Math.hypot(dx, speaker.y - listener.y);
+  const maxDistance = Math.max(voice.range, 1) * grid.size;
+  const fadeDistance = maxDistance * FULL_VOLUME_SHARE;
+  const normalized = Math.min(Math.max((distance - fadeDistance) / (maxDistance - fadeDistance), 0), 1);
+  const curve = FALLOFF_CURVES[voice.falloff] || FALLOFF_CURVES[DEFAULT_VOICE.falloff];
+  const muffled = voice.occlusion && isLineBlocked(listener, speaker, walls);
+
+  // Close by, voices come from nearly straight ahead, so that stepping past
+  // someone doesn't throw their voice from one ear to the other.
+  const pan = MAX_PAN * dx / Math.max(distance, fadeDistance);
+  const volume = (MIN_VOLUME + (1 - MIN_VOLUME) * curve(normalized)) * (muffled ? OCCLUDED_VOLUME : 1);
+  return { volume, pan, muffled };
+}
+
+/**
+ * Plays the voices of all peers.
+ */
+export class VoiceMixer {
+  constructor() {
+    this.context = null; // Created with the first voice
+    this.voices = new Map(); // <peerId, { stream, element, source, filter, panner, gain, placement }>
+    this.settings = new Map(); // <peerId, { volume, muted }> Set by this user. Kept while a peer reconnects.
+  }
+
+  /**
+   * Starts playing a peer's voice, or switches it to a new stream.
+   * @param {string} peerId
+   * @param {MediaStream} stream
+   */
+  add(peerId, stream) {
+    if (this.voices.get(peerId)?.stream === stream) return;
+    this.remove(peerId);
+
+    const context = this._getContext();
+    // Chrome only passes remote WebRTC audio on to Web Audio while a media element plays it too.
+    const element = new Audio();
+    element.muted = true;
+    element.srcObject = stream;
+    element.play().catch(() => {});
+
+    const source = context.createMediaStreamSource(stream);
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = context.sampleRate / 2;
+    const panner = context.createStereoPanner();
+    const gain = context.createGain();
+    source.connect(filter).connect(panner).connect(gain).connect(context.destination);
+
+    const voice = { stream, element, source, filter, panner, gain, placement: { volume: 1, pan: 0, muffled: false } };
+    this.voices.set(peerId, voice);
+    this._apply(peerId, voice);
+  }
+
+  /**
+   * Stops playing a peer's voice.
+   * @param {string} peerId
+   */
+  remove(peerId) {
+    const voice = this.voices.get(peerId);
+    if (!voice) return;
+    voice.source.disconnect();
+    voice.gain.disconnect();
+    voice.element.srcObject = null;
+    this.voices.delete(peerId);
+  }
+
+  /**
+   * @param {string} peerId
+   * @returns {boolean} Whether the peer's voice is playing.
+   */
+  has(peerId) {
+    return this.voices.has(peerId);
+  }
+
+  /** @returns {Array<string>} The peers whose voices are playing. */
+  peerIds() {
+    return [...this.voices.keys()];
+  }
+
+  /**
+   * @param {string} peerId
+   * @returns {{volume: number, muted: boolean}}
+   */
+  getSettings(peerId) {
+    return this.settings.get(peerId) || { volume: 1, muted: false };
+  }
+
+  /**
+   * @param {string} peerId
+   * @param {{volume?: number, muted?: boolean}} changes The loudest the peer may get, from 0 to 1, and whether they are muted.
+   */
+  changeSettings(peerId, changes) {
+    this.settings.set(peerId, { ...this.getSettings(peerId), ...changes });
+    const voice = this.voices.get(peerId);
+    if (voice) this._apply(peerId, voice);
+  }
+
+  /**
+   * Moves a peer's voice.
+   * @param {string} peerId
+   * @param {{volume: number, pan: number, muffled: boolean}} placement As worked out by `placeVoice`.
+   */
+  place(peerId, placement) {
+    const voice = this.voices.get(peerId);
+    if (!voice) return;
+    voice.placement = placement;
+    this._apply(peerId, voice);
+  }
+
+  /** Starts the audio if the browser held it back until the user interacted with the page. */
+  resume() {
+    if (this.context?.state === 'suspended') {
+      this.context.resume().catch(err => console.warn('Could not start voice audio:', err));
+    }
+  }
+
+  /**
+   * @returns {AudioContext}
+   * @private
+   */
+  _getContext() {
+    if (!this.context) {
+      this.context = new AudioContext();
+    }
+    this.resume();
+    return this.context;
+  }
+
+  /**
+   * @param {string} peerId
+   * @param {object} voice
+   * @private
+   */
+  _apply(peerId, voice) {
+    const { volume, muted } = this.getSettings(peerId);
+    const { placement } = voice;
+    const now = this.context.currentTime;
+    voice.gain.gain.setTargetAtTime(muted ? 0 : volume * placement.volume, now, RAMP_TIME_CONSTANT);
+    voice.panner.pan.setTargetAtTime(placement.pan, now, RAMP_TIME_CONSTANT);
+    voice.filter.frequency.setTargetAtTime(placement.muffled ? MUFFLED_CUTOFF_HZ : this.context.sampleRate / 2, now, RAMP_TIME_CONSTANT);
+  }
+}
@@ -1,3 +1,15 @@
+/**
+ * Keep at most this many bytes queued on the data channel before waiting
+ * for it to drain. Larger queues make browsers close the channel.
+ */
+const MAX_BUFFERED_AMOUNT = 1024 * 1024;
+
+/** The queue level at which a paused binary sender resumes. */
+const BUFFERED_AMOUNT_LOW_THRESHOLD = 256 * 1024;
+
+/** How long to wait for ICE candidates before sending a description with what was found. */
+const ICE_GATHERING_TIMEOUT_MS = 5000;
+
 /**
  * Manages the WebRTC peer connection and signaling process.
  */
@@ -25,6 +37,7 @@ export class WebRTCManager {
     this.ondatachannelopen = null;
     this.ondatachannelclose = null;
     this.onmessage = null;
+    this.onbinarymessage = null;
 
     // Wire up the internal RTCPeerConnection events to our public handlers.
     this.peerConnection.onicecandidate = (event) => {
@@ -65,6 +78,8 @@ export class WebRTCManager {
 
   /** Wires up the event handlers for an existing or new data channel. */
   setupDataChannelEventHandlers() {
+    this.dataChannel.binaryType = 'arraybuffer';
+    this.dataChannel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW_THRESHOLD;
     this.dataChannel.onopen = () => {
       console.log(`[${this.id}] Data channel is open`);
       if (this.ondatachannelopen) {
@@ -78,7 +93,13 @@ export class WebRTCManager {
       }
     };
     this.dataChannel.onmessage = (event) => {
-      // All messages are expected to be JSON strings.
+      // Binary frames carry asset chunks; everything else is a JSON string.
+      if (typeof event.data !== 'string') {
+        if (this.onbinarymessage) {
+          this.onbinarymessage(event.data);
+        }
+        return;
+      }
       if (this.onmessage) {
         try {
           this.onmessage(JSON.parse(event.data));
@@ -99,6 +120,44 @@ export class WebRTCManager {
     return offer;
   }
 
+  /**
+   * Creates an offer that restarts ICE, to recover a connection whose
+   * network path broke. Any earlier offer still waiting for an answer is
+   * rolled back first.
+   * @returns {Promise<RTCSessionDescriptionInit>} The created offer.
+   */
+  async createIceRestartOffer() {
+    if (this.peerConnection.signalingState === 'have-local-offer') {
+      await this.peerConnection.setLocalDescription({ type: 'rollback' });
+    }
+    const offer = await this.peerConnection.createOffer({ iceRestart: true });
+    await this.peerConnection.setLocalDescription(offer);
+    return offer;
+  }
+
+  /**
+   * Waits until ICE candidate gathering completes, or gives up after a while.
+   * @returns {Promise<RTCSessionDescription>} The local description with the gathered candidates.
+   */
+  async waitForIceGathering() {
+    const connection = this.peerConnection;
+    if (connection.iceGatheringState !== 'complete') {
+      await new Promise(resolve => {
+        const timeout = setTimeout(done, ICE_GATHERING_TIMEOUT_MS);
+        function done() {
+          clearTimeout(timeout);
+          connection.removeEventListener('icegatheringstatechange', onChange);
+          resolve();
+        }
+        function onChange() {
+          if (connection.iceGatheringState === 'complete') done();
+        }
+        connection.addEventListener('icegatheringstatechange', onChange);
+      });
+    }
+    return connection.localDescription;
+  }
+
   /**
    * Creates an SDP answer to a received offer.
    * Note: You must call setRemoteDescription with the offer before calling this.
@@ -142,6 +201,36 @@ export class WebRTCManager {
     }
   }
 
+  /**
+   * Sends binary data through the data channel, waiting for the send buffer
+   * to drain first if it is too full.
+   * @param {ArrayBuffer} buffer The data to send.
+   * @returns {Promise<void>} Resolves once the data is queued. Rejects if the channel closes.
+   */
+  async sendBinary(buffer) {
+    const channel = this.dataChannel;
+    if (!channel || channel.readyState !== 'open') {
+      throw new Error(`[${this.id}] Data channel is not open. Cannot send binary data.`);
+    }
+
+    if (channel.bufferedAmount > MAX_BUFFERED_AMOUNT) {
+      await new Promise((resolve, reject) => {
+        const onLow = () => {
+          channel.removeEventListener('close', onClose);
+          resolve();
+        };
+        const onClose = () => {
+          channel.removeEventListener('bufferedamountlow', onLow);
+          reject(new Error(`[${this.id}] Data channel closed while sending.`));
+        };
+        channel.addEventListener('bufferedamountlow', onLow, { once: true });
+        channel.addEventListener('close', onClose, { once: true });
+      });
+    }
+
+    channel.send(buffer);
+  }
+
   /** Closes the peer connection and its data channel. */
   close() {
     console.log(`[${this.id}] Closing peer connection.`);